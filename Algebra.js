@@ -33,11 +33,16 @@ if((typeof module) !== 'undefined') {
             format = core.Utils.format,
             round = core.Utils.round,
             Frac = core.Frac,
+            bigInt = core.bigInt,
             isInt = core.Utils.isInt,
             Symbol = core.Symbol,
             CONST_HASH = core.Settings.CONST_HASH,
             math = core.Utils.importFunctions(),
             evaluate = core.Utils.evaluate;
+    //the maximum number of S-polynomials to compute for a Groebner basis
+    core.Settings.GROEBNER_MAX_PAIRS = 1000;
+    //the maximum degree of the norm when factoring over an algebraic extension
+    core.Settings.ALGEBRAIC_FIELD_MAX_DEGREE = 32;
     //*************** CLASSES ***************//
     /**
      * Converts a symbol into an equivalent polynomial arrays of 
@@ -388,6 +393,62 @@ if((typeof module) !== 'undefined') {
             }
             return a;
         },
+        /**
+         * Returns the resultant of two polynomials
+         * @param {Polynomial} poly
+         * @returns {Frac}
+         */
+        resultant: function (poly) {
+            return __.Subresultant.resultant(this.trim().coeffs, poly.trim().coeffs, 1);
+        },
+        /**
+         * Returns the discriminant of the polynomial
+         * @returns {Frac}
+         */
+        discriminant: function () {
+            return new Frac(__.discriminant(this.toSymbol(), _.parse(this.variable)));
+        },
+        /**
+         * The extended Euclidean algorithm. Returns the monic gcd g along with s and t such
+         * that s*this+t*poly = g
+         * @param {Polynomial} poly
+         * @returns {Polynomial[]}
+         */
+        gcdex: function (poly) {
+            var variable = this.variable || poly.variable,
+                    copy = function (p) {
+                        return Polynomial.fromArray(p.coeffs.slice(), variable).trim();
+                    },
+                    r0 = copy(this),
+                    r1 = copy(poly),
+                    s0 = Polynomial.fromArray([new Frac(1)], variable),
+                    s1 = Polynomial.fromArray([], variable),
+                    t0 = Polynomial.fromArray([], variable),
+                    t1 = Polynomial.fromArray([new Frac(1)], variable);
+
+            while(!r1.isZero()) {
+                var q = r0.divide(r1)[0],
+                        r = copy(r0).subtract(copy(q).multiply(r1)).trim(),
+                        s = copy(s0).subtract(copy(q).multiply(s1)).trim(),
+                        t = copy(t0).subtract(copy(q).multiply(t1)).trim();
+                r0 = r1;
+                r1 = r;
+                s0 = s1;
+                s1 = s;
+                t0 = t1;
+                t1 = t;
+            }
+            //make the gcd monic
+            if(!r0.isZero()) {
+                var lc = r0.lc();
+                [r0, s0, t0].forEach(function (p) {
+                    p.coeffs = p.coeffs.map(function (c) {
+                        return c.divide(lc);
+                    });
+                });
+            }
+            return [r0, s0, t0];
+        },
         /**
          * Differentiates the polynomial
          * @returns {Polynomial}
@@ -2540,8 +2601,25 @@ if((typeof module) !== 'undefined') {
 
                             var t_factors = new Factors();
 
+                            var sqfr = symbol.clone();
+
                             symbol = __.Factor.trialAndError(symbol, t_factors, v);
 
+                            //the heuristics can get factors wrong so discard them if they don't multiply back
+                            if(!_.expand(_.subtract(_.multiply(t_factors.toSymbol(), symbol.clone()), sqfr.clone())).equals(0)) {
+                                t_factors = new Factors();
+                                symbol = sqfr;
+                            }
+
+                            //integer polynomials are factored completely
+                            var int_factors = __.Factor.intFactor(symbol, v);
+                            if(int_factors) {
+                                int_factors.forEach(function (x) {
+                                    t_factors.add(x);
+                                });
+                                symbol = new Symbol(1);
+                            }
+
                             //generate a symbol based off the last factors
                             var tf_symbol = t_factors.toSymbol();
                             //if nothing was factored then return the factors
@@ -2805,6 +2883,209 @@ if((typeof module) !== 'undefined') {
                     return untouched;
                 }
             },
+            /**
+             * Factors a univariate polynomial with integer coefficients completely using a square-free
+             * decomposition followed by Hensel lifting
+             * @param {Symbol} symbol
+             * @param {String} v
+             * @returns {Symbol[]|undefined} Undefined if the symbol is irreducible or not such a polynomial of degree 2 or higher
+             */
+            intFactor: function (symbol, v) {
+                var S = __.Subresultant,
+                        F = __.FiniteField,
+                        a;
+                try {
+                    a = S.fromSymbol(symbol, [v]);
+                }
+                catch(e) {
+                    return;
+                }
+                if(a.length < 3 || !a.every(function (c) {
+                    return c.isInteger();
+                }))
+                    return;
+                //the square-free decomposition over the rationals
+                var retval = [],
+                        m = S.lc(a).num,
+                        c = S.gcd(a, S.diff(a, 1), 1),
+                        w = S.divide(a, c, 1),
+                        i = 1;
+                while(w.length > 1) {
+                    var y = S.gcd(w, c, 1),
+                            z = S.primitive(S.divide(w, y, 1), 1);
+                    if(z.length > 1) {
+                        m = m.divide(S.lc(z).num.pow(i));
+                        __.Factor.zassenhaus(z.map(function (x) {
+                            return x.num;
+                        })).forEach(function (g) {
+                            retval.push(_.pow(F.toSymbol(g, v), new Symbol(i)));
+                        });
+                    }
+                    w = y;
+                    c = S.divide(c, y, 1);
+                    i++;
+                }
+                //nothing to factor
+                if(retval.length === 1 && retval[0].power.equals(1))
+                    return;
+                if(!m.equals(1))
+                    retval.unshift(new Symbol(m.toString()));
+                return retval;
+            },
+            /**
+             * Zassenhaus' algorithm. The polynomial is factored modulo a prime, the factors are lifted
+             * and then recombined into the factors over the integers.
+             * @param {bigInt[]} f A square-free primitive polynomial
+             * @returns {bigInt[][]} The irreducible factors with positive lead coefficients
+             */
+            zassenhaus: function (f) {
+                var F = __.FiniteField,
+                        n = f.length - 1,
+                        lc = F.lc(f),
+                        tries = 0,
+                        best, p;
+                if(lc.isNegative())
+                    f = F.scale(f, -1);
+                if(n < 2)
+                    return [f];
+                lc = lc.abs();
+                //take the prime with the fewest modular factors out of a few candidates
+                for(var q = bigInt(3); tries < 5; q = q.add(2)) {
+                    if(!q.isPrime() || lc.mod(q).isZero())
+                        continue;
+                    var fq = F.reduce(f, q);
+                    if(F.gcd(fq, F.diff(fq, q), q).length > 1)
+                        continue;
+                    var factors = F.factor(f, q)[1];
+                    if(factors.length === 1)
+                        return [f];
+                    if(!best || factors.length < best.length) {
+                        best = factors;
+                        p = q;
+                    }
+                    tries++;
+                }
+                //the coefficients of lc(f)*g for a factor g are bounded by 2^n*|f|*lc(f)
+                var bound = bigInt(2).pow(n + 1).multiply(lc).multiply(f.reduce(function (a, c) {
+                    return a.add(c.abs());
+                }, bigInt.zero)),
+                        M = p,
+                        k = 1;
+                while(M.lesserOrEquals(bound)) {
+                    M = M.multiply(p);
+                    k++;
+                }
+                var gs = F.hensel(f, best.map(function (x) {
+                    return x[0];
+                }), p, k),
+                        retval = [],
+                        s = 1;
+                //try the products of s factors at a time
+                while(2 * s <= gs.length) {
+                    var found = __.Factor.subsets(gs.length, s).some(function (subset) {
+                        var g = F.scale(subset.reduce(function (a, j) {
+                            return F.multiply(a, gs[j], M);
+                        }, [bigInt.one]), F.lc(f), M);
+                        g = __.Factor.intPrimitive(F.symmetric(g, M));
+                        var quotient = __.Factor.intDivide(f, g);
+                        if(quotient) {
+                            retval.push(g);
+                            f = quotient;
+                            gs = gs.filter(function (x, j) {
+                                return subset.indexOf(j) === -1;
+                            });
+                        }
+                        return !!quotient;
+                    });
+                    if(!found)
+                        s++;
+                }
+                retval.push(f);
+                return retval;
+            },
+            /**
+             * Generates all subsets of size k of [0, ..., n-1]
+             * @param {int} n
+             * @param {int} k
+             * @returns {int[][]}
+             */
+            subsets: function (n, k) {
+                if(k === 0)
+                    return [[]];
+                var retval = [];
+                for(var i = n - 1; i >= k - 1; i--)
+                    __.Factor.subsets(i, k - 1).forEach(function (s) {
+                        retval.push(s.concat(i));
+                    });
+                return retval;
+            },
+            /**
+             * Divides out the content of an integer polynomial and makes the lead coefficient positive
+             * @param {bigInt[]} a
+             * @returns {bigInt[]}
+             */
+            intPrimitive: function (a) {
+                var c = a.reduce(function (g, x) {
+                    return bigInt.gcd(g, x);
+                }, bigInt.zero);
+                if(__.FiniteField.lc(a).isNegative())
+                    c = c.negate();
+                return a.map(function (x) {
+                    return x.divide(c);
+                });
+            },
+            /**
+             * Divides two integer polynomials
+             * @param {bigInt[]} a
+             * @param {bigInt[]} b
+             * @returns {bigInt[]|undefined} The quotient or undefined if b doesn't divide a
+             */
+            intDivide: function (a, b) {
+                var F = __.FiniteField,
+                        r = a.slice(),
+                        q = [];
+                if(!a[0].mod(b[0].isZero() ? bigInt.one : b[0]).isZero())
+                    return;
+                while(r.length >= b.length) {
+                    var d = r.length - b.length,
+                            l = F.lc(r);
+                    if(!l.mod(F.lc(b)).isZero())
+                        return;
+                    q[d] = l.divide(F.lc(b));
+                    for(var j = 0; j < b.length; j++)
+                        r[j + d] = r[j + d].subtract(q[d].multiply(b[j]));
+                    r = F.reduce(r);
+                }
+                if(r.length)
+                    return;
+                for(var i = 0; i < q.length; i++)
+                    q[i] = q[i] || bigInt.zero;
+                return q;
+            },
+            /**
+             * Factors a univariate polynomial modulo a prime
+             * @param {Symbol} symbol
+             * @param {Symbol} modulus
+             * @returns {Symbol}
+             */
+            modFactor: function (symbol, modulus) {
+                if(!modulus.isInteger() || !modulus.multiplier.num.isPrime())
+                    throw new core.exceptions.NerdamerValueError('The modulus must be a prime number!');
+                var F = __.FiniteField,
+                        S = __.Subresultant,
+                        p = modulus.multiplier.num,
+                        vars = S.variables([symbol]),
+                        v = vars[0],
+                        f = S.fromSymbol(symbol, vars).map(function (c) {
+                            return c.num.multiply(c.den.modInv(p));
+                        }),
+                        factored = F.factor(f, p),
+                        retval = new Symbol(F.symmetric([factored[0]], p)[0] || 0);
+                factored[1].forEach(function (x) {
+                    retval = _.multiply(retval, _.pow(F.toSymbol(F.symmetric(x[0], p), v), new Symbol(x[1])));
+                });
+                return retval;
+            },
             search: function (poly, factors, base) {
                 base = base || 10; //I like 10 because numbers exhibit similar behaviours at 10
                 var v = poly.variable; //the polynmial variable name
@@ -3289,8 +3570,9 @@ if((typeof module) !== 'undefined') {
                 var q = _.divide(a.clone(), b.clone()); //get the quotient
                 var t = _.multiply(b.clone(), q.getDenom().invert());//multiply by the denominator
                 //if they have a common factor then the result will not equal one 
+                //the numeric content is dropped like for polynomials e.g. gcd(6*x*y, 4*x) = x
                 if(!t.equals(1))
-                    return t;
+                    return t.isComposite() ? t : t.toUnitMultiplier();
             }
 
             //just take the gcd of each component when either of them is in group EX
@@ -3316,6 +3598,27 @@ if((typeof module) !== 'undefined') {
                 return _.divide(a.gcd(b).toSymbol(), den);
             }
             else {
+                //the subresultant PRS keeps the coefficients from blowing up
+                try {
+                    var S = __.Subresultant,
+                            vars = core.Utils.arrayUnique(vars_a.concat(vars_b)).sort(),
+                            g = S.toSymbol(S.gcd(S.fromSymbol(a, vars), S.fromSymbol(b, vars), vars.length), vars);
+                    //the numeric content is dropped e.g. gcd(x/2+y/2, x+y) = x+y
+                    if(g.isConstant())
+                        return new Symbol(1);
+                    if(!g.isComposite())
+                        return g.toUnitMultiplier();
+                    var content = [];
+                    g.each(function (x) {
+                        content.push(x.multiplier);
+                    });
+                    return _.expand(_.divide(g, new Symbol(core.Math2.QGCD.apply(undefined, content))));
+                }
+                catch(e) {
+                    if(!(e instanceof core.exceptions.NerdamerTypeError))
+                        throw e;
+                }
+
                 //get the gcd of the multipiers
                 //get rid of gcd in coeffs
                 var multipliers = [];
@@ -3418,6 +3721,69 @@ if((typeof module) !== 'undefined') {
             var div = _.divide(numer, denom);
             return div;
         },
+        /**
+         * The extended Euclidean algorithm for integers or univariate polynomials. Returns [g, s, t] where
+         * s*a+t*b = g. The gcd of polynomials is monic and the gcd of integers is nonnegative.
+         * PartFrac gets the numerators of the partial fractions from Polynomial.gcdex.
+         * @param {Symbol} a
+         * @param {Symbol} b
+         * @param {Symbol} x The variable of the polynomials
+         * @returns {Vector}
+         */
+        gcdex: function (a, b, x) {
+            if(!x && a.isInteger() && b.isInteger()) {
+                var r0 = a.multiplier.num, r1 = b.multiplier.num,
+                        s0 = bigInt(1), s1 = bigInt(0),
+                        t0 = bigInt(0), t1 = bigInt(1);
+                while(!r1.isZero()) {
+                    var q = r0.divide(r1),
+                            r = r0.subtract(q.multiply(r1)),
+                            s = s0.subtract(q.multiply(s1)),
+                            t = t0.subtract(q.multiply(t1));
+                    r0 = r1;
+                    r1 = r;
+                    s0 = s1;
+                    s1 = s;
+                    t0 = t1;
+                    t1 = t;
+                }
+                if(r0.isNegative()) {
+                    r0 = r0.negate();
+                    s0 = s0.negate();
+                    t0 = t0.negate();
+                }
+                return new core.Vector([r0, s0, t0].map(function (n) {
+                    return new Symbol(n.toString());
+                }));
+            }
+            var S = __.Subresultant,
+                    vars = S.variables([a, b], x);
+            if(vars.length > 1)
+                throw new core.exceptions.NerdamerTypeError('gcdex expects univariate polynomials!');
+            var v = vars[0],
+                    p1 = Polynomial.fromArray(S.fromSymbol(a, vars), v),
+                    p2 = Polynomial.fromArray(S.fromSymbol(b, vars), v);
+            return new core.Vector(p1.gcdex(p2).map(function (p) {
+                return p.toSymbol();
+            }));
+        },
+        /**
+         * Calculates the inverse of a modulo m
+         * @param {Symbol} a
+         * @param {Symbol} m
+         * @returns {Symbol}
+         */
+        modinv: function (a, m) {
+            if(!a.isInteger() || !m.isInteger() || m.lessThan(1))
+                throw new core.exceptions.NerdamerTypeError('modinv expects an integer and a positive integer modulus!');
+            var g = __.gcdex(a, m).elements;
+            if(!g[0].equals(1))
+                throw new core.exceptions.NerdamerValueError(a.text() + ' has no inverse modulo ' + m.text());
+            var inv = g[1].multiplier.num.mod(m.multiplier.num);
+            if(inv.isNegative())
+                inv = inv.add(m.multiplier.num);
+            return new Symbol(inv.toString());
+        },
         /**
          * Divides one expression by another
          * @param {Symbol} symbol1
@@ -3762,6 +4128,1245 @@ if((typeof module) !== 'undefined') {
             }
 
         },
+        /**
+         * Groebner bases using Buchberger's algorithm. A polynomial is stored as an array of MVTerms
+         * sorted by the monomial order with the leading term first.
+         */
+        Groebner: {
+            //the monomial orders. Each returns a positive number if a comes before b
+            orders: {
+                lex: function (a, b) {
+                    for(var i = 0; i < a.terms.length; i++) {
+                        var d = a.terms[i].subtract(b.terms[i]);
+                        if(!d.equals(0))
+                            return d.sign();
+                    }
+                    return 0;
+                },
+                grlex: function (a, b) {
+                    var d = a.sum.subtract(b.sum);
+                    return d.equals(0) ? __.Groebner.orders.lex(a, b) : d.sign();
+                },
+                grevlex: function (a, b) {
+                    var d = a.sum.subtract(b.sum);
+                    if(!d.equals(0))
+                        return d.sign();
+                    for(var i = a.terms.length - 1; i >= 0; i--) {
+                        d = b.terms[i].subtract(a.terms[i]);
+                        if(!d.equals(0))
+                            return d.sign();
+                    }
+                    return 0;
+                }
+            },
+            /**
+             * Creates a monomial with the given exponents
+             * @param {Frac} coeff
+             * @param {Frac[]} terms
+             * @param {Object} map
+             * @returns {MVTerm}
+             */
+            term: function (coeff, terms, map) {
+                var t = new MVTerm(coeff, terms, map);
+                return t.fill().generateImage();
+            },
+            /**
+             * Converts a symbol to a polynomial with rational coefficients in the variables of the map
+             * @param {Symbol} symbol
+             * @param {Object} map
+             * @param {Function} order
+             * @returns {MVTerm[]}
+             */
+            toPolynomial: function (symbol, map, order) {
+                var expanded = _.expand(symbol.clone()),
+                        terms = expanded.isComposite() ? expanded.collectSymbols(null, null, null, true) : [expanded],
+                        poly = [];
+                for(var i = 0; i < terms.length; i++) {
+                    var term = terms[i],
+                            exponents = [],
+                            factors = term.group === CB ? term.collectSymbols() : [term.clone().toUnitMultiplier()];
+                    for(var j = 0; j < factors.length; j++) {
+                        var f = factors[j];
+                        if(f.isConstant() && f.equals(1))
+                            continue;
+                        if(f.group !== S || !(f.value in map) || !isInt(f.power) || f.power < 0)
+                            throw new core.exceptions.NerdamerTypeError('Polynomial with rational coefficients in ' +
+                                    keys(map).filter(function (x) {
+                                        return x !== 'length';
+                                    }) + ' expected. Received ' + symbol);
+                        exponents[map[f.value]] = f.power;
+                    }
+                    poly = __.Groebner.add(poly, [__.Groebner.term(term.multiplier.clone(), exponents, map)], order);
+                }
+                return poly;
+            },
+            /**
+             * Converts a polynomial back to a symbol
+             * @param {MVTerm[]} poly
+             * @returns {Symbol}
+             */
+            toSymbol: function (poly) {
+                var retval = new Symbol(0);
+                for(var i = 0; i < poly.length; i++)
+                    retval = _.add(retval, poly[i].toSymbol());
+                return retval;
+            },
+            /**
+             * Adds two polynomials
+             * @param {MVTerm[]} a
+             * @param {MVTerm[]} b
+             * @param {Function} order
+             * @returns {MVTerm[]}
+             */
+            add: function (a, b, order) {
+                var terms = {},
+                        retval = [];
+                a.concat(b).forEach(function (t) {
+                    var img = t.getImg();
+                    terms[img] = terms[img] ? __.Groebner.term(terms[img].coeff.add(t.coeff), t.terms, t.map) : t;
+                });
+                for(var img in terms)
+                    if(!terms[img].coeff.equals(0))
+                        retval.push(terms[img]);
+                return retval.sort(function (x, y) {
+                    return order(y, x);
+                });
+            },
+            /**
+             * Multiplies a polynomial by a monomial
+             * @param {MVTerm[]} poly
+             * @param {MVTerm} t
+             * @returns {MVTerm[]}
+             */
+            multiply: function (poly, t) {
+                return poly.map(function (x) {
+                    return x.multiply(t).generateImage();
+                });
+            },
+            /**
+             * Checks if the monomial a divides the monomial b
+             * @param {MVTerm} a
+             * @param {MVTerm} b
+             * @returns {boolean}
+             */
+            divides: function (a, b) {
+                for(var i = 0; i < a.terms.length; i++)
+                    if(a.terms[i].greaterThan(b.terms[i]))
+                        return false;
+                return true;
+            },
+            /**
+             * Divides the polynomial by its leading coefficient
+             * @param {MVTerm[]} poly
+             * @returns {MVTerm[]}
+             */
+            monic: function (poly) {
+                var lc = poly[0].coeff;
+                return poly.map(function (t) {
+                    return __.Groebner.term(t.coeff.divide(lc), t.terms, t.map);
+                });
+            },
+            /**
+             * Reduces a polynomial completely by a set of polynomials and returns the remainder
+             * @param {MVTerm[]} poly
+             * @param {MVTerm[][]} G
+             * @param {Function} order
+             * @returns {MVTerm[]}
+             */
+            reduce: function (poly, G, order) {
+                var remainder = [];
+                while(poly.length) {
+                    var lt = poly[0],
+                            divisor = null;
+                    for(var i = 0; i < G.length && !divisor; i++)
+                        if(G[i].length && __.Groebner.divides(G[i][0], lt))
+                            divisor = G[i];
+                    if(divisor) {
+                        var q = lt.divide(divisor[0]);
+                        q.coeff = q.coeff.clone().neg();
+                        poly = __.Groebner.add(poly, __.Groebner.multiply(divisor, q), order);
+                    }
+                    else
+                        remainder.push(poly.shift());
+                }
+                return remainder;
+            },
+            /**
+             * The S-polynomial of f and g
+             * @param {MVTerm[]} f
+             * @param {MVTerm[]} g
+             * @param {Function} order
+             * @returns {MVTerm[]}
+             */
+            spoly: function (f, g, order) {
+                var lcm = __.Groebner.lcm(f[0], g[0]),
+                        a = lcm.divide(f[0]),
+                        b = lcm.divide(g[0]);
+                b.coeff = b.coeff.clone().neg();
+                return __.Groebner.add(__.Groebner.multiply(f, a), __.Groebner.multiply(g, b), order);
+            },
+            /**
+             * The least common multiple of two monomials with a unit coefficient
+             * @param {MVTerm} a
+             * @param {MVTerm} b
+             * @returns {MVTerm}
+             */
+            lcm: function (a, b) {
+                return __.Groebner.term(new Frac(1), a.terms.map(function (x, i) {
+                    return x.greaterThan(b.terms[i]) ? x : b.terms[i];
+                }), a.map);
+            },
+            /**
+             * Computes the reduced Groebner basis
+             * @param {MVTerm[][]} F
+             * @param {Function} order
+             * @returns {MVTerm[][]}
+             */
+            basis: function (F, order) {
+                var G = F.filter(function (f) {
+                    return f.length > 0;
+                }).map(__.Groebner.monic),
+                        pairs = [],
+                        safety = 0;
+                for(var i = 0; i < G.length; i++)
+                    for(var j = 0; j < i; j++)
+                        pairs.push([j, i]);
+                while(pairs.length) {
+                    if(safety++ > core.Settings.GROEBNER_MAX_PAIRS)
+                        throw new core.exceptions.InfiniteLoopError('Unable to compute the Groebner basis!');
+                    //the normal strategy picks the pair with the smallest lcm first
+                    pairs.sort(function (p, q) {
+                        return order(__.Groebner.lcm(G[q[0]][0], G[q[1]][0]), __.Groebner.lcm(G[p[0]][0], G[p[1]][0]));
+                    });
+                    var pair = pairs.pop(),
+                            f = G[pair[0]],
+                            g = G[pair[1]];
+                    //Buchberger's first criterion. Leading monomials with no common variables reduce to zero
+                    if(__.Groebner.lcm(f[0], g[0]).sum.equals(f[0].sum.add(g[0].sum)))
+                        continue;
+                    var r = __.Groebner.reduce(__.Groebner.spoly(f, g, order), G, order);
+                    if(r.length) {
+                        G.push(__.Groebner.monic(r));
+                        for(var k = 0; k < G.length - 1; k++)
+                            pairs.push([k, G.length - 1]);
+                    }
+                }
+                //remove the polynomials whose leading term is divisible by another
+                G = G.filter(function (g, i) {
+                    for(var j = 0; j < G.length; j++)
+                        if(j !== i && G[j] && __.Groebner.divides(G[j][0], g[0]) && (j < i || !__.Groebner.divides(g[0], G[j][0]))) {
+                            G[i] = null;
+                            return false;
+                        }
+                    return true;
+                });
+                //reduce each polynomial by the rest
+                for(var i = 0; i < G.length; i++)
+                    G[i] = __.Groebner.monic(__.Groebner.reduce(G[i], G.filter(function (x, j) {
+                        return j !== i;
+                    }), order));
+                return G.sort(function (a, b) {
+                    return order(b[0], a[0]);
+                });
+            },
+            /**
+             * Computes the reduced Groebner basis of a list of polynomials. The polynomials are returned
+             * with integer coefficients and a positive leading coefficient.
+             * @param {Vector|Symbol[]} polys
+             * @param {Vector|String[]} vars The variables from the largest to the smallest. Defaults to the variables of the polynomials.
+             * @param {String} order One of lex, grlex or grevlex. Defaults to lex.
+             * @returns {Vector}
+             */
+            groebner: function (polys, vars, order) {
+                polys = (core.Utils.isVector(polys) ? polys.elements : core.Utils.isArray(polys) ? polys : [polys]).map(function (p) {
+                    //equations are moved to the left hand side
+                    return core.Utils.isSymbol(p) ? p : _.subtract(p.LHS.clone(), p.RHS.clone());
+                });
+                vars = vars ? (core.Utils.isVector(vars) ? vars.elements : core.Utils.isArray(vars) ? vars : [vars]).map(String) : core.Utils.arrayGetVariables(polys);
+                order = String(order || 'lex');
+                var cmp = __.Groebner.orders[order];
+                if(!cmp)
+                    throw new core.exceptions.NerdamerValueError('Unknown monomial order ' + order + '. Use lex, grlex or grevlex');
+                var map = core.Utils.toMapObj(vars),
+                        G = __.Groebner.basis(polys.map(function (p) {
+                            return __.Groebner.toPolynomial(p, map, cmp);
+                        }), cmp);
+                return new core.Vector(G.map(function (g) {
+                    //clear the denominators
+                    var c = g.reduce(function (c, t) {
+                        return c.gcd(t.coeff);
+                    }, g[0].coeff.clone());
+                    return __.Groebner.toSymbol(g.map(function (t) {
+                        return __.Groebner.term(t.coeff.divide(c), t.terms, t.map);
+                    }));
+                }));
+            }
+        },
+        /**
+         * Subresultant polynomial remainder sequences. A polynomial in n variables is stored densely
+         * as an array of coefficients in the first variable, each of which is a polynomial in the
+         * remaining n-1 variables. A polynomial in no variables is a Frac.
+         */
+        Subresultant: {
+            /**
+             * Converts a Symbol to its dense representation
+             * @param {Symbol} symbol
+             * @param {String[]} vars
+             * @returns {Array|Frac}
+             */
+            fromSymbol: function (symbol, vars) {
+                if(vars.length === 0) {
+                    if(symbol.group !== N)
+                        throw new core.exceptions.NerdamerTypeError('Polynomial with rational coefficients expected! Received ' + symbol.text());
+                    return symbol.multiplier.clone();
+                }
+                symbol = _.expand(symbol.clone());
+                if(!symbol.isPoly(true))
+                    throw new core.exceptions.NerdamerTypeError('Polynomial expected! Received ' + symbol.text());
+                var v = vars[0],
+                        rest = vars.slice(1),
+                        coeffs;
+                if(symbol.isComposite())
+                    coeffs = core.Utils.getCoeffs(symbol, v);
+                else {
+                    //a single term so the coefficient sits at the power of v
+                    var p = symbol.contains(v) ? Number(__.degree(symbol, _.parse(v))) : 0;
+                    coeffs = [];
+                    for(var i = 0; i < p; i++)
+                        coeffs[i] = new Symbol(0);
+                    coeffs[p] = p ? symbol.stripVar(v) : symbol;
+                }
+                return __.Subresultant.trim(coeffs.map(function (c) {
+                    return __.Subresultant.fromSymbol(c, rest);
+                }), vars.length);
+            },
+            /**
+             * Converts the dense representation back to a Symbol
+             * @param {Array|Frac} p
+             * @param {String[]} vars
+             * @returns {Symbol}
+             */
+            toSymbol: function (p, vars) {
+                if(vars.length === 0)
+                    return new Symbol(p);
+                var rest = vars.slice(1),
+                        retval = new Symbol(0);
+                for(var i = 0; i < p.length; i++)
+                    retval = _.add(retval, _.multiply(__.Subresultant.toSymbol(p[i], rest), _.pow(_.parse(vars[0]), new Symbol(i))));
+                return retval;
+            },
+            zero: function (n) {
+                return n ? [] : new Frac(0);
+            },
+            isZero: function (p, n) {
+                return n ? p.length === 0 : p.equals(0);
+            },
+            /**
+             * Removes the leading zero coefficients
+             * @param {Array} p
+             * @param {int} n
+             * @returns {Array}
+             */
+            trim: function (p, n) {
+                while(p.length && __.Subresultant.isZero(p[p.length - 1], n - 1))
+                    p.pop();
+                return p;
+            },
+            deg: function (p) {
+                return p.length - 1;
+            },
+            lc: function (p) {
+                return p[p.length - 1];
+            },
+            add: function (a, b, n) {
+                if(!n)
+                    return a.add(b);
+                var c = [];
+                for(var i = 0; i < Math.max(a.length, b.length); i++) {
+                    if(i >= a.length)
+                        c[i] = b[i];
+                    else if(i >= b.length)
+                        c[i] = a[i];
+                    else
+                        c[i] = __.Subresultant.add(a[i], b[i], n - 1);
+                }
+                return __.Subresultant.trim(c, n);
+            },
+            neg: function (p, n) {
+                if(!n)
+                    return p.clone().neg();
+                return p.map(function (c) {
+                    return __.Subresultant.neg(c, n - 1);
+                });
+            },
+            subtract: function (a, b, n) {
+                return __.Subresultant.add(a, __.Subresultant.neg(b, n), n);
+            },
+            multiply: function (a, b, n) {
+                if(!n)
+                    return a.multiply(b);
+                var c = [];
+                for(var i = 0; i < a.length; i++)
+                    for(var j = 0; j < b.length; j++) {
+                        var t = __.Subresultant.multiply(a[i], b[j], n - 1);
+                        c[i + j] = c[i + j] ? __.Subresultant.add(c[i + j], t, n - 1) : t;
+                    }
+                return __.Subresultant.trim(c, n);
+            },
+            /**
+             * Multiplies a polynomial in n variables by a polynomial in n-1 variables
+             * @param {Array} p
+             * @param {Array|Frac} c
+             * @param {int} n
+             * @returns {Array}
+             */
+            scale: function (p, c, n) {
+                return __.Subresultant.trim(p.map(function (x) {
+                    return __.Subresultant.multiply(x, c, n - 1);
+                }), n);
+            },
+            pow: function (p, k, n) {
+                var retval = __.Subresultant.one(n);
+                for(var i = 0; i < k; i++)
+                    retval = __.Subresultant.multiply(retval, p, n);
+                return retval;
+            },
+            one: function (n) {
+                return n ? [__.Subresultant.one(n - 1)] : new Frac(1);
+            },
+            /**
+             * Differentiates p with respect to the first variable
+             * @param {Array} p
+             * @param {int} n
+             * @returns {Array}
+             */
+            diff: function (p, n) {
+                var S = __.Subresultant,
+                        k = S.one(n - 1);
+                return S.trim(p.slice(1).map(function (c, i) {
+                    var d = S.zero(n - 1);
+                    for(var j = 0; j <= i; j++)
+                        d = S.add(d, k, n - 1);
+                    return S.multiply(c, d, n - 1);
+                }), n);
+            },
+            /**
+             * Divides a by b. The division has to be exact.
+             * @param {Array|Frac} a
+             * @param {Array|Frac} b
+             * @param {int} n
+             * @returns {Array|Frac}
+             */
+            divide: function (a, b, n) {
+                if(!n)
+                    return a.divide(b);
+                var S = __.Subresultant,
+                        r = a.slice(),
+                        q = [];
+                while(r.length && S.deg(r) >= S.deg(b)) {
+                    var d = S.deg(r) - S.deg(b),
+                            c = S.divide(S.lc(r), S.lc(b), n - 1),
+                            t = [];
+                    for(var i = 0; i < d; i++)
+                        t[i] = S.zero(n - 1);
+                    t[d] = c;
+                    q[d] = c;
+                    r = S.subtract(r, S.multiply(t, b, n), n);
+                }
+                if(r.length)
+                    throw new core.exceptions.NerdamerValueError('Division is not exact');
+                for(var i = 0; i < q.length; i++)
+                    q[i] = q[i] || S.zero(n - 1);
+                return q;
+            },
+            /**
+             * The pseudo-remainder lc(b)^(deg(a)-deg(b)+1)*a mod b
+             * @param {Array} a
+             * @param {Array} b
+             * @param {int} n
+             * @returns {Array}
+             */
+            prem: function (a, b, n) {
+                var S = __.Subresultant,
+                        r = a.slice(),
+                        db = S.deg(b),
+                        e = S.deg(a) - db + 1,
+                        l = S.lc(b);
+                while(r.length && S.deg(r) >= db) {
+                    var t = [];
+                    for(var i = 0; i < S.deg(r) - db; i++)
+                        t[i] = S.zero(n - 1);
+                    t.push(S.lc(r));
+                    r = S.subtract(S.scale(r, l, n), S.multiply(t, b, n), n);
+                    e--;
+                }
+                return S.scale(r, S.pow(l, e, n - 1), n);
+            },
+            /**
+             * The resultant of a and b with respect to the first variable
+             * @param {Array} a
+             * @param {Array} b
+             * @param {int} n
+             * @returns {Array|Frac} A polynomial in the remaining n-1 variables
+             */
+            resultant: function (a, b, n) {
+                var S = __.Subresultant,
+                        s = 1;
+                if(!a.length || !b.length)
+                    return S.zero(n - 1);
+                if(S.deg(a) < S.deg(b)) {
+                    if(S.deg(a) % 2 && S.deg(b) % 2)
+                        s = -1;
+                    var t = a;
+                    a = b;
+                    b = t;
+                }
+                var g = S.one(n - 1),
+                        h = S.one(n - 1);
+                while(S.deg(b) > 0) {
+                    var delta = S.deg(a) - S.deg(b);
+                    if(S.deg(a) % 2 && S.deg(b) % 2)
+                        s = -s;
+                    var r = S.prem(a, b, n);
+                    if(!r.length)
+                        return S.zero(n - 1);
+                    a = b;
+                    b = r.map(function (c) {
+                        return S.divide(c, S.multiply(g, S.pow(h, delta, n - 1), n - 1), n - 1);
+                    });
+                    g = S.lc(a);
+                    if(delta > 0)
+                        h = S.divide(S.pow(g, delta, n - 1), S.pow(h, delta - 1, n - 1), n - 1);
+                }
+                var d = S.deg(a),
+                        retval = S.divide(S.pow(S.lc(b), d, n - 1), S.pow(h, d - 1, n - 1), n - 1);
+                return s < 0 ? S.neg(retval, n - 1) : retval;
+            },
+            /**
+             * The content of p i.e. the gcd of its coefficients
+             * @param {Array} p
+             * @param {int} n
+             * @returns {Array|Frac}
+             */
+            content: function (p, n) {
+                var S = __.Subresultant,
+                        c = S.zero(n - 1);
+                for(var i = 0; i < p.length; i++)
+                    c = S.gcd(c, p[i], n - 1);
+                return c;
+            },
+            /**
+             * Normalizes p so that it has integer coefficients with no common factor and a positive
+             * leading coefficient
+             * @param {Array|Frac} p
+             * @param {int} n
+             * @returns {Array|Frac}
+             */
+            primitive: function (p, n) {
+                var S = __.Subresultant;
+                if(!n)
+                    return p.equals(0) ? p : new Frac(1);
+                if(!p.length)
+                    return p;
+                p = p.map(function (c) {
+                    return S.divide(c, S.content(p, n), n - 1);
+                });
+                var l = p;
+                for(var i = n; i > 0; i--)
+                    l = S.lc(l);
+                return l.lessThan(0) ? S.neg(p, n) : p;
+            },
+            /**
+             * The gcd of a and b using the subresultant PRS. The result has integer coefficients and
+             * a positive leading coefficient.
+             * @param {Array|Frac} a
+             * @param {Array|Frac} b
+             * @param {int} n
+             * @returns {Array|Frac}
+             */
+            gcd: function (a, b, n) {
+                var S = __.Subresultant;
+                if(!n) {
+                    if(a.equals(0))
+                        return b.clone().abs();
+                    if(b.equals(0))
+                        return a.clone().abs();
+                    return core.Math2.QGCD(a, b).abs();
+                }
+                if(!a.length)
+                    return S.normalize(b, n);
+                if(!b.length)
+                    return S.normalize(a, n);
+                if(S.deg(a) < S.deg(b)) {
+                    var t = a;
+                    a = b;
+                    b = t;
+                }
+                var c = S.gcd(S.content(a, n), S.content(b, n), n - 1),
+                        g = S.one(n - 1),
+                        h = S.one(n - 1);
+                a = S.primitive(a, n);
+                b = S.primitive(b, n);
+                while(S.deg(b) > 0) {
+                    var delta = S.deg(a) - S.deg(b),
+                            r = S.prem(a, b, n);
+                    if(!r.length)
+                        break;
+                    a = b;
+                    b = r.map(function (x) {
+                        return S.divide(x, S.multiply(g, S.pow(h, delta, n - 1), n - 1), n - 1);
+                    });
+                    g = S.lc(a);
+                    if(delta > 0)
+                        h = S.divide(S.pow(g, delta, n - 1), S.pow(h, delta - 1, n - 1), n - 1);
+                }
+                //a nonzero constant remainder means the polynomials are coprime
+                var retval = S.deg(b) === 0 ? S.one(n) : S.primitive(b, n);
+                return S.scale(retval, c, n);
+            },
+            /**
+             * Makes the leading coefficient positive and the coefficients integers with no common factor
+             * other than the numeric content
+             * @param {Array} p
+             * @param {int} n
+             * @returns {Array}
+             */
+            normalize: function (p, n) {
+                var S = __.Subresultant;
+                return S.scale(S.primitive(p, n), S.content(p, n), n);
+            },
+            /**
+             * Gets the variables of the symbols with x placed first
+             * @param {Symbol[]} symbols
+             * @param {Symbol} x
+             * @returns {String[]}
+             */
+            variables: function (symbols, x) {
+                var vars = core.Utils.arrayUnique([].concat.apply([], symbols.map(function (symbol) {
+                    return variables(symbol);
+                }))).sort();
+                if(x)
+                    x = x.toString();
+                else if(vars.length > 1)
+                    throw new core.exceptions.NerdamerValueError('You must specify the variable for multivariate polynomials!');
+                else
+                    x = vars[0] || 'x';
+                return [x].concat(vars.filter(function (v) {
+                    return v !== x;
+                }));
+            }
+        },
+        /**
+         * Arithmetic on univariate polynomials with bigInt coefficients. A polynomial is an array of
+         * coefficients starting from the constant term. The coefficients are reduced modulo m when
+         * it's given.
+         */
+        FiniteField: {
+            //a seeded generator so the random splits are reproducible
+            seed: 1,
+            random: function (m) {
+                __.FiniteField.seed = (__.FiniteField.seed * 16807) % 2147483647;
+                return bigInt(__.FiniteField.seed).mod(m);
+            },
+            reduce: function (a, m) {
+                if(m)
+                    a = a.map(function (c) {
+                        c = c.mod(m);
+                        return c.isNegative() ? c.add(m) : c;
+                    });
+                while(a.length && a[a.length - 1].isZero())
+                    a.pop();
+                return a;
+            },
+            /**
+             * Maps the coefficients to the symmetric range (-m/2, m/2]
+             * @param {bigInt[]} a
+             * @param {bigInt} m
+             * @returns {bigInt[]}
+             */
+            symmetric: function (a, m) {
+                var half = m.divide(2);
+                return __.FiniteField.reduce(a, m).map(function (c) {
+                    return c.greater(half) ? c.subtract(m) : c;
+                });
+            },
+            lc: function (a) {
+                return a[a.length - 1];
+            },
+            toSymbol: function (a, v) {
+                var retval = new Symbol(0);
+                for(var i = 0; i < a.length; i++)
+                    retval = _.add(retval, _.multiply(new Symbol(a[i].toString()), _.pow(_.parse(v), new Symbol(i))));
+                return retval;
+            },
+            add: function (a, b, m) {
+                var c = [];
+                for(var i = 0; i < Math.max(a.length, b.length); i++)
+                    c[i] = (a[i] || bigInt.zero).add(b[i] || bigInt.zero);
+                return __.FiniteField.reduce(c, m);
+            },
+            subtract: function (a, b, m) {
+                var c = [];
+                for(var i = 0; i < Math.max(a.length, b.length); i++)
+                    c[i] = (a[i] || bigInt.zero).subtract(b[i] || bigInt.zero);
+                return __.FiniteField.reduce(c, m);
+            },
+            multiply: function (a, b, m) {
+                var c = [];
+                for(var i = 0; i < a.length; i++)
+                    for(var j = 0; j < b.length; j++)
+                        c[i + j] = (c[i + j] || bigInt.zero).add(a[i].multiply(b[j]));
+                return __.FiniteField.reduce(c, m);
+            },
+            scale: function (a, c, m) {
+                return __.FiniteField.reduce(a.map(function (x) {
+                    return x.multiply(c);
+                }), m);
+            },
+            /**
+             * Divides a by b. The lead coefficient of b has to be invertible modulo m.
+             * @param {bigInt[]} a
+             * @param {bigInt[]} b
+             * @param {bigInt} m
+             * @returns {Array} The quotient and the remainder
+             */
+            divide: function (a, b, m) {
+                var F = __.FiniteField,
+                        inv = F.lc(b).modInv(m),
+                        r = a.slice(),
+                        q = [];
+                while(r.length >= b.length) {
+                    var d = r.length - b.length,
+                            c = F.lc(r).multiply(inv).mod(m);
+                    q[d] = c;
+                    for(var j = 0; j < b.length; j++)
+                        r[j + d] = r[j + d].subtract(c.multiply(b[j]));
+                    r = F.reduce(r, m);
+                }
+                for(var i = 0; i < q.length; i++)
+                    q[i] = q[i] || bigInt.zero;
+                return [F.reduce(q, m), r];
+            },
+            monic: function (a, m) {
+                return a.length ? __.FiniteField.scale(a, __.FiniteField.lc(a).modInv(m), m) : a;
+            },
+            diff: function (a, m) {
+                return __.FiniteField.reduce(a.slice(1).map(function (c, i) {
+                    return c.multiply(i + 1);
+                }), m);
+            },
+            gcd: function (a, b, p) {
+                while(b.length) {
+                    var r = __.FiniteField.divide(a, b, p)[1];
+                    a = b;
+                    b = r;
+                }
+                return __.FiniteField.monic(a, p);
+            },
+            /**
+             * Returns [g, s, t] where s*a+t*b = g is the monic gcd modulo p
+             * @param {bigInt[]} a
+             * @param {bigInt[]} b
+             * @param {bigInt} p
+             * @returns {Array}
+             */
+            gcdex: function (a, b, p) {
+                var F = __.FiniteField,
+                        s0 = [bigInt.one], s1 = [],
+                        t0 = [], t1 = [bigInt.one];
+                while(b.length) {
+                    var q = F.divide(a, b, p)[0],
+                            r = F.subtract(a, F.multiply(q, b, p), p),
+                            s = F.subtract(s0, F.multiply(q, s1, p), p),
+                            t = F.subtract(t0, F.multiply(q, t1, p), p);
+                    a = b;
+                    b = r;
+                    s0 = s1;
+                    s1 = s;
+                    t0 = t1;
+                    t1 = t;
+                }
+                var inv = F.lc(a).modInv(p);
+                return [F.scale(a, inv, p), F.scale(s0, inv, p), F.scale(t0, inv, p)];
+            },
+            /**
+             * Calculates a^e mod f modulo p
+             * @param {bigInt[]} a
+             * @param {bigInt} e
+             * @param {bigInt[]} f
+             * @param {bigInt} p
+             * @returns {bigInt[]}
+             */
+            powmod: function (a, e, f, p) {
+                var F = __.FiniteField,
+                        retval = [bigInt.one],
+                        base = F.divide(a, f, p)[1];
+                e = bigInt(e);
+                while(e.isPositive()) {
+                    if(e.isOdd())
+                        retval = F.divide(F.multiply(retval, base, p), f, p)[1];
+                    base = F.divide(F.multiply(base, base, p), f, p)[1];
+                    e = e.shiftRight(1);
+                }
+                return retval;
+            },
+            /**
+             * Square-free decomposition of a monic polynomial modulo p
+             * @param {bigInt[]} f
+             * @param {bigInt} p
+             * @returns {Array} An array of [factor, multiplicity]
+             */
+            squareFree: function (f, p) {
+                var F = __.FiniteField,
+                        retval = [],
+                        c = F.gcd(f, F.diff(f, p), p),
+                        w = F.divide(f, c, p)[0],
+                        i = 1;
+                while(w.length > 1) {
+                    var y = F.gcd(w, c, p),
+                            z = F.divide(w, y, p)[0];
+                    if(z.length > 1)
+                        retval.push([z, i]);
+                    w = y;
+                    c = F.divide(c, y, p)[0];
+                    i++;
+                }
+                //what's left is a polynomial in x^p so take its pth root
+                if(c.length > 1) {
+                    var root = [], n = p.toJSNumber();
+                    for(var j = 0; j < c.length; j += n)
+                        root.push(c[j]);
+                    F.squareFree(root, p).forEach(function (x) {
+                        retval.push([x[0], x[1] * n]);
+                    });
+                }
+                return retval;
+            },
+            /**
+             * Splits a square-free monic polynomial into the products of its factors of equal degree
+             * @param {bigInt[]} f
+             * @param {bigInt} p
+             * @returns {Array} An array of [product, degree]
+             */
+            distinctDegree: function (f, p) {
+                var F = __.FiniteField,
+                        retval = [],
+                        x = [bigInt.zero, bigInt.one],
+                        h = x;
+                for(var d = 1; 2 * d < f.length; d++) {
+                    h = F.powmod(h, p, f, p);
+                    var g = F.gcd(f, F.subtract(h, x, p), p);
+                    if(g.length > 1) {
+                        retval.push([g, d]);
+                        f = F.divide(f, g, p)[0];
+                        h = F.divide(h, f, p)[1];
+                    }
+                }
+                if(f.length > 1)
+                    retval.push([f, f.length - 1]);
+                return retval;
+            },
+            /**
+             * Cantor-Zassenhaus splitting of a product of irreducible factors of degree d
+             * @param {bigInt[]} f
+             * @param {int} d
+             * @param {bigInt} p
+             * @returns {bigInt[][]}
+             */
+            equalDegree: function (f, d, p) {
+                var F = __.FiniteField,
+                        n = f.length - 1,
+                        factors = [f];
+                while(factors.length < n / d) {
+                    var h = [];
+                    for(var i = 0; i < n; i++)
+                        h.push(F.random(p));
+                    h = F.reduce(h, p);
+                    var g;
+                    if(p.equals(2)) {
+                        //the trace map h+h^2+...+h^(2^(d-1))
+                        g = h;
+                        var t = h;
+                        for(var i = 1; i < d; i++) {
+                            t = F.powmod(t, 2, f, p);
+                            g = F.add(g, t, p);
+                        }
+                    }
+                    else
+                        g = F.subtract(F.powmod(h, p.pow(d).subtract(1).divide(2), f, p), [bigInt.one], p);
+                    var next = [];
+                    factors.forEach(function (u) {
+                        var c = u.length - 1 > d ? F.gcd(u, g, p) : [bigInt.one];
+                        if(c.length > 1 && c.length < u.length)
+                            next.push(c, F.divide(u, c, p)[0]);
+                        else
+                            next.push(u);
+                    });
+                    factors = next;
+                }
+                return factors;
+            },
+            /**
+             * Factors a polynomial modulo a prime p
+             * @param {bigInt[]} f
+             * @param {bigInt} p
+             * @returns {Array} The lead coefficient and an array of [monic factor, multiplicity]
+             */
+            factor: function (f, p) {
+                var F = __.FiniteField,
+                        retval = [];
+                f = F.reduce(f, p);
+                if(f.length < 2)
+                    return [f[0] || bigInt.zero, retval];
+                var lc = F.lc(f);
+                F.seed = 1;
+                F.squareFree(F.monic(f, p), p).forEach(function (s) {
+                    F.distinctDegree(s[0], p).forEach(function (dd) {
+                        F.equalDegree(dd[0], dd[1], p).forEach(function (g) {
+                            retval.push([g, s[1]]);
+                        });
+                    });
+                });
+                //sort by degree then by coefficients
+                retval.sort(function (a, b) {
+                    a = a[0];
+                    b = b[0];
+                    if(a.length !== b.length)
+                        return a.length - b.length;
+                    for(var i = a.length - 1; i >= 0; i--)
+                        if(!a[i].equals(b[i]))
+                            return a[i].compare(b[i]);
+                    return 0;
+                });
+                return [lc, retval];
+            },
+            /**
+             * Lifts the factorization f = lc(f)*g_1*...*g_r mod p to a factorization mod p^k
+             * @param {bigInt[]} f
+             * @param {bigInt[][]} gs The monic factors modulo p
+             * @param {bigInt} p
+             * @param {int} k
+             * @returns {bigInt[][]} The monic factors modulo p^k
+             */
+            hensel: function (f, gs, p, k) {
+                var F = __.FiniteField,
+                        M = p.pow(k);
+                if(gs.length === 1)
+                    return [F.monic(F.reduce(f, M), M)];
+                var g = gs[0],
+                        h = F.scale(gs.slice(1).reduce(function (a, b) {
+                            return F.multiply(a, b, p);
+                        }), F.lc(f), p),
+                        st = F.gcdex(g, h, p),
+                        s = st[1],
+                        t = st[2],
+                        m = p;
+                for(var i = 1; i < k; i++) {
+                    //the error (f-g*h)/m modulo p
+                    var e = F.reduce(F.subtract(f, F.multiply(g, h)).map(function (c) {
+                        return c.divide(m);
+                    }), p),
+                            qr = F.divide(F.multiply(t, e, p), g, p),
+                            sigma = qr[1],
+                            tau = F.add(F.multiply(s, e, p), F.multiply(qr[0], h, p), p);
+                    g = F.add(g, F.scale(sigma, m));
+                    h = F.add(h, F.scale(tau, m));
+                    m = m.multiply(p);
+                }
+                return [F.reduce(g, M)].concat(F.hensel(F.reduce(h, M), gs.slice(1), p, k));
+            }
+        },
+        /**
+         * Factoring over algebraic number fields Q(alpha) using Trager's algorithm. The elements of
+         * the field are stored as arrays of Fracs holding the coefficients of the powers of alpha.
+         */
+        AlgebraicField: {
+            //the number of temporary variables handed out
+            count: 0,
+            variable: function () {
+                return 'a__' + __.AlgebraicField.count++;
+            },
+            /**
+             * Substitutes a value for a variable
+             * @param {Symbol} symbol
+             * @param {String} v
+             * @param {Symbol} value
+             * @returns {Symbol}
+             */
+            sub: function (symbol, v, value) {
+                var subs = {};
+                subs[v] = value;
+                return _.parse(symbol, subs);
+            },
+            /**
+             * Finds a polynomial with integer coefficients which has alpha as a root
+             * @param {Symbol} alpha
+             * @param {String} a The variable of the polynomial
+             * @returns {Symbol}
+             */
+            annihilator: function (alpha, a) {
+                var A = __.AlgebraicField,
+                        x = _.parse(a),
+                        y = A.variable(),
+                        Y = _.parse(y);
+                if(alpha.group === N)
+                    return _.subtract(x, alpha.clone());
+                if(!alpha.multiplier.equals(1)) {
+                    var m = new Symbol(alpha.multiplier);
+                    return __.resultant(A.annihilator(alpha.clone().toUnitMultiplier(), y), _.subtract(x, _.multiply(m, Y.clone())), Y);
+                }
+                if(!alpha.power.equals(1)) {
+                    var p = alpha.power;
+                    if(core.Utils.isSymbol(p) || !(p instanceof Frac))
+                        throw new core.exceptions.NerdamerTypeError(alpha.text() + ' is not algebraic!');
+                    var q = new Symbol(p.den),
+                            n = new Symbol(p.num.abs()),
+                            //alpha^q = beta^p
+                            g = p.lessThan(0) ?
+                            _.subtract(_.multiply(_.pow(x, q), _.pow(Y.clone(), n)), new Symbol(1)) :
+                            _.subtract(_.pow(x, q), _.pow(Y.clone(), n));
+                    return __.resultant(A.annihilator(alpha.clone().toLinear(), y), _.expand(g), Y);
+                }
+                if(alpha.isImaginary() && alpha.group === S)
+                    return _.add(_.pow(x, new Symbol(2)), new Symbol(1));
+                if(alpha.group === P)
+                    return _.subtract(x, _.parse(alpha.value));
+                if(alpha.group === FN && alpha.fname === 'sqrt')
+                    return __.resultant(A.annihilator(alpha.args[0].clone(), y), _.subtract(_.pow(x, new Symbol(2)), Y.clone()), Y);
+                if(alpha.isComposite() || alpha.group === CB) {
+                    var terms = alpha.collectSymbols(),
+                            retval = A.annihilator(terms[0], a);
+                    for(var i = 1; i < terms.length; i++) {
+                        var z = A.variable(),
+                                Z = _.parse(z),
+                                //x-y is a root of the term's polynomial for sums and x/y for products
+                                t = alpha.group === CB ?
+                                __.resultant(A.annihilator(terms[i], z), _.subtract(x.clone(), _.multiply(Y.clone(), Z.clone())), Z) :
+                                _.expand(A.sub(A.annihilator(terms[i], z), z, _.subtract(x.clone(), Y.clone())));
+                        retval = __.resultant(A.sub(retval, a, Y.clone()), t, Y);
+                    }
+                    return retval;
+                }
+                throw new core.exceptions.NerdamerTypeError(alpha.text() + ' is not algebraic!');
+            },
+            /**
+             * Finds the minimal polynomial of alpha
+             * @param {Symbol} alpha
+             * @param {String} a The variable of the polynomial
+             * @returns {Frac[]}
+             */
+            minpoly: function (alpha, a) {
+                var S = __.Subresultant,
+                        F = __.FiniteField,
+                        P = S.primitive(S.fromSymbol(__.AlgebraicField.annihilator(alpha, a), [a]), 1),
+                        value = evaluate(alpha.clone()),
+                        re = Number(value.realpart()),
+                        im = Number(value.imagpart()),
+                        best, min;
+                //the irreducible factor with alpha as a root
+                __.Factor.zassenhaus(S.primitive(S.divide(P, S.gcd(P, S.diff(P, 1), 1), 1), 1).map(function (c) {
+                    return c.num;
+                })).forEach(function (g) {
+                    var r = 0, i = 0;
+                    for(var k = g.length - 1; k >= 0; k--) {
+                        var t = r * re - i * im + g[k].toJSNumber();
+                        i = r * im + i * re;
+                        r = t;
+                    }
+                    var d = Math.sqrt(r * r + i * i) / Math.sqrt(F.lc(g).toJSNumber() * F.lc(g).toJSNumber());
+                    if(min === undefined || d < min) {
+                        min = d;
+                        best = g;
+                    }
+                });
+                return best.map(function (c) {
+                    return new Frac(c.toString()).divide(new Frac(F.lc(best).toString()));
+                });
+            },
+            /**
+             * Reduces an element modulo the minimal polynomial m
+             * @param {Frac[]} e
+             * @param {Frac[]} m
+             * @returns {Frac[]}
+             */
+            reduce: function (e, m) {
+                var S = __.Subresultant;
+                e = S.trim(e.slice(), 1);
+                while(e.length >= m.length) {
+                    var d = e.length - m.length,
+                            t = [];
+                    for(var i = 0; i < d; i++)
+                        t[i] = new Frac(0);
+                    t[d] = S.lc(e);
+                    e = S.subtract(e, S.multiply(t, m, 1), 1);
+                }
+                return e;
+            },
+            multiply: function (e1, e2, m) {
+                return __.AlgebraicField.reduce(__.Subresultant.multiply(e1, e2, 1), m);
+            },
+            inverse: function (e, m) {
+                var s = Polynomial.fromArray(e.slice(), 'x').gcdex(Polynomial.fromArray(m.slice(), 'x'))[1];
+                return __.AlgebraicField.reduce(s.coeffs, m);
+            },
+            /**
+             * Makes a polynomial over Q(alpha) monic
+             * @param {Array} f
+             * @param {Frac[]} m
+             * @returns {Array}
+             */
+            monic: function (f, m) {
+                var A = __.AlgebraicField,
+                        inv = A.inverse(f[f.length - 1], m);
+                return f.map(function (c) {
+                    return A.multiply(c, inv, m);
+                });
+            },
+            /**
+             * The monic gcd of two polynomials over Q(alpha)
+             * @param {Array} f
+             * @param {Array} g
+             * @param {Frac[]} m
+             * @returns {Array}
+             */
+            gcd: function (f, g, m) {
+                var A = __.AlgebraicField,
+                        S = __.Subresultant;
+                while(g.length) {
+                    g = A.monic(g, m);
+                    var r = f.slice();
+                    while(r.length >= g.length) {
+                        var d = r.length - g.length,
+                                c = r[r.length - 1];
+                        for(var j = 0; j < g.length; j++)
+                            r[j + d] = S.subtract(r[j + d], A.multiply(c, g[j], m), 1);
+                        S.trim(r, 2);
+                    }
+                    f = g;
+                    g = r;
+                }
+                return A.monic(f, m);
+            },
+            /**
+             * Factors a univariate polynomial over Q(alpha). Throws if the norm of the
+             * square-free part has a degree above ALGEBRAIC_FIELD_MAX_DEGREE.
+             * @param {Symbol} symbol
+             * @param {Symbol[]} extension The generators of the field
+             * @returns {Symbol}
+             */
+            factor: function (symbol, extension) {
+                var A = __.AlgebraicField,
+                        S = __.Subresultant,
+                        vars = variables(symbol);
+                if(vars.length > 1)
+                    throw new core.exceptions.NerdamerTypeError('Only univariate polynomials can be factored over an extension!');
+                //a primitive element of the field
+                var alpha = extension.reduce(function (a, b) {
+                    return _.add(a, b.clone());
+                }, new Symbol(0)),
+                        v = vars[0],
+                        a = A.variable(),
+                        m = A.minpoly(alpha, a);
+                if(m.length <= 2 || !v)
+                    return __.Factor.factor(symbol);
+                var f = S.fromSymbol(symbol, [v]),
+                        retval = new Symbol(S.lc(f)),
+                        M = S.toSymbol(m, [a]),
+                        c = S.gcd(f, S.diff(f, 1), 1),
+                        w = S.divide(f, c, 1),
+                        k = 1;
+                //the norms have degree deg(m)*deg(w) and soon become too large to factor
+                if((m.length - 1) * S.deg(w) > core.Settings.ALGEBRAIC_FIELD_MAX_DEGREE)
+                    throw new core.exceptions.ValueLimitExceededError('The extension is too large to factor over!');
+                //factor each of the square-free parts
+                while(w.length > 1) {
+                    var y = S.gcd(w, c, 1),
+                            z = S.toSymbol(S.divide(w, y, 1), [v]);
+                    A.split(z, v, a, m, M).forEach(function (h) {
+                        retval = _.multiply(retval, _.pow(_.expand(A.sub(h, a, alpha.clone())), new Symbol(k)));
+                    });
+                    w = y;
+                    c = S.divide(c, y, 1);
+                    k++;
+                }
+                return retval;
+            },
+            /**
+             * Trager's algorithm for a square-free polynomial
+             * @param {Symbol} g
+             * @param {String} v The variable of g
+             * @param {String} a The variable representing alpha
+             * @param {Frac[]} m The minimal polynomial of alpha
+             * @param {Symbol} M The minimal polynomial as a Symbol
+             * @returns {Symbol[]} The monic factors as polynomials in v and a
+             */
+            split: function (g, v, a, m, M) {
+                var A = __.AlgebraicField,
+                        S = __.Subresultant,
+                        X = _.parse(v),
+                        shifted, N;
+                //shift g until its norm is square-free
+                for(var s = 0; ; s++) {
+                    var shift = _.subtract(X.clone(), _.multiply(new Symbol(s), _.parse(a)));
+                    shifted = _.expand(A.sub(g, v, shift));
+                    N = S.resultant(S.fromSymbol(M, [a, v]), S.fromSymbol(shifted, [a, v]), 2);
+                    if(S.deg(S.gcd(N, S.diff(N, 1), 1)) === 0)
+                        break;
+                }
+                var norms = __.Factor.zassenhaus(S.primitive(N, 1).map(function (c) {
+                    return c.num;
+                }));
+                if(norms.length === 1)
+                    return [g];
+                var G = S.fromSymbol(shifted, [v, a]).map(function (e) {
+                    return A.reduce(e, m);
+                }),
+                        unshift = _.add(X.clone(), _.multiply(new Symbol(s), _.parse(a)));
+                return norms.map(function (n) {
+                    var h = A.gcd(G, n.map(function (c) {
+                        return c.isZero() ? [] : [new Frac(c.toString())];
+                    }), m);
+                    //move back and reduce the powers of alpha
+                    h = S.fromSymbol(_.expand(A.sub(S.toSymbol(h, [v, a]), v, unshift.clone())), [v, a]);
+                    return S.toSymbol(h.map(function (e) {
+                        return A.reduce(e, m);
+                    }), [v, a]);
+                });
+            }
+        },
+        /**
+         * Calculates the resultant of two polynomials with respect to a variable
+         * @param {Symbol} a
+         * @param {Symbol} b
+         * @param {Symbol} x The variable to eliminate
+         * @returns {Symbol}
+         */
+        resultant: function (a, b, x) {
+            var S = __.Subresultant,
+                    vars = S.variables([a, b], x),
+                    n = vars.length;
+            return S.toSymbol(S.resultant(S.fromSymbol(a, vars), S.fromSymbol(b, vars), n), vars.slice(1));
+        },
+        /**
+         * Calculates the discriminant of a polynomial with respect to a variable
+         * @param {Symbol} p
+         * @param {Symbol} x
+         * @returns {Symbol}
+         */
+        discriminant: function (p, x) {
+            var S = __.Subresultant,
+                    vars = S.variables([p], x),
+                    n = vars.length,
+                    P = S.fromSymbol(p, vars),
+                    d = S.deg(P);
+            if(d < 1)
+                throw new core.exceptions.NerdamerValueError('The discriminant requires a polynomial of degree 1 or higher!');
+            //disc(P) = (-1)^(d(d-1)/2)*res(P, P')/lc(P)
+            var disc = S.divide(S.resultant(P, S.diff(P, n), n), S.lc(P), n - 1);
+            if(d * (d - 1) / 2 % 2)
+                disc = S.neg(disc, n - 1);
+            return S.toSymbol(disc, vars.slice(1));
+        },
         line: function (v1, v2, x) {
             if(core.Utils.isArray(v1))
                 v1 = core.Utils.convertToVector(v1);
@@ -3842,6 +5447,57 @@ if((typeof module) !== 'undefined') {
                 });
                 return [f_array, factors_vec, degrees];
             },
+            /**
+             * Solves for the coefficients of the template with the extended Euclidean algorithm. For the factor
+             * f^p of the denominator d, s*(d/f^p)+t*f^p = 1 so the numerator over f^p is num*s mod f^p, which is
+             * then written in powers of f.
+             * @param {Symbol[]} nterms The coefficients of the numerator
+             * @param {Symbol} den
+             * @param {Symbol} denom_factors The factored denominator
+             * @param {Symbol} v
+             * @returns {Symbol[]} The coefficients in the order of the template
+             */
+            bezout: function (nterms, den, denom_factors, v) {
+                var S = __.Subresultant,
+                        vars = [v.value],
+                        poly = function (symbol) {
+                            return Polynomial.fromArray(S.fromSymbol(symbol, vars), v.value).trim();
+                        },
+                        n = Polynomial.fromArray(core.Utils.fillHoles(nterms.slice()).map(function (c) {
+                            return S.fromSymbol(c, []);
+                        }), v.value).trim(),
+                        d = poly(den),
+                        coeffs = [];
+                denom_factors.collectFactors().forEach(function (factor) {
+                    factor = Symbol.unwrapPARENS(factor);
+                    var p = Number(factor.power),
+                            f = poly(factor.clone().toLinear()),
+                            deg = f.deg();
+                    //constant factors don't get a term in the template
+                    if(deg < 1)
+                        return;
+                    var a = Polynomial.fromArray([new Frac(1)], v.value);
+                    for(var i = 0; i < p; i++)
+                        a.multiply(f);
+                    var div = d.divide(a),
+                            st = div[0].trim().gcdex(a);
+                    if(!div[1].isZero() || st[0].deg() !== 0)
+                        throw new core.exceptions.NerdamerTypeError('The factors of the denominator are not coprime!');
+                    var r = n.clone().multiply(st[1]).divide(a)[1],
+                            digits = [];
+                    //r = r_0+r_1*f+...+r_(p-1)*f^(p-1) so r_k goes over f^(p-k)
+                    for(var i = 0; i < p; i++) {
+                        div = r.divide(f);
+                        digits.unshift(div[1]);
+                        r = div[0].trim();
+                    }
+                    digits.forEach(function (digit) {
+                        for(var i = 0; i < deg; i++)
+                            coeffs.push(new Symbol(digit.coeffs[i] || new Frac(0)));
+                    });
+                });
+                return coeffs;
+            },
             partfrac: function (symbol, v, as_array) {
 
                 var vars = variables(symbol);
@@ -3917,12 +5573,21 @@ if((typeof module) !== 'undefined') {
                     }
 
                     //solve the system of equations
-                    var partials = _.multiply(M.transpose().invert(), c);
-                    //the results are backwards to reverse it
-                    //partials.elements.reverse();
+                    var partials;
+                    try {
+                        partials = __.PartFrac.bezout(nterms, den, ofactors, v);
+                    }
+                    catch(e) {
+                        //the coefficients aren't rational so fall back to the matrix
+                        if(!(e instanceof core.exceptions.NerdamerTypeError))
+                            throw e;
+                        partials = _.multiply(M.transpose().invert(), c).elements.map(function (row) {
+                            return row[0];
+                        });
+                    }
                     //convert it all back
                     var retval = as_array ? [r] : r;
-                    partials.each(function (e, i) {
+                    partials.forEach(function (e, i) {
                         var term = _.multiply(ks[i], _.divide(e, factors[i]));
                         if(as_array)
                             retval.push(term);
@@ -4287,6 +5952,19 @@ if((typeof module) !== 'undefined') {
 
                 return retval ? retval : _.parse(symbol);
             },
+            /**
+             * Rebuilds the symbol if any of its variables have assumptions. This allows abs and even
+             * roots to be removed when the assumptions were made after the symbol was created
+             * e.g. abs(x) -> x for positive x
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            assumptionSimp: function (symbol) {
+                var assumed = variables(symbol).some(function (v) {
+                    return nerdamer.getAssumptions(v).length > 0;
+                });
+                return assumed ? _.parse(symbol.text()) : symbol;
+            },
             /**
              * Unused. The goal is to substitute out patterns but it currently doesn't work.
              * @param {Symbol} symbol
@@ -4340,6 +6018,8 @@ if((typeof module) !== 'undefined') {
                 return [symbol, patterns];
             },
             simplify: function (symbol) {
+                //apply what's known about the variables
+                symbol = __.Simplify.assumptionSimp(symbol);
                 //remove the multiplier to make calculation easier;
                 var sym_array = __.Simplify.strip(symbol);
                 symbol = sym_array.pop();
@@ -4441,9 +6121,16 @@ if((typeof module) !== 'undefined') {
         {
             name: 'factor',
             visible: true,
-            numargs: 1,
+            numargs: [1, 2],
             build: function () {
-                return __.Factor.factor;
+                return function (symbol, option) {
+                    if(!option)
+                        return __.Factor.factor(symbol);
+                    //the named options have been rewritten by the factor_options preprocessor
+                    if(core.Utils.isVector(option))
+                        return __.AlgebraicField.factor(symbol, option.elements);
+                    return __.Factor.modFactor(symbol, option);
+                };
             }
         },
         {
@@ -4470,6 +6157,22 @@ if((typeof module) !== 'undefined') {
                 return __.lcm;
             }
         },
+        {
+            name: 'gcdex',
+            visible: true,
+            numargs: [2, 3],
+            build: function () {
+                return __.gcdex;
+            }
+        },
+        {
+            name: 'modinv',
+            visible: true,
+            numargs: 2,
+            build: function () {
+                return __.modinv;
+            }
+        },
         {
             name: 'roots',
             visible: true,
@@ -4491,7 +6194,12 @@ if((typeof module) !== 'undefined') {
             visible: true,
             numargs: 2,
             build: function () {
-                return __.div;
+                return function (symbol1, symbol2) {
+                    //the divergence of a vector field
+                    if(core.Utils.isVector(symbol1))
+                        return core.Calculus.VectorCalculus.div(symbol1, symbol2);
+                    return __.div(symbol1, symbol2);
+                };
             }
         },
         {
@@ -4522,6 +6230,30 @@ if((typeof module) !== 'undefined') {
                 return f;
             }
         },
+        {
+            name: 'groebner',
+            visible: true,
+            numargs: [1, 3],
+            build: function () {
+                return __.Groebner.groebner;
+            }
+        },
+        {
+            name: 'resultant',
+            visible: true,
+            numargs: [2, 3],
+            build: function () {
+                return __.resultant;
+            }
+        },
+        {
+            name: 'discriminant',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.discriminant;
+            }
+        },
         {
             name: 'line',
             visible: true,
@@ -4549,5 +6281,49 @@ if((typeof module) !== 'undefined') {
             }
         }
     ]);
+    //the options of factor are rewritten before parsing so that e.g. modulus=7 doesn't assign to modulus.
+    //factor(p, modulus=7) becomes factor(p, 7), factor(p, extension=[sqrt(2)]) becomes factor(p, [sqrt(2)])
+    //and factor(p, gaussian=true) becomes factor(p, [i])
+    _.addPreprocessor('factor_options', function (e) {
+        var re = /\bfactor\s*\(/g,
+                starts = [],
+                match;
+        while((match = re.exec(e)))
+            starts.push(match.index + match[0].length);
+        //go from the last call so the positions of the ones before it don't move
+        for(var i = starts.length - 1; i >= 0; i--) {
+            var depth = 0,
+                    comma = -1;
+            for(var j = starts[i]; j < e.length; j++) {
+                var ch = e.charAt(j);
+                if(ch === '(' || ch === '[')
+                    depth++;
+                else if(ch === ',' && depth === 0)
+                    comma = j;
+                else if(ch === ')' || ch === ']') {
+                    if(depth-- > 0)
+                        continue;
+                    var option = comma > -1 && /^\s*([a-zA-Z_]\w*)\s*=(?!=)([\s\S]*)$/.exec(e.substring(comma + 1, j));
+                    if(option) {
+                        var name = option[1],
+                                value = option[2].trim();
+                        if(name === 'extension')
+                            value = value.charAt(0) === '[' ? value : '[' + value + ']';
+                        else if(name === 'gaussian') {
+                            if(value !== 'true' && value !== 'false')
+                                throw new core.exceptions.NerdamerValueError('gaussian must be true or false');
+                            value = value === 'true' ? '[' + core.Settings.IMAGINARY + ']' : '';
+                        }
+                        else if(name !== 'modulus')
+                            throw new core.exceptions.NerdamerValueError('Unknown option ' + name + ' for factor');
+                        //gaussian=false is the same as no option
+                        e = value ? e.substring(0, comma + 1) + value + e.substring(j) : e.substring(0, comma) + e.substring(j);
+                    }
+                    break;
+                }
+            }
+        }
+        return e;
+    });
     nerdamer.api();
 })();
\ No newline at end of file
@@ -365,6 +365,9 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
 
     core.Settings.max_lim_depth = 10;
 
+    //the default order of the series returned by series
+    core.Settings.series_order = 6;
+
     var __ = core.Calculus = {
 
         version: '1.4.6',
@@ -392,7 +395,8 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 });
             }
             else {
-                retval = _.symfunction('sum', arguments);
+                //try for a closed form
+                retval = __.Summation.sum(fn, index, start, end) || _.symfunction('sum', arguments);
             }
 
             return retval;
@@ -420,7 +424,8 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 });
             }
             else {
-                retval = _.symfunction('product', arguments);
+                //try for a closed form
+                retval = __.Summation.product(fn, index, start, end) || _.symfunction('product', arguments);
             }
 
             return retval;
@@ -461,7 +466,15 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 symbol = s;
             }
 
-            if(symbol.group === FN && !isSymbol(symbol.power)) {
+            //differentiate piecewise functions branch by branch
+            symbol = __.Piecewise.distribute(symbol);
+            if(__.Piecewise.isPiecewise(symbol)) {
+                symbol = __.Piecewise.map(symbol, function (e) {
+                    return __.diff(e, d);
+                });
+            }
+            else if(symbol.group === FN && !isSymbol(symbol.power)) {
+                __.Trace.rule(symbol.args[0].equals(d) && symbol.power.equals(1) ? 'table' : 'chain');
                 var a = derive(_.parse(symbol));
                 var b = __.diff(symbol.args[0].clone(), d);
                 symbol = _.multiply(a, b);//chain rule
@@ -494,12 +507,18 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 var g = symbol.group, a, b, cp;
 
                 if(g === N || g === S && symbol.value !== d || g === P) {
+                    __.Trace.rule('constant');
                     symbol = Symbol(0);
                 }
                 else if(g === S) {
+                    __.Trace.rule('power');
                     symbol = polydiff(symbol);
                 }
                 else if(g === CB) {
+                    //a factor with a negative power is a quotient
+                    __.Trace.rule(symbol.collectSymbols().some(function (x) {
+                        return x.contains(d, true) && !isSymbol(x.power) && x.power.lessThan(0);
+                    }) ? 'quotient' : 'product');
                     var m = symbol.multiplier.clone();
                     symbol.toUnitMultiplier();
                     var retval = _.multiply(product_rule(symbol), polydiff(symbol));
@@ -507,6 +526,9 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                     return retval;
                 }
                 else if(g === FN && symbol.power.equals(1)) {
+                    //the table below rebuilds most functions so the multiplier is put back afterwards
+                    var multiplier = symbol.multiplier.clone();
+                    symbol.toUnitMultiplier();
                     // Table of known derivatives
                     switch(symbol.fname) {
                         case LOG:
@@ -671,10 +693,14 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                             symbol = _.parse('1/((' + symbol.args[0] + ')*' + Settings.LOG + '(10))');
                             break;
                         default:
+                            symbol.multiplier = multiplier;
+                            multiplier = new Frac(1);
                             symbol = _.symfunction('diff', [symbol, wrt]);
                     }
+                    symbol = _.multiply(new Symbol(multiplier), symbol);
                 }
                 else if(g === EX || g === FN && isSymbol(symbol.power)) {
+                    __.Trace.rule('exponential');
                     var value;
                     if(g === EX) {
                         value = symbol.value;
@@ -690,12 +716,14 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                     symbol = _.multiply(symbol, b);
                 }
                 else if(g === FN && !symbol.power.equals(1)) {
+                    __.Trace.rule('chain');
                     b = symbol.clone();
                     b.toLinear();
                     b.toUnitMultiplier();
                     symbol = _.multiply(polydiff(symbol.clone()), derive(b));
                 }
                 else if(g === CP || g === PL) {
+                    __.Trace.rule(symbol.power.equals(1) ? 'sum' : 'chain');
                     // Note: Do not use `parse` since this puts back the sqrt and causes a bug as in #610. Use clone.
                     var c = symbol.clone();
                     var result = new Symbol(0);
@@ -738,6 +766,45 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
             }
             ;
         },
+        /**
+         * Differentiates an equation implicitly by treating y as a function of x. With F = lhs-rhs
+         * y' = -F_x/F_y and each further derivative is d/dx(g) = g_x+g_y*y'.
+         * @param {Equation|Symbol} eq The equation. A symbol is taken to be equal to zero.
+         * @param {Symbol} y The dependent variable
+         * @param {Symbol} x The independent variable
+         * @param {Symbol} n The order of the derivative. Defaults to 1.
+         * @returns {Symbol} The n-th derivative of y in terms of x and y
+         */
+        impldiff: function (eq, y, x, n) {
+            var F = isSymbol(eq) ? eq.clone() : _.subtract(eq.LHS.clone(), eq.RHS.clone());
+            n = typeof n === 'undefined' ? 1 : Number(n);
+            if(!isInt(n) || n < 1)
+                throw new core.exceptions.NerdamerValueError('The order of the derivative must be a positive integer');
+            y = String(y);
+            x = String(x || core.Utils.variables(F).filter(function (v) {
+                return v !== y;
+            })[0]);
+
+            var Fx = __.diff(F.clone(), x),
+                    Fy = __.diff(F.clone(), y);
+            if(Fy.equals(0))
+                throw new core.exceptions.NerdamerValueError('The equation does not depend on ' + y);
+            //the n-th derivative is kept as P/Fy^m. Differentiating gives P' = (P_x*Fy-P_y*Fx)*Fy-m*P*(Fy_x*Fy-Fy_y*Fx)
+            //over Fy^(m+2) which avoids nested fractions
+            var P = Fx.clone().negate(),
+                    m = 1,
+                    dFy = _.subtract(_.multiply(__.diff(Fy.clone(), x), Fy.clone()), _.multiply(__.diff(Fy.clone(), y), Fx.clone()));
+            for(var i = 1; i < n; i++) {
+                var dP = _.subtract(_.multiply(__.diff(P.clone(), x), Fy.clone()), _.multiply(__.diff(P.clone(), y), Fx.clone()));
+                P = _.expand(_.subtract(_.multiply(dP, Fy.clone()), _.multiply(new Symbol(m), _.multiply(P, dFy.clone()))));
+                m += 2;
+            }
+            //pull out the numeric content so it can cancel with the denominator
+            var c = new Symbol(P.isComposite() ? core.Math2.QGCD.apply(undefined, P.collectSymbols().map(function (x) {
+                return x.multiplier;
+            })) : 1);
+            return _.multiply(c.clone(), _.divide(_.divide(P, c).distributeMultiplier(), _.pow(Fy, new Symbol(m))));
+        },
         integration: {
             u_substitution: function (symbols, dx) {
                 function try_combo(a, b, f) {
@@ -1051,11 +1118,23 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                     if(++depth > core.Settings.integration_depth)
                         __.integration.stop('Maximum depth reached. Exiting!');
 
+                    //pull products into piecewise functions e.g. x*piecewise(x<0, -1, 1)
+                    symbol = __.Piecewise.distribute(symbol);
+                    g = symbol.group;
+
+                    if(__.Piecewise.isPiecewise(symbol)) {
+                        retval = __.Piecewise.integrate(symbol, dx, depth);
+                    }
                     //constants. We first eliminate anything that doesn't have dx. Everything after this has 
                     //to have dx or else it would have been taken care of below
-                    if(!symbol.contains(dx, true)) {
+                    else if(!symbol.contains(dx, true)) {
+                        __.Trace.rule('constant');
                         retval = _.multiply(symbol.clone(), _.parse(dx));
                     }
+                    //exponentials with a rational coefficient and logarithmic integrals
+                    else if((retval = __.Risch.integrate(symbol, dx))) {
+                        __.Trace.rule('risch');
+                    }
                     //e.g. 2*x
                     else if(g === S) {
                         retval = __.integration.poly_integrate(symbol, dx, depth);
@@ -1086,7 +1165,9 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                                         x = _.divide(a.clone(), aa.clone());
                                 if(x.group === S && x.isLinear()) {
                                     aa.multiplier = aa.multiplier.divide(new Frac(2));
-                                    return _.parse(format('({2})*(sqrt(pi)*erf(sqrt(-{0})*{1}))/(2*sqrt(-{0}))', aa, dx, symbol.multiplier));
+                                    //keep the part of the power without dx e.g. e^(-x^2-y^2) wrt y
+                                    var c = _.parse(symbol.power.clone().sub(dx, 0));
+                                    return _.parse(format('({2})*({3})^({4})*(sqrt(pi)*erf(sqrt(-{0})*{1}))/(2*sqrt(-{0}))', aa, dx, symbol.multiplier, symbol.value, c));
                                 }
                                 else
                                     __.integration.stop();
@@ -1109,6 +1190,7 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                         }
                     }
                     else if(symbol.isComposite() && symbol.isLinear()) {
+                        __.Trace.rule('sum');
                         var m = _.parse(symbol.multiplier);
                         symbol.toUnitMultiplier();
                         retval = new Symbol(0);
@@ -1121,6 +1203,7 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                         if(symbol.power.greaterThan(1))
                             symbol = _.expand(symbol);
                         if(symbol.power.equals(1)) {
+                            __.Trace.rule('sum');
                             retval = new Symbol(0);
                             symbol.each(function (x) {
                                 retval = _.add(retval, __.integrate(x, dx, depth));
@@ -2122,7 +2205,545 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 return _.symfunction('integrate', [original_symbol, dt]);
             }, false);
         },
+        Risch: {
+            /**
+             * Checks if a symbol is a polynomial in dx. With rational set, negative integer powers are allowed
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @param {boolean} rational
+             * @returns {boolean}
+             */
+            isPolynomial: function (symbol, dx, rational) {
+                if(!symbol.contains(dx, true))
+                    return true;
+                var p = symbol.power;
+                if(isSymbol(p) || !p.isInteger() || (!rational && p.lessThan(0)))
+                    return false;
+                if(symbol.group === S)
+                    return true;
+                if(symbol.group === CB || symbol.isComposite()) {
+                    var is_poly = true;
+                    symbol.each(function (x) {
+                        is_poly = is_poly && __.Risch.isPolynomial(x, dx, rational);
+                    });
+                    return is_poly;
+                }
+                return false;
+            },
+            /**
+             * Splits a term into one of the forms handled by the procedure
+             * R*e^g with R rational and g a polynomial (kind exp, or kind rational when g = 0)
+             * or c*f(a*x)/x with f one of sin, cos, sinh, cosh (kind trig)
+             * @param {Symbol} term
+             * @param {String} dx
+             * @returns {Object|undefined}
+             */
+            split: function (term, dx) {
+                if(!isSymbol(term.power) && !term.power.equals(1) && term.group === CB)
+                    return;
+                var factors = term.group === CB ? term.collectSymbols() : [term.clone().toUnitMultiplier()],
+                        R = new Symbol(term.multiplier),
+                        g = new Symbol(0),
+                        fns = [];
+                for(var i = 0; i < factors.length; i++) {
+                    var f = factors[i];
+                    if(f.isE() && isSymbol(f.power) && f.power.contains(dx, true) && f.multiplier.equals(1)) {
+                        if(!__.Risch.isPolynomial(f.power, dx))
+                            return;
+                        g = _.add(g, f.power.clone());
+                    }
+                    else if(__.Risch.isPolynomial(f, dx, true))
+                        R = _.multiply(R, f.clone());
+                    else if(f.group === FN && f.args[0].isLinear() && __.Risch.isPolynomial(f.args[0], dx) &&
+                            Number(core.Algebra.degree(f.args[0], _.parse(dx))) === 1)
+                        fns.push(f);
+                    else
+                        return;
+                }
+
+                if(fns.length === 0) {
+                    if(g.equals(0))
+                        return {kind: 'rational', R: R};
+                    //move the constant part of the exponent into R
+                    g = _.expand(g);
+                    var g0 = new Symbol(0);
+                    if(g.isComposite())
+                        g.each(function (x) {
+                            if(!x.contains(dx))
+                                g0 = _.add(g0, x.clone());
+                        });
+                    if(!g0.equals(0)) {
+                        R = _.multiply(R, _.pow(new Symbol('e'), g0.clone()));
+                        g = _.subtract(g, g0);
+                    }
+                    return {kind: 'exp', R: R, g: g};
+                }
+
+                if(fns.length > 1 || !g.equals(0))
+                    return;
+                var fn = fns[0];
+                //c*f(a*x)/x
+                if([SIN, COS, SINH, COSH].indexOf(fn.fname) !== -1 && fn.power.equals(1)) {
+                    var c = _.multiply(R.clone(), _.parse(dx));
+                    if(!c.contains(dx) && _.parse(fn.args[0].sub(dx, 0)).equals(0))
+                        return {kind: 'trig', c: c, fn: fn};
+                }
+            },
+            /**
+             * Writes a rational function as a single reduced fraction
+             * @param {Symbol} R
+             * @param {String} dx
+             * @returns {Symbol[]} The numerator and the denominator
+             */
+            fraction: function (R, dx) {
+                var P = new Symbol(0),
+                        Q = new Symbol(1),
+                        terms = [];
+                if(R.isComposite() && R.isLinear())
+                    R.each(function (x) {
+                        terms.push(_.multiply(x.clone(), new Symbol(R.multiplier)));
+                    });
+                else
+                    terms.push(R);
+                terms.forEach(function (t) {
+                    var d = t.getDenom();
+                    P = _.add(_.multiply(P, d.clone()), _.multiply(t.getNum(), Q.clone()));
+                    Q = _.multiply(Q, d);
+                });
+                P = _.expand(P);
+                Q = _.expand(Q);
+                if(P.contains(dx) && Q.contains(dx)) {
+                    var g = core.Algebra.gcd(P.clone(), Q.clone());
+                    if(g.contains(dx)) {
+                        P = core.Algebra.divide(P, g.clone());
+                        Q = core.Algebra.divide(Q, g);
+                    }
+                }
+                return [P, Q];
+            },
+            /**
+             * Solves the Risch differential equation y' + g'*y = R for a rational y. The integral of R*e^g
+             * is elementary if and only if such a y exists in which case it's y*e^g.
+             * @param {Symbol} R A rational function in dx
+             * @param {Symbol} g A polynomial in dx of degree at least one
+             * @param {String} dx
+             * @returns {Symbol|undefined}
+             */
+            rde: function (R, g, dx) {
+                var x = _.parse(dx),
+                        deg = function (s) {
+                            return Number(core.Algebra.degree(s, x));
+                        },
+                        fraction = __.Risch.fraction(R, dx),
+                        P = fraction[0],
+                        Q = fraction[1],
+                        dg = _.expand(__.diff(g.clone(), dx)),
+                        D = new Symbol(1);
+                if(P.equals(0))
+                    return new Symbol(0);
+                //y can only have a pole where R has one and only of one order less
+                var F = core.Algebra.Factor.factor(Q.clone());
+                (F.group === CB ? F.collectSymbols() : [F]).forEach(function (f) {
+                    if(f.contains(dx) && !isSymbol(f.power) && f.power.greaterThan(1))
+                        D = _.multiply(D, _.pow(f.clone().toLinear(), new Symbol(f.power.subtract(new Frac(1)))));
+                });
+                D = _.expand(D);
+                //at infinity g'*y dominates y' so the degrees have to match
+                var n = deg(P) - deg(Q) - deg(dg) + deg(D);
+                if(n < 0)
+                    return;
+                //y = N/D. Multiplying through by Q*D^2 gives Q*(N'*D - N*D') + g'*N*D*Q = P*D^2 which is linear in N
+                var dD = __.diff(D.clone(), dx),
+                        columns = [],
+                        size = 0;
+                for(var k = 0; k <= n; k++) {
+                    var xk = _.pow(x.clone(), new Symbol(k)),
+                            dxk = k === 0 ? new Symbol(0) : _.multiply(new Symbol(k), _.pow(x.clone(), new Symbol(k - 1))),
+                            L = _.multiply(Q.clone(), _.subtract(_.multiply(dxk, D.clone()), _.multiply(xk.clone(), dD.clone())));
+                    L = _.add(L, _.multiply(_.multiply(dg.clone(), xk), _.multiply(D.clone(), Q.clone())));
+                    columns.push(core.Algebra.coeffs(_.expand(L), dx));
+                    size = Math.max(size, columns[k].length);
+                }
+                var b = core.Algebra.coeffs(_.expand(_.multiply(P.clone(), _.pow(D.clone(), new Symbol(2)))), dx);
+                size = Math.max(size, b.length);
+                var A = [], rhs = [];
+                for(var i = 0; i < size; i++) {
+                    A.push(columns.map(function (col) {
+                        return col[i] || new Symbol(0);
+                    }));
+                    rhs.push(b[i] || new Symbol(0));
+                }
+                var c = __.Risch.solveLinear(A, rhs);
+                if(!c)
+                    return;
+                var N = new Symbol(0);
+                for(var k = 0; k <= n; k++)
+                    N = _.add(N, _.multiply(c[k], _.pow(x.clone(), new Symbol(k))));
+                return _.divide(N, D);
+            },
+            /**
+             * Solves A*c = b using Gauss-Jordan elimination
+             * @param {Symbol[][]} A
+             * @param {Symbol[]} b
+             * @returns {Symbol[]|undefined} A solution or undefined if the system is inconsistent
+             */
+            solveLinear: function (A, b) {
+                var rows = A.length,
+                        cols = A[0].length,
+                        pivots = [],
+                        r = 0;
+                for(var c = 0; c < cols && r < rows; c++) {
+                    var p = -1;
+                    for(var i = r; i < rows && p === -1; i++)
+                        if(!A[i][c].equals(0))
+                            p = i;
+                    if(p === -1)
+                        continue;
+                    var t = A[p];
+                    A[p] = A[r];
+                    A[r] = t;
+                    t = b[p];
+                    b[p] = b[r];
+                    b[r] = t;
+                    for(var i = 0; i < rows; i++) {
+                        if(i === r || A[i][c].equals(0))
+                            continue;
+                        var f = _.divide(A[i][c].clone(), A[r][c].clone());
+                        for(var j = c; j < cols; j++)
+                            A[i][j] = _.expand(_.subtract(A[i][j], _.multiply(f.clone(), A[r][j].clone())));
+                        b[i] = _.expand(_.subtract(b[i], _.multiply(f.clone(), b[r].clone())));
+                    }
+                    pivots.push(c);
+                    r++;
+                }
+                for(var i = r; i < rows; i++)
+                    if(!b[i].equals(0))
+                        return;
+                var solution = [];
+                for(var j = 0; j < cols; j++)
+                    solution.push(new Symbol(0));
+                pivots.forEach(function (c, i) {
+                    solution[c] = _.divide(b[i], A[i][c]);
+                });
+                return solution;
+            },
+            /**
+             * Writes a non-elementary integral of R*e^g using Ei. This is possible when g is linear and
+             * the denominator of R splits into linear factors, or when R = c/x and g = a*x^n.
+             * @param {Symbol} R
+             * @param {Symbol} g
+             * @param {String} dx
+             * @returns {Symbol|undefined}
+             */
+            exponentialIntegral: function (R, g, dx) {
+                var x = _.parse(dx),
+                        e_g = _.pow(new Symbol('e'), g.clone()),
+                        n = Number(core.Algebra.degree(g, x));
+                //e^(a*x^n)/x = Ei(a*x^n)/n
+                if(n > 1) {
+                    var c = _.multiply(R.clone(), x.clone());
+                    if(g.group === S || g.group === CB && g.isLinear())
+                        if(!c.contains(dx))
+                            return _.multiply(_.divide(c, new Symbol(n)), _.symfunction('Ei', [g.clone()]));
+                    return;
+                }
+                var a = __.diff(g.clone(), dx),
+                        parts = core.Algebra.PartFrac.partfrac(R.clone(), x, true);
+                if(!core.Utils.isArray(parts))
+                    return;
+                //the polynomial part is always elementary
+                var retval = _.multiply(__.Risch.rde(parts[0], g, dx), e_g.clone());
+                for(var i = 1; i < parts.length; i++) {
+                    var term = parts[i];
+                    if(term.equals(0))
+                        continue;
+                    var den = term.getDenom(),
+                            base = den.clone().toLinear();
+                    if(isSymbol(den.power) || Number(core.Algebra.degree(base, x)) !== 1)
+                        return;
+                    //term = C/(x-x0)^k
+                    var k = Number(den.power),
+                            coeffs = core.Algebra.coeffs(base, dx),
+                            x0 = _.divide(coeffs[0].negate(), coeffs[1].clone()),
+                            C = _.divide(_.expand(_.multiply(term.clone(), den.clone())), _.pow(coeffs[1].clone(), new Symbol(k)));
+                    if(C.contains(dx))
+                        return;
+                    var u = _.subtract(x.clone(), x0.clone()),
+                            //int(e^g/(x-x0)) = e^g(x0)*Ei(a*(x-x0))
+                            J = _.multiply(_.pow(new Symbol('e'), _.parse(g.clone().sub(dx, x0))), _.symfunction('Ei', [_.multiply(a.clone(), u.clone())]));
+                    //int(e^g/(x-x0)^j) = -e^g/((j-1)*(x-x0)^(j-1))+a/(j-1)*int(e^g/(x-x0)^(j-1))
+                    for(var j = 2; j <= k; j++) {
+                        var t = _.divide(e_g.clone(), _.multiply(new Symbol(j - 1), _.pow(u.clone(), new Symbol(j - 1))));
+                        J = _.add(t.negate(), _.multiply(_.divide(a.clone(), new Symbol(j - 1)), J));
+                    }
+                    retval = _.add(retval, _.multiply(C, J));
+                }
+                return retval;
+            },
+            /**
+             * Collects the coefficients of a polynomial in log(u) and 1/log(u) with u = a*x+b. The coefficients
+             * are rational functions in dx.
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @returns {Object|undefined} The argument u and the coefficients by power of log(u)
+             */
+            logTerms: function (symbol, dx) {
+                symbol = _.expand(symbol.clone());
+                var terms = [],
+                        coeffs = {},
+                        u;
+                if(symbol.isComposite() && symbol.isLinear())
+                    symbol.each(function (x) {
+                        terms.push(_.multiply(x.clone(), new Symbol(symbol.multiplier)));
+                    });
+                else
+                    terms.push(symbol);
+                for(var i = 0; i < terms.length; i++) {
+                    var term = terms[i];
+                    if(!isSymbol(term.power) && !term.power.equals(1) && term.group === CB)
+                        return;
+                    var factors = term.group === CB ? term.collectSymbols() : [term.clone().toUnitMultiplier()],
+                            A = new Symbol(term.multiplier),
+                            k = 0;
+                    for(var j = 0; j < factors.length; j++) {
+                        var f = factors[j];
+                        if(f.group === FN && f.fname === LOG && f.contains(dx) && !isSymbol(f.power) && f.power.isInteger()) {
+                            var arg = _.expand(f.args[0].clone());
+                            if(!__.Risch.isPolynomial(arg, dx) || Number(core.Algebra.degree(arg, _.parse(dx))) !== 1)
+                                return;
+                            if(u && !u.equals(arg))
+                                return;
+                            u = arg;
+                            k += Number(f.power);
+                        }
+                        else if(__.Risch.isPolynomial(f, dx, true))
+                            A = _.multiply(A, f.clone());
+                        else
+                            return;
+                    }
+                    coeffs[k] = coeffs[k] ? _.add(coeffs[k], A) : A;
+                }
+                if(!u)
+                    return;
+                return {u: u, coeffs: coeffs};
+            },
+            /**
+             * Splits the integral of a rational function into its rational part, the multiple of log(u) and
+             * the remaining logarithms and arctangents
+             * @param {Symbol} I
+             * @param {Symbol} u
+             * @param {String} dx
+             * @returns {Object}
+             */
+            logParts: function (I, u, dx) {
+                var terms = [],
+                        retval = {R: new Symbol(0), d: new Symbol(0), other: false};
+                if(I.isComposite() && I.isLinear())
+                    I.each(function (x) {
+                        terms.push(_.multiply(x.clone(), new Symbol(I.multiplier)));
+                    });
+                else
+                    terms.push(I);
+                terms.forEach(function (t) {
+                    if(__.Risch.isPolynomial(t, dx, true)) {
+                        retval.R = _.add(retval.R, t);
+                        return;
+                    }
+                    var factors = t.group === CB ? t.collectSymbols() : [t.clone().toUnitMultiplier()],
+                            c = new Symbol(t.multiplier),
+                            w;
+                    factors.forEach(function (f) {
+                        if(!f.contains(dx))
+                            c = _.multiply(c, f.clone());
+                        else if(!w && f.group === FN && f.fname === LOG && f.power.equals(1))
+                            w = f.args[0];
+                        else
+                            w = c = undefined;
+                    });
+                    //log(k*u) = log(u)+log(k)
+                    if(w && c && !_.divide(w.clone(), u.clone()).contains(dx))
+                        retval.d = _.add(retval.d, c);
+                    else
+                        retval.other = true;
+                });
+                return retval;
+            },
+            /**
+             * The logarithmic case of the procedure for polynomials in t = log(u) and 1/t with rational coefficients.
+             * For the polynomial part the coefficients of the integral sum(B_k*t^k) satisfy B_k' + (k+1)*B_(k+1)*t' = A_k
+             * and only B_0 may introduce new logarithms. The negative powers are reduced until only C/t is left
+             * which is elementary if and only if C/t' is a constant.
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @returns {Object|undefined} Whether the integral is elementary, if 1/t occurs and the integral if it can be written down
+             */
+            logarithmic: function (symbol, dx) {
+                var L = __.Risch.logTerms(symbol, dx);
+                if(!L)
+                    return;
+                var u = L.u,
+                        t = _.symfunction(LOG, [u.clone()]),
+                        a = __.diff(u.clone(), dx),
+                        //t' = a/u
+                        dt = _.divide(a.clone(), u.clone()),
+                        powers = core.Utils.keys(L.coeffs).map(Number),
+                        n = Math.max.apply(null, powers.concat(0)),
+                        m = -Math.min.apply(null, powers.concat(0)),
+                        A = function (k) {
+                            return L.coeffs[k] ? L.coeffs[k].clone() : new Symbol(0);
+                        },
+                        integrate = function (f) {
+                            var I = __.integrate(f, dx);
+                            if(I.containsFunction('integrate'))
+                                throw new NoIntegralFound();
+                            return I;
+                        },
+                        retval = new Symbol(0),
+                        R = new Symbol(0),
+                        reciprocal = m > 0;
+                try {
+                    //the polynomial part from the top down
+                    for(var k = n; k >= 1; k--) {
+                        var parts = __.Risch.logParts(integrate(_.subtract(A(k), _.multiply(new Symbol(k + 1), _.multiply(R.clone(), dt.clone())))), u, dx);
+                        if(parts.other)
+                            return {elementary: false, reciprocal: reciprocal};
+                        //the constant part of B_(k+1)
+                        retval = _.add(retval, _.multiply(_.add(R, _.divide(parts.d, new Symbol(k + 1))), _.pow(t.clone(), new Symbol(k + 1))));
+                        R = parts.R;
+                    }
+                    if(n > 0)
+                        retval = _.add(retval, _.multiply(R.clone(), t.clone()));
+                    var A0 = _.subtract(A(0), _.multiply(R, dt.clone()));
+                    if(!A0.equals(0))
+                        retval = _.add(retval, integrate(A0));
+                }
+                catch(e) {
+                    if(e instanceof NoIntegralFound)
+                        return;
+                    throw e;
+                }
+                //the negative powers. int(A/t^j) = B/t^(j-1)+int(-B'/t^(j-1)) with B = -A/((j-1)*t')
+                var C = A(-1);
+                for(var j = m; j >= 2; j--) {
+                    var B = _.divide(A(-j), _.multiply(new Symbol(1 - j), dt.clone()));
+                    retval = _.add(retval, _.divide(B.clone(), _.pow(t.clone(), new Symbol(j - 1))));
+                    if(j > 2)
+                        L.coeffs[1 - j] = _.subtract(A(1 - j), __.diff(B, dx));
+                    else
+                        C = _.subtract(C, __.diff(B, dx));
+                }
+                C = core.Algebra.Simplify.simplify(_.expand(C));
+                if(C.equals(0))
+                    return {elementary: true, reciprocal: reciprocal, integral: retval};
+                //int(c*t'/t) = c*log(t)
+                var c = core.Algebra.Simplify.simplify(_.divide(C.clone(), dt));
+                if(!c.contains(dx))
+                    return {elementary: true, reciprocal: reciprocal, integral: _.add(retval, _.multiply(c, _.symfunction(LOG, [t])))};
+                //int(c/log(a*x+b)) = c/a*Li(a*x+b)
+                if(!C.contains(dx))
+                    return {elementary: false, reciprocal: reciprocal, integral: _.add(retval, _.multiply(_.divide(C, a), _.symfunction('Li', [u])))};
+                //int(c*x^p/log(x)) = c*Ei((p+1)*log(x))
+                var p = core.Algebra.degree(C, _.parse(dx)),
+                        cp = _.divide(C.clone(), _.pow(_.parse(dx), p.clone()));
+                if(u.equals(_.parse(dx)) && !cp.contains(dx) && !p.equals(-1))
+                    return {elementary: false, reciprocal: reciprocal, integral: _.add(retval, _.multiply(cp, _.symfunction('Ei', [_.multiply(_.add(p, new Symbol(1)), t)])))};
+                return {elementary: false, reciprocal: reciprocal};
+            },
+            /**
+             * Integrates a term using the procedure. Only terms which the other strategies don't reliably
+             * handle are accepted: exponentials with a rational coefficient or a polynomial coefficient and a
+             * nonlinear exponent, and polynomials in log(a*x+b) and its reciprocal which either contain the
+             * reciprocal or have no elementary integral. The other strategies are left to write the rest.
+             * A term which is proven to have no elementary integral and can't be written using special functions
+             * stops the integration.
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @returns {Symbol|undefined}
+             */
+            integrate: function (symbol, dx) {
+                var s = __.Risch.split(symbol, dx);
+                if(!s) {
+                    var L = __.Risch.logarithmic(symbol, dx);
+                    if(!L || L.elementary && !L.reciprocal)
+                        return;
+                    if(!L.integral)
+                        __.integration.stop();
+                    return L.integral;
+                }
+                //by parts already handles a polynomial times e^(a*x+b)
+                var polynomial = s.kind === 'exp' && !s.R.getDenom().contains(dx);
+                if(s.kind !== 'exp' || polynomial && Number(core.Algebra.degree(s.g, _.parse(dx))) < 2)
+                    return;
+                var y = __.Risch.rde(s.R, s.g, dx);
+                if(y)
+                    return _.multiply(y, _.pow(new Symbol('e'), s.g));
+                //erf covers the rest of the polynomial cases
+                if(polynomial)
+                    return;
+                var retval = __.Risch.exponentialIntegral(s.R, s.g, dx);
+                if(!retval)
+                    __.integration.stop();
+                return retval;
+            },
+            /**
+             * Decides if a function has an elementary antiderivative. Rational functions always do. For R*e^g the
+             * Risch differential equation decides it and polynomials in log(a*x+b) and its reciprocal are decided
+             * by the logarithmic case. The known non-elementary integrals (Ei, Si, Ci, Shi, Chi) are recognized.
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @returns {boolean|undefined} undefined if the function is outside of the classes which can be decided
+             */
+            isElementary: function (symbol, dx) {
+                var L = __.Risch.logarithmic(symbol, dx);
+                if(L)
+                    return L.elementary;
+                symbol = _.expand(symbol.clone());
+                var terms = [],
+                        groups = {},
+                        kinds = {},
+                        elementary = true;
+                if(symbol.isComposite() && symbol.isLinear()) {
+                    var m = _.parse(symbol.multiplier);
+                    symbol.each(function (x) {
+                        terms.push(_.multiply(x.clone(), m.clone()));
+                    });
+                }
+                else
+                    terms.push(symbol);
+
+                for(var i = 0; i < terms.length; i++) {
+                    var s = __.Risch.split(terms[i], dx);
+                    if(!s)
+                        return;
+                    if(s.kind === 'exp') {
+                        //e^(n*g) are independent so each group is decided on its own
+                        var key = text(s.g),
+                                group = groups[key];
+                        groups[key] = group ? {R: _.add(group.R, s.R), g: s.g} : s;
+                    }
+                    else if(s.kind !== 'rational') {
+                        kinds[s.kind] = true;
+                        elementary = false;
+                    }
+                }
+                for(var key in groups) {
+                    if(!__.Risch.rde(groups[key].R, groups[key].g, dx)) {
+                        kinds.exp = true;
+                        elementary = false;
+                    }
+                }
+                //non-elementary integrals of different kinds could in principle cancel
+                if(core.Utils.keys(kinds).length > 1)
+                    return;
+                return elementary;
+            }
+        },
         defint: function (symbol, from, to, dx) {
+            //defint(f, [y, c, d], [x, a, b]) integrates over several variables
+            if(core.Utils.isVector(from))
+                return __.MultipleIntegral.integrate(symbol, [].slice.call(arguments, 1));
+            if(typeof from === 'undefined' || typeof to === 'undefined')
+                throw new core.exceptions.NerdamerValueError('defint requires a lower and an upper bound');
             dx = dx || 'x'; //make x the default variable of integration
             var get_value = function (integral, vars, point) {
                 try {
@@ -2147,7 +2768,14 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 integral = __.integrate(symbol, dx);
             }
 
-            if(!hasTrig && !integral.hasIntegral()) {
+            //numeric bounds are evaluated as limits on each side of the singularities
+            if(!hasTrig && !integral.hasIntegral())
+                retval = __.Improper.evaluate(symbol, integral, from, to, dx);
+
+            if(retval) {
+                //already done
+            }
+            else if(!hasTrig && !integral.hasIntegral()) {
                 var upper = {},
                         lower = {},
                         a, b;
@@ -2168,6 +2796,249 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
             return retval;
         },
 
+        Improper: {
+            /**
+             * Finds the real points where a function may be singular. These are the zeros of the
+             * denominators and of the arguments of logarithms. Requires Solve.js.
+             * @param {Symbol} symbol
+             * @param {String} dx
+             * @returns {Object[]} The points and their values sorted from left to right
+             */
+            singularities: function (symbol, dx) {
+                if(!core.Solve)
+                    return [];
+                var candidates = [];
+                var collect = function (s) {
+                    if(!s.contains(dx, true))
+                        return;
+                    if(!isSymbol(s.power) && s.power.lessThan(0))
+                        candidates.push(s.clone().toLinear());
+                    if(s.group === FN) {
+                        if(s.fname === LOG)
+                            candidates.push(s.args[0].clone());
+                        s.args.forEach(collect);
+                    }
+                    else if(s.symbols)
+                        s.each(collect);
+                };
+                collect(symbol);
+
+                var points = [];
+                candidates.forEach(function (c) {
+                    var roots;
+                    //only real points are of interest
+                    if(c.isImaginary())
+                        return;
+                    try {
+                        roots = core.Solve.solve(c, dx);
+                    }
+                    catch(e) {
+                        return;
+                    }
+                    roots.each(function (root) {
+                        var value = Number(evaluate(root.clone()));
+                        if(isFinite(value) && !points.some(function (p) {
+                            return p.value === value;
+                        }))
+                            points.push({point: root, value: value});
+                    });
+                });
+                return points.sort(function (a, b) {
+                    return a.value - b.value;
+                });
+            },
+            /**
+             * Replaces log(f) with log(abs(f)) which has the same derivative but stays real on both sides
+             * of a zero of f e.g. the antiderivative of 1/x
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            absLogs: function (symbol) {
+                var retval;
+                if(symbol.group === FN) {
+                    var args = symbol.args.map(__.Improper.absLogs);
+                    if(symbol.fname === LOG && args.length === 1)
+                        args[0] = _.symfunction(ABS, args);
+                    retval = _.symfunction(symbol.fname, args);
+                }
+                else if(symbol.symbols) {
+                    var combine = symbol.group === CB ? _.multiply : _.add;
+                    retval = new Symbol(symbol.group === CB ? 1 : 0);
+                    symbol.each(function (s) {
+                        retval = combine(retval, __.Improper.absLogs(s));
+                    });
+                }
+                else
+                    return symbol.clone();
+                return _.multiply(_.parse(symbol.multiplier), _.pow(retval, _.parse(symbol.power)));
+            },
+            /**
+             * Gets the value of the antiderivative at a point. The one-sided limit is used if it can't be substituted.
+             * @param {Symbol} F
+             * @param {String} dx
+             * @param {Symbol} point
+             * @param {int} direction The side from which to approach the point
+             * @returns {Symbol|undefined} Undefined if the limit does not exist
+             */
+            valueAt: function (F, dx, point, direction) {
+                if(!point.isInfinity) {
+                    try {
+                        var subs = {};
+                        subs[dx] = point.clone();
+                        var value = _.parse(F.clone(), subs);
+                        if(!value.contains('Infinity', true))
+                            return value;
+                    }
+                    catch(e) { /*Nothing. Try the limit instead*/
+                    }
+                }
+                try {
+                    return __.Limit.oneSided(F.clone(), _.parse(dx), point.clone(), direction);
+                }
+                catch(e) {
+                    return;
+                }
+            },
+            /**
+             * Evaluates a definite integral with numeric bounds. The interval is split at the singularities
+             * and each piece is evaluated using the one-sided limits at its ends. The integral diverges if
+             * any of these limits is infinite.
+             * @param {Symbol} symbol The integrand
+             * @param {Symbol} F The antiderivative
+             * @param {Symbol} from
+             * @param {Symbol} to
+             * @param {String} dx
+             * @returns {Symbol|undefined} Undefined if the bounds aren't numeric. The integral is returned
+             * unevaluated if a limit can't be found or its sign can't be decided
+             * @throws {UndefinedError} If the integral diverges
+             */
+            evaluate: function (symbol, F, from, to, dx) {
+                var a = Number(evaluate(from.clone())),
+                        b = Number(evaluate(to.clone()));
+                if(isNaN(a) || isNaN(b))
+                    return;
+                var unevaluated = function () {
+                    return _.symfunction('defint', [symbol.clone(), from.clone(), to.clone(), _.parse(dx)]);
+                };
+                if(a > b) {
+                    var swapped = __.Improper.evaluate(symbol, F, to, from, dx);
+                    return swapped.containsFunction('defint') ? unevaluated() : swapped.negate();
+                }
+                if(!symbol.isImaginary())
+                    F = __.Improper.absLogs(F);
+
+                var bounds = [from].concat(__.Improper.singularities(symbol, dx).filter(function (p) {
+                    return p.value > a && p.value < b;
+                }).map(function (p) {
+                    return p.point;
+                }), [to]);
+
+                var values = [];
+                for(var i = 0; i < bounds.length - 1; i++)
+                    values.push(__.Improper.valueAt(F, dx, bounds[i + 1], -1), __.Improper.valueAt(F, dx, bounds[i], 1));
+
+                var divergent = false;
+                for(var i = 0; i < values.length; i++) {
+                    var value = values[i];
+                    if(!__.Limit.isResolved(value))
+                        return unevaluated();
+                    if(value.isInfinity)
+                        divergent = true;
+                    //e.g. a*Infinity where the sign of a isn't known
+                    else if(value.contains('Infinity', true))
+                        return unevaluated();
+                }
+                if(divergent)
+                    throw new core.exceptions.UndefinedError('The integral of ' + symbol.text() + ' from ' + from.text() + ' to ' + to.text() + ' diverges');
+
+                var retval = new Symbol(0);
+                for(var i = 0; i < values.length; i += 2)
+                    retval = _.add(retval, _.subtract(values[i], values[i + 1]));
+                return retval;
+            }
+        },
+        MultipleIntegral: {
+            /**
+             * Reads the (variable, lower, upper) triples of a multiple integral
+             * @param {Vector[]} args
+             * @returns {Object[]}
+             */
+            ranges: function (args) {
+                return args.map(function (range) {
+                    if(!core.Utils.isVector(range) || range.elements.length !== 3 || range.elements[0].group !== S)
+                        throw new core.exceptions.NerdamerValueError('Expected a range of the form [variable, lower, upper]. ' + range + ' provided');
+                    return {
+                        dx: range.elements[0].value,
+                        from: range.elements[1].clone(),
+                        to: range.elements[2].clone()
+                    };
+                });
+            },
+            /**
+             * Calculates an iterated integral. The ranges are integrated in the order given so the bounds of
+             * a range may depend on the variables of the ranges which follow it.
+             * e.g. defint(x*y, [y, 0, x], [x, 0, 1]) = 1/8
+             * @param {Symbol} symbol
+             * @param {Vector[]} args The ranges as [variable, lower, upper]
+             * @returns {Symbol}
+             */
+            integrate: function (symbol, args) {
+                var ranges = __.MultipleIntegral.ranges(args),
+                        retval = symbol.clone();
+                for(var i = 0; i < ranges.length; i++) {
+                    var range = ranges[i];
+                    retval = __.defint(retval, range.from.clone(), range.to.clone(), range.dx);
+                    if(retval.containsFunction('defint') || retval.hasIntegral()) {
+                        retval = undefined;
+                        break;
+                    }
+                }
+                if(!retval)
+                    retval = __.MultipleIntegral.cubature(symbol, ranges);
+                if(!retval)
+                    retval = _.symfunction('defint', [symbol].concat(args));
+                return retval;
+            },
+            /**
+             * Numerically calculates an iterated integral using adaptive quadrature in each variable
+             * @param {Symbol} symbol
+             * @param {Object[]} ranges
+             * @returns {Symbol|undefined} Undefined if the integral isn't numeric
+             */
+            cubature: function (symbol, ranges) {
+                var vars = ranges.map(function (range) {
+                    return range.dx;
+                });
+                //the integrand may only depend on the variables of integration and the bounds only on the outer ones
+                var valid = core.Utils.variables(symbol).every(function (v) {
+                    return vars.indexOf(v) !== -1;
+                }) && ranges.every(function (range, i) {
+                    var outer = vars.slice(i + 1);
+                    return core.Utils.variables(range.from).concat(core.Utils.variables(range.to)).every(function (v) {
+                        return outer.indexOf(v) !== -1;
+                    });
+                });
+                if(!valid)
+                    return;
+
+                var f = core.Utils.build(symbol, vars),
+                        bounds = ranges.map(function (range, i) {
+                            var outer = vars.slice(i + 1);
+                            return [core.Utils.build(range.from, outer), core.Utils.build(range.to, outer)];
+                        });
+                //values holds the values of the outer variables
+                var integrate = function (i, values) {
+                    return core.Math2.num_integrate(function (t) {
+                        var point = [t].concat(values);
+                        return i === 0 ? f.apply(null, point) : integrate(i - 1, point);
+                    }, bounds[i][0].apply(null, values), bounds[i][1].apply(null, values), 1e-9 * Math.pow(10, i));
+                };
+                var value = integrate(ranges.length - 1, []);
+                if(isNaN(value))
+                    return;
+                return new Symbol(value);
+            }
+        },
         Limit: {
             interval: function (start, end) {
                 return _.parse(format('[{0}, {1}]', start, end));
@@ -2211,6 +3082,9 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                                 return false;
                         return true;
                     }
+                    //e.g. e^Infinity
+                    if(L.group === EX && L.power.isInfinity && !L.power.multiplier.lessThan(0) && (L.value === 'e' || Number(L.value) > 1))
+                        return true;
                     return L.isInfinity;
                 };
 
@@ -2296,24 +3170,157 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 }
                 return true; //It is
             },
+            //functions which may jump at a point. Limits of these are checked from both sides
+            discontinuous: ['abs', 'sign', 'step', 'piecewise'],
+            /**
+             * Throws when the limit does not exist e.g. when the limits from the left and the right disagree
+             * @param {Symbol} symbol
+             * @param {Symbol} x
+             * @param {Symbol} lim
+             * @throws {UndefinedError}
+             */
+            doesNotExist: function (symbol, x, lim) {
+                throw new core.exceptions.UndefinedError('The limit of ' + symbol.text() + ' as ' + x + ' approaches ' + lim.text() + ' does not exist');
+            },
+            /**
+             * Checks if a limit was fully resolved to a single value
+             * @param {Symbol} limit
+             * @returns {boolean}
+             */
+            isResolved: function (limit) {
+                return isSymbol(limit) && !__.Limit.isInterval(limit) && !limit.containsFunction('limit');
+            },
+            /**
+             * Calculates the limit of a function. When a direction is provided only that side is considered.
+             * Otherwise both sides are checked when the function might be discontinuous at the point.
+             * @param {Symbol} symbol
+             * @param {Symbol} x The variable
+             * @param {Symbol} lim The point
+             * @param {Symbol} direction 1 or '+' for the limit from the right and -1 or '-' for the limit from the left
+             * @returns {Symbol}
+             */
+            find: function (symbol, x, lim, direction) {
+                if(direction) {
+                    if(!direction.isConstant() || direction.equals(0))
+                        throw new core.exceptions.NerdamerValueError('The direction of the limit must be + or -. ' + direction + ' provided');
+                    return __.Limit.oneSided(symbol, x, lim, direction.sign());
+                }
+                if(lim.isInfinity)
+                    return __.Limit.limit(symbol, x, lim);
+
+                var discontinuous = symbol.containsFunction(__.Limit.discontinuous),
+                        retval;
+                if(!discontinuous)
+                    retval = __.Limit.limit(symbol.clone(), x, lim);
+                //compare the sides if the limit might not be the same from both
+                if(discontinuous || !__.Limit.isResolved(retval) || retval.contains('Infinity', true)) {
+                    var left, right;
+                    try {
+                        right = __.Limit.oneSided(symbol.clone(), x, lim, 1);
+                        left = __.Limit.oneSided(symbol.clone(), x, lim, -1);
+                    }
+                    catch(e) { /*Nothing. Fall back to the two-sided limit*/
+                    }
+                    if(__.Limit.isResolved(left) && __.Limit.isResolved(right))
+                        return evaluate(left.clone()).text() === evaluate(right.clone()).text() ? right : __.Limit.doesNotExist(symbol, x, lim);
+                    if(!retval)
+                        retval = __.Limit.limit(symbol, x, lim);
+                }
+                return retval;
+            },
+            /**
+             * Calculates the limit from one side by approaching the point as lim+direction/u where u goes to Infinity
+             * @param {Symbol} symbol
+             * @param {Symbol} x
+             * @param {Symbol} lim
+             * @param {int} direction 1 for the right and -1 for the left
+             * @returns {Symbol}
+             */
+            oneSided: function (symbol, x, lim, direction) {
+                if(lim.isInfinity)
+                    return __.Limit.limit(symbol, x, lim);
+                var u = core.Utils.getU(symbol),
+                        retval;
+                //u is positive so the sign of direction/u is known along the way
+                nerdamer.assume(u, 'positive');
+                try {
+                    var f = _.parse(symbol.clone().sub(x, _.add(lim.clone(), _.divide(new Symbol(direction), new Symbol(u)))));
+                    //e.g. sqrt(x) from the left of 0. The function isn't real on that side
+                    if(!symbol.isImaginary() && __.Limit.isImaginaryNear(f, u))
+                        __.Limit.doesNotExist(symbol, x, lim);
+                    retval = __.Limit.limit(f, new Symbol(u), Symbol.infinity());
+                }
+                finally {
+                    nerdamer.clearAssumptions(u);
+                    core.Utils.clearU(u);
+                }
+                if(!__.Limit.isResolved(retval))
+                    retval = _.symfunction('limit', [symbol, x, lim, new Symbol(direction)]);
+                return retval;
+            },
+            /**
+             * Checks if a function of u takes imaginary values for a large u
+             * @param {Symbol} f
+             * @param {String} u
+             * @returns {boolean}
+             */
+            isImaginaryNear: function (f, u) {
+                try {
+                    var subs = {};
+                    subs[u] = new Symbol(1e6);
+                    return evaluate(_.parse(f.clone(), subs)).isImaginary();
+                }
+                catch(e) {
+                    return false;
+                }
+            },
             limit: function (symbol, x, lim, depth) {
                 //Simplify the symbol
                 if(symbol.isLinear() && symbol.isComposite()) {
 
                     //Apply sum of limits
                     var limit = new Symbol(0);
-                    symbol.each(function (s) {
-                        limit = _.add(limit, __.Limit.limit(s, x, lim, depth));
-                    }, true);
+                    try {
+                        symbol.each(function (s) {
+                            limit = _.add(limit, __.Limit.limit(s.clone(), x, lim, depth));
+                        }, true);
 
-                    return limit;
+                        return limit;
+                    }
+                    //e.g. Infinity-Infinity. A term whose power goes to infinity such as x^x outgrows the others
+                    catch(e) {
+                        var signs = [];
+                        if(e instanceof core.exceptions.UndefinedError && lim.isInfinity) {
+                            symbol.each(function (s) {
+                                if(s.group === EX && evaluate(__.Limit.limit(s.power.clone(), x, lim, depth)).isInfinity &&
+                                        evaluate(__.Limit.limit(_.parse(s.value), x, lim, depth)).isInfinity)
+                                    signs.push(s.multiplier.sign());
+                            });
+                        }
+                        if(!signs.length || signs.some(function (sign) {
+                            return sign !== signs[0];
+                        }))
+                            throw e;
+                        return Symbol.infinity(signs[0]);
+                    }
                 }
                 ;
 
-                symbol = core.Algebra.Simplify.simplify(symbol);
-
                 depth = depth || 1;
 
+                //e^(-x) goes to the denominator as e^x so L'Hospital's rule can be used on x*e^(-x)
+                if(symbol.group === CB && symbol.power.equals(1)) {
+                    var den = new Symbol(1);
+                    symbol.each(function (s) {
+                        if(s.group === EX && s.power.multiplier.lessThan(0) && s.contains(x, true))
+                            den = _.multiply(den, s.clone().invert());
+                    });
+                    if(!den.equals(1))
+                        return __.Limit.divide(_.multiply(symbol, den.clone()), den, x, lim, depth);
+                }
+
+                symbol = core.Algebra.Simplify.simplify(symbol);
+
                 if(depth++ > Settings.max_lim_depth) {
                     return;
                 }
@@ -2322,6 +3329,17 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                 var m = _.parse(symbol.multiplier);
                 //strip the multiplier
                 symbol.toUnitMultiplier();
+                //factors without the variable such as (1+a)^(-1) go along with the multiplier
+                if(symbol.group === CB && symbol.power.equals(1)) {
+                    var dependent = new Symbol(1);
+                    symbol.each(function (s) {
+                        if(s.contains(x, true))
+                            dependent = _.multiply(dependent, s.clone());
+                        else
+                            m = _.multiply(m, s.clone());
+                    });
+                    symbol = dependent;
+                }
                 try {
                     //https://en.wikipedia.org/wiki/List_of_limits
                     var retval;
@@ -2330,6 +3348,17 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                     if(symbol.isConstant(true)) {
                         retval = symbol;
                     }
+                    //the sign of the argument settles the value of sign and step e.g. on one side of a limit
+                    else if(symbol.group === FN && (symbol.fname === 'sign' || symbol.fname === 'step') &&
+                            (symbol.args[0].is('positive') || symbol.args[0].is('negative'))) {
+                        var positive = symbol.args[0].is('positive');
+                        retval = _.pow(new Symbol(positive ? 1 : symbol.fname === 'sign' ? -1 : 0), _.parse(symbol.power));
+                    }
+                    //x^a as x->Infinity depends on the sign of a
+                    else if(symbol.group === EX && symbol.value === String(x) && lim.isInfinity && !lim.multiplier.lessThan(0) &&
+                            !symbol.power.contains(x) && (symbol.power.is('positive') || symbol.power.is('negative'))) {
+                        retval = symbol.power.is('positive') ? Symbol.infinity() : new Symbol(0);
+                    }
                     else {
                         var point = {};
                         point[x] = lim;
@@ -2340,8 +3369,9 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                             //evaluate the function at the given limit
                             var t = _.parse(symbol.sub(x, lim), point);
 
-                            //a constant or infinity is known so we're done
-                            if(t.isConstant(true) || t.isInfinity)
+                            //a constant or infinity is known so we're done. Leftover infinities such as Infinity*e^(-Infinity)
+                            //may be indeterminate so those are left to the tests below
+                            if(t.isInfinity || t.isConstant(true) && !t.contains('Infinity', true))
                                 retval = t;
 
                         }
@@ -2392,6 +3422,10 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
 
                                         return _.multiply(m, retval);
                                     }
+                                    //erf goes to 1 and -1 at the ends
+                                    else if(symbol.fname === 'erf' && arg.isInfinity) {
+                                        retval = new Symbol(arg.multiplier.sign());
+                                    }
                                     //if the argument is constant then we're done
                                     else if(arg.isConstant(true)) {
 
@@ -2427,6 +3461,12 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                                                         break;
                                                 }
                                             }
+                                            else if(symbol.fname === SQRT && arg.isInfinity && !arg.multiplier.lessThan(0)) {
+                                                retval = Symbol.infinity();
+                                            }
+                                            else if(symbol.fname === ATAN && arg.isInfinity) {
+                                                retval = _.parse(format('({0})*pi/2', arg.multiplier.sign()));
+                                            }
                                             else if((symbol.fname === COS || symbol.fname === SIN) && lim.isInfinity) {
                                                 retval = __.Limit.interval(-1, 1);
                                             }
@@ -2486,7 +3526,8 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
 
                                         //if the limit is in indeterminate form aplly L'Hospital by inverting g and then f/(1/g)
                                         if((lim1.isInfinity || !__.Limit.isConvergent(lim1) && lim2.equals(0) || lim1.equals(0) && __.Limit.isConvergent(lim2))) {
-                                            if(g.containsFunction(LOG)) {
+                                            //keep the exponential in the denominator e.g. x*e^(-x) -> x/e^x
+                                            if(g.containsFunction(LOG) || f.group === EX && lim1.equals(0)) {
                                                 //swap them
                                                 g = [f, f = g][0];
                                             }
@@ -2580,34 +3621,1236 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
                     retval = _.symfunction('limit', [symbol, x, lim]);
                 }
 
-                return _.multiply(m, retval);
+                return __.Limit.resolveSign(_.multiply(m, retval));
+            },
+            /**
+             * Uses the assumptions on the variables to settle the sign of an infinite limit
+             * e.g. Infinity*a -> Infinity for positive a
+             * @param {Symbol} limit
+             * @returns {Symbol}
+             */
+            resolveSign: function (limit) {
+                if(!core.Utils.isSymbol(limit) || !limit.contains('Infinity', true))
+                    return limit;
+                //e.g. e^(-Infinity) once the sign of the power is known
+                if(limit.group === EX && limit.power.isInfinity && limit.power.multiplier.lessThan(0) &&
+                        (limit.value === 'e' || !isNaN(limit.value)))
+                    return evaluate(limit);
+                //e.g. -e^Infinity
+                if(limit.group === EX && limit.power.isInfinity && (limit.value === 'e' || Number(limit.value) > 1))
+                    return Symbol.infinity(limit.multiplier.sign());
+                if(limit.group !== CB)
+                    return limit;
+                var rest = new Symbol(limit.multiplier),
+                        infinite = false;
+                limit.each(function (s) {
+                    if(s.isInfinity)
+                        infinite = true;
+                    else
+                        rest = _.multiply(rest, s.clone());
+                });
+                if(infinite) {
+                    if(rest.is('positive'))
+                        return Symbol.infinity();
+                    if(rest.is('negative'))
+                        return Symbol.infinity(-1);
+                }
+                return limit;
             }
         },
-        Fresnel: {
-            S: function (x) {
-                if(x.isConstant(true)) {
-                    return __.defint(_.parse('sin(pi*x^2/2)'), Symbol(0), x, 'x');
+        Series: {
+            /**
+             * Rewrites tan, cot, sec, csc and their hyperbolic counterparts in terms of sin and cos
+             * so that poles show up as zeros in the denominator
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            toSinCos: function (symbol) {
+                var map = {
+                    tan: 'sin({0})/cos({0})',
+                    cot: 'cos({0})/sin({0})',
+                    sec: '1/cos({0})',
+                    csc: '1/sin({0})',
+                    tanh: 'sinh({0})/cosh({0})',
+                    coth: 'cosh({0})/sinh({0})',
+                    sech: '1/cosh({0})',
+                    csch: '1/sinh({0})'
+                };
+
+                if(symbol.group === EX || !symbol.containsFunction(core.Utils.keys(map)))
+                    return symbol;
+
+                var m = new Symbol(symbol.multiplier),
+                        p = _.parse(symbol.power),
+                        retval;
+                symbol = symbol.clone().toUnitMultiplier().toLinear();
+
+                if(symbol.group === FN) {
+                    var args = symbol.args.map(function (arg) {
+                        return __.Series.toSinCos(arg);
+                    });
+                    retval = symbol.fname in map ? _.parse(format(map[symbol.fname], args[0])) : _.symfunction(symbol.fname, args);
                 }
-                return _.symfunction('S', arguments);
-            },
-            C: function (x) {
-                if(x.isConstant(true)) {
-                    return __.defint(_.parse('cos(pi*x^2/2)'), Symbol(0), x, 'x');
+                else if(symbol.group === CB) {
+                    retval = new Symbol(1);
+                    symbol.each(function (x) {
+                        retval = _.multiply(retval, __.Series.toSinCos(x.clone()));
+                    });
+                }
+                else {
+                    retval = new Symbol(0);
+                    symbol.each(function (x) {
+                        retval = _.add(retval, __.Series.toSinCos(x.clone()));
+                    });
                 }
-                return _.symfunction('C', arguments);
-            }
-        }
-    };
 
-    nerdamer.register([
-        {
-            name: 'diff',
-            visible: true,
+                return _.multiply(m, _.pow(retval, p));
+            },
+            /**
+             * Gets the Taylor coefficients of a symbol up to and including order n. Returns
+             * undefined if the symbol or one of its derivatives cannot be evaluated at the point.
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @param {Symbol} a
+             * @param {int} n
+             * @returns {Symbol[]}
+             */
+            taylor: function (symbol, x, a, n) {
+                var coeffs = [],
+                        f = _.parse(symbol),
+                        point = {};
+                point[x] = a;
+
+                for(var k = 0; k <= n; k++) {
+                    var value;
+                    try {
+                        value = _.parse(f.sub(x, a.clone()), point);
+                    }
+                    catch(e) {
+                        return;
+                    }
+                    //a pole or an unevaluated function means that the expansion doesn't exist
+                    if(value.isInfinity || value.contains('Infinity') || value.contains(x, true) || value.containsFunction(['limit', 'diff']))
+                        return;
+                    coeffs.push(_.divide(value, new Symbol(core.Math2.factorial(k))));
+                    f = __.diff(f, x);
+                }
+
+                return coeffs;
+            },
+            /**
+             * Returns the index of the first nonzero coefficient or -1 if all coefficients are zero
+             * @param {Object} series
+             * @returns {int}
+             */
+            valuation: function (series) {
+                for(var i = 0; i < series.c.length; i++) {
+                    if(!_.expand(series.c[i].clone()).equals(0))
+                        return series.v + i;
+                }
+                return -1;
+            },
+            /**
+             * Returns the coefficient of (x-a)^k of a series
+             * @param {Object} series
+             * @param {int} k
+             * @returns {Symbol}
+             */
+            coeff: function (series, k) {
+                var c = series.c[k - series.v];
+                return c ? c.clone() : new Symbol(0);
+            },
+            /**
+             * Calculates the Laurent coefficients of a symbol about x = a up to and including the
+             * power n. The series is returned as an object {v, c} where the symbol is approximated
+             * by the sum of c[i]*(x-a)^(v+i).
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @param {Symbol} a
+             * @param {int} n
+             * @param {int} depth
+             * @returns {Object}
+             */
+            laurent: function (symbol, x, a, n, depth) {
+                depth = depth || 0;
+                if(depth++ > Settings.max_lim_depth)
+                    throw new core.exceptions.MaximumIterationsReached('Unable to calculate series for ' + symbol);
+
+                var coeffs, retval;
+
+                if(!symbol.contains(x, true)) {
+                    return {v: 0, c: n >= 0 ? [symbol.clone()] : []};
+                }
+
+                //the simplest case. The function is analytic at a
+                coeffs = __.Series.taylor(symbol, x, a, n);
+                if(coeffs)
+                    return {v: 0, c: coeffs};
+
+                //f+g => series(f)+series(g)
+                if(symbol.isComposite() && symbol.isLinear()) {
+                    var terms = [];
+                    symbol.each(function (e) {
+                        terms.push(__.Series.laurent(e.clone(), x, a, n, depth));
+                    }, true);
+                    var v = Math.min.apply(null, terms.map(function (t) {
+                        return t.v;
+                    }));
+                    retval = {v: v, c: []};
+                    for(var k = v; k <= n; k++) {
+                        var c = new Symbol(0);
+                        for(var i = 0; i < terms.length; i++)
+                            c = _.add(c, __.Series.coeff(terms[i], k));
+                        retval.c.push(c);
+                    }
+                    return retval;
+                }
+
+                var den = symbol.getDenom();
+                if(den.contains(x, true)) {
+                    //f/g => series(f)/series(g)
+                    var num = symbol.getNum();
+                    //first find out where the series start
+                    var vn = __.Series.valuation(__.Series.laurent(num, x, a, n, depth)),
+                            vd = -1,
+                            order = Math.max(n, 0);
+                    //keep going until we find a nonzero term in the denominator
+                    while(vd === -1 && order <= n + Settings.max_lim_depth) {
+                        vd = __.Series.valuation(__.Series.laurent(den, x, a, order++, depth));
+                    }
+                    if(vd === -1)
+                        throw new core.exceptions.DivisionByZero('Unable to calculate series for ' + symbol);
+                    //the numerator is identically zero
+                    if(vn === -1)
+                        return {v: 0, c: [new Symbol(0)]};
+
+                    var l = n - (vn - vd) + 1,
+                            ns = __.Series.laurent(num, x, a, vn + l - 1, depth),
+                            ds = __.Series.laurent(den, x, a, vd + l - 1, depth),
+                            d0 = __.Series.coeff(ds, vd);
+                    retval = {v: vn - vd, c: []};
+                    //power series division
+                    for(var k = 0; k < l; k++) {
+                        var c = __.Series.coeff(ns, vn + k);
+                        for(var j = 1; j <= k; j++)
+                            c = _.subtract(c, _.multiply(__.Series.coeff(ds, vd + j), retval.c[k - j].clone()));
+                        retval.c.push(_.expand(_.divide(c, d0.clone())));
+                    }
+                    return retval;
+                }
+
+                //f*g => series(f)*series(g)
+                if(symbol.group === CB) {
+                    var factors = [];
+                    symbol.each(function (e) {
+                        factors.push(e.clone());
+                    });
+                    factors[0] = _.multiply(factors[0], new Symbol(symbol.multiplier));
+                    var series = factors.map(function (e) {
+                        return __.Series.laurent(e, x, a, n, depth);
+                    });
+                    var vals = series.map(function (s) {
+                        var v = __.Series.valuation(s);
+                        return v === -1 ? s.v : v;
+                    });
+                    var total = core.Utils.arraySum(vals);
+                    //get the required precision taking into account the poles of the other factors
+                    series = series.map(function (s, i) {
+                        var order = n - (total - vals[i]);
+                        return order > n ? __.Series.laurent(factors[i], x, a, order, depth) : s;
+                    });
+                    retval = series.reduce(function (p, q) {
+                        var r = {v: p.v + q.v, c: []};
+                        for(var k = r.v; k <= n; k++) {
+                            var c = new Symbol(0);
+                            for(var i = p.v; i <= k - q.v; i++)
+                                c = _.add(c, _.multiply(__.Series.coeff(p, i), __.Series.coeff(q, k - i)));
+                            r.c.push(c);
+                        }
+                        return r;
+                    });
+                    return retval;
+                }
+
+                throw new core.exceptions.UndefinedError('Unable to calculate series for ' + symbol);
+            },
+            /**
+             * Expands a symbol as a Taylor series or a Laurent series at a pole about x = a.
+             * The series includes all terms up to and including (x-a)^n.
+             * @param {Symbol} symbol
+             * @param {Symbol} x The variable
+             * @param {Symbol} a The point about which to expand. Defaults to 0
+             * @param {Symbol} n The order. Defaults to Settings.series_order
+             * @param {Symbol} remainder Pass in a nonzero value to include the order term O((x-a)^(n+1))
+             * @returns {Symbol}
+             */
+            series: function (symbol, x, a, n, remainder) {
+                var original = [].slice.call(arguments).map(function (e) {
+                    return _.parse(e);
+                });
+                x = x ? x.toString() : core.Utils.variables(symbol)[0];
+                a = a || new Symbol(0);
+                n = n ? Number(n) : Settings.series_order;
+
+                if(!isInt(n) || n < 0)
+                    throw new core.exceptions.NerdamerValueError('The order of the series must be a nonnegative integer. ' + n + ' provided');
+
+                //a constant has no expansion to speak of
+                if(!x || !symbol.contains(x, true))
+                    return symbol.clone();
+
+                symbol = __.Series.toSinCos(symbol);
+
+                var at_infinity = a.isInfinity,
+                        series;
+                try {
+                    if(at_infinity) {
+                        //expand f(1/t) about t = 0 and then put back t = 1/x
+                        var t = core.Utils.getU(symbol);
+                        try {
+                            series = __.Series.laurent(symbol.sub(x, _.pow(_.parse(t), new Symbol(-1))), t, new Symbol(0), n);
+                        }
+                        finally {
+                            core.Utils.clearU(t);
+                        }
+                    }
+                    else {
+                        series = __.Series.laurent(symbol, x, a, n);
+                    }
+                }
+                catch(e) {
+                    if(e instanceof core.exceptions.ParseError)
+                        throw e;
+                    return _.symfunction('series', original);
+                }
+
+                var base = at_infinity ? _.pow(_.parse(x), new Symbol(-1)) : _.subtract(_.parse(x), a.clone());
+                var retval = new Symbol(0);
+                for(var i = 0; i < series.c.length; i++) {
+                    var k = series.v + i;
+                    if(k > n)
+                        break;
+                    retval = _.add(retval, _.multiply(series.c[i].clone(), _.pow(base.clone(), new Symbol(k))));
+                }
+
+                if(remainder && !remainder.equals(0)) {
+                    retval = _.add(retval, _.symfunction('O', [_.pow(base, new Symbol(n + 1))]));
+                }
+
+                return retval;
+            },
+            /**
+             * The order term O(g) used to mark a truncated series
+             * @returns {Symbol}
+             */
+            O: function () {
+                return _.symfunction('O', arguments);
+            }
+        },
+        Summation: {
+            /**
+             * The binomial coefficient n choose k
+             * @param {int} n
+             * @param {int} k
+             * @returns {int}
+             */
+            binomial: function (n, k) {
+                var retval = 1;
+                for(var i = 1; i <= k; i++)
+                    retval = retval * (n - k + i) / i;
+                return Math.round(retval);
+            },
+            /**
+             * Returns the Bernoulli numbers B_0 to B_n using the convention B_1 = -1/2
+             * @param {int} n
+             * @returns {Frac[]}
+             */
+            bernoulli: function (n) {
+                var B = [new Frac(1)];
+                for(var m = 1; m <= n; m++) {
+                    var t = new Frac(0);
+                    for(var j = 0; j < m; j++)
+                        t = t.add(B[j].multiply(new Frac(__.Summation.binomial(m + 1, j))));
+                    B[m] = t.divide(new Frac(m + 1)).negate();
+                }
+                return B;
+            },
+            /**
+             * Faulhaber's formula for the sum of k^p from k = 0 to n-1
+             * @param {int} p
+             * @param {Symbol} n
+             * @returns {Symbol}
+             */
+            faulhaber: function (p, n) {
+                var B = __.Summation.bernoulli(p),
+                        retval = new Symbol(0);
+                for(var j = 0; j <= p; j++) {
+                    var c = B[j].multiply(new Frac(__.Summation.binomial(p + 1, j))).divide(new Frac(p + 1));
+                    retval = _.add(retval, _.multiply(_.parse(c), _.pow(n.clone(), new Symbol(p + 1 - j))));
+                }
+                return retval;
+            },
+            /**
+             * The Riemann zeta function for even integers. Returns undefined for all other values.
+             * @param {int} m
+             * @returns {Symbol}
+             */
+            zeta: function (m) {
+                if(!isInt(m) || m < 2 || !even(m))
+                    return;
+                var n = m / 2,
+                        B = __.Summation.bernoulli(m)[m];
+                //(-1)^(n+1)*B_2n*(2*pi)^(2n)/(2*(2n)!)
+                return _.parse(format('({0})*({1})*(2*pi)^({2})/(2*{3})', even(n) ? -1 : 1, B, m, core.Math2.factorial(m)));
+            },
+            /**
+             * Returns the factorial of a symbol, evaluating it directly for nonnegative integers
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            factorial: function (symbol) {
+                if(symbol.isConstant() && symbol.isInteger() && symbol.multiplier.greaterThan(-1))
+                    return new Symbol(core.Math2.factorial(Number(symbol)));
+                return _.symfunction(Settings.FACTORIAL, [symbol]);
+            },
+            /**
+             * Returns the coefficients of a polynomial in k or undefined if the symbol is not a polynomial in k
+             * @param {Symbol} symbol
+             * @param {String} k
+             * @returns {Symbol[]}
+             */
+            polyCoeffs: function (symbol, k) {
+                var coeffs;
+                try {
+                    coeffs = core.Algebra.coeffs(symbol.clone(), k);
+                }
+                catch(e) {
+                    return;
+                }
+                //make sure that we get back the original symbol
+                var check = new Symbol(0);
+                for(var i = 0; i < coeffs.length; i++) {
+                    if(coeffs[i].contains(k, true))
+                        return;
+                    check = _.add(check, i === 0 ? coeffs[i].clone() : _.multiply(coeffs[i].clone(), _.pow(_.parse(k), new Symbol(i))));
+                }
+                if(!_.expand(_.subtract(check, symbol.clone())).equals(0))
+                    return;
+                return coeffs;
+            },
+            /**
+             * Splits a term into C*p(k)*r^k/k!^f where p is a polynomial. Returns undefined if this is not possible.
+             * @param {Symbol} term
+             * @param {String} k
+             * @returns {Object}
+             */
+            decompose: function (term, k) {
+                var C = new Symbol(term.multiplier),
+                        r = new Symbol(1),
+                        poly = new Symbol(1),
+                        factorial = false,
+                        factors = [];
+                if(term.group === CB)
+                    term.each(function (x) {
+                        factors.push(x.clone());
+                    });
+                else
+                    factors.push(term.clone().toUnitMultiplier());
+
+                for(var i = 0; i < factors.length; i++) {
+                    var f = factors[i];
+                    if(!f.contains(k, true)) {
+                        C = _.multiply(C, f);
+                    }
+                    else if(f.group === EX) {
+                        var base = _.parse(f.value),
+                                p = f.power.clone(),
+                                a = __.diff(p.clone(), k),
+                                b = p.sub(k, new Symbol(0));
+                        //only a^(m*k+b) is supported
+                        if(base.contains(k, true) || a.contains(k, true))
+                            return;
+                        C = _.multiply(C, _.multiply(new Symbol(f.multiplier), _.pow(base.clone(), b)));
+                        r = _.multiply(r, _.pow(base, a));
+                    }
+                    else if(f.group === FN && f.fname === Settings.FACTORIAL && f.args[0].equals(_.parse(k)) && f.power.equals(-1)) {
+                        factorial = true;
+                    }
+                    else {
+                        poly = _.multiply(poly, f);
+                    }
+                }
+
+                var coeffs = __.Summation.polyCoeffs(_.expand(poly), k);
+                if(!coeffs)
+                    return;
+
+                return {
+                    C: C,
+                    r: r,
+                    coeffs: coeffs,
+                    factorial: factorial
+                };
+            },
+            /**
+             * Sums a polynomial given by its coefficients from k = a to b
+             * @param {Symbol[]} coeffs
+             * @param {Symbol} a
+             * @param {Symbol} b
+             * @returns {Symbol}
+             */
+            polynomial: function (coeffs, a, b) {
+                var retval = new Symbol(0);
+                for(var i = 0; i < coeffs.length; i++) {
+                    if(coeffs[i].equals(0))
+                        continue;
+                    //a nonzero polynomial doesn't converge
+                    if(b.isInfinity)
+                        return;
+                    var s = _.subtract(__.Summation.faulhaber(i, _.add(b.clone(), new Symbol(1))), __.Summation.faulhaber(i, a.clone()));
+                    retval = _.add(retval, _.multiply(coeffs[i].clone(), s));
+                }
+                return retval;
+            },
+            /**
+             * Sums the arithmetico-geometric series p(k)*r^k from k = a to b by finding q such that
+             * r*q(k+1)-q(k) = p(k). The sum is then q(b+1)*r^(b+1)-q(a)*r^a.
+             * @param {Symbol[]} coeffs The coefficients of p
+             * @param {Symbol} r
+             * @param {Symbol} a
+             * @param {Symbol} b
+             * @returns {Symbol}
+             */
+            arithmeticGeometric: function (coeffs, r, a, b) {
+                var d = coeffs.length - 1,
+                        c = [],
+                        rm1 = _.subtract(r.clone(), new Symbol(1));
+                for(var m = d; m >= 0; m--) {
+                    var t = coeffs[m].clone();
+                    for(var j = m + 1; j <= d; j++)
+                        t = _.subtract(t, _.multiply(_.multiply(r.clone(), c[j].clone()), new Symbol(__.Summation.binomial(j, m))));
+                    c[m] = _.divide(t, rm1.clone());
+                }
+
+                var F = function (n) {
+                    var q = new Symbol(0);
+                    for(var i = 0; i <= d; i++)
+                        q = _.add(q, i === 0 ? c[i].clone() : _.multiply(c[i].clone(), _.pow(n.clone(), new Symbol(i))));
+                    return _.multiply(q, _.pow(r.clone(), n.clone()));
+                };
+
+                if(b.isInfinity) {
+                    //the series only converges for |r| < 1
+                    var value = Number(evaluate(r.clone()));
+                    if(isNaN(value) || Math.abs(value) >= 1)
+                        return;
+                    return _.multiply(new Symbol(-1), F(a));
+                }
+
+                return _.subtract(F(_.add(b.clone(), new Symbol(1))), F(a));
+            },
+            /**
+             * Sums rational functions from k = a to b by first decomposing them into partial fractions.
+             * Terms of the form c/(k+alpha)^m whose alpha differ by integers telescope if their coefficients
+             * sum to zero. The remaining terms are only summed for b = Infinity using the zeta function.
+             * @param {Symbol[]} terms
+             * @param {String} k
+             * @param {Symbol} a
+             * @param {Symbol} b
+             * @returns {Symbol}
+             */
+            rational: function (terms, k, a, b) {
+                var poly = new Symbol(0),
+                        classes = [],
+                        fractions = [];
+
+                for(var i = 0; i < terms.length; i++) {
+                    var term = terms[i];
+                    if(__.Summation.polyCoeffs(term, k)) {
+                        poly = _.add(poly, term);
+                        continue;
+                    }
+                    //reparse the pieces since partfrac doesn't always return them in normal form
+                    var pf = core.Algebra.PartFrac.partfrac(term.clone(), _.parse(k));
+                    if(pf.isComposite() && pf.isLinear())
+                        pf.each(function (x) {
+                            fractions.push(_.parse(x.text()));
+                        });
+                    else
+                        fractions.push(_.parse(pf.text()));
+                }
+
+                //group the fractions c*(k+alpha)^(-m)
+                for(var i = 0; i < fractions.length; i++) {
+                    var f = fractions[i],
+                            c = new Symbol(f.multiplier),
+                            L = undefined,
+                            m = 0;
+                    var factors = f.group === CB ? f.collectSymbols() : [f.clone().toUnitMultiplier()];
+                    for(var j = 0; j < factors.length; j++) {
+                        var factor = factors[j];
+                        if(!factor.contains(k, true)) {
+                            c = _.multiply(c, factor.clone());
+                        }
+                        else if(!L && isInt(factor.power) && factor.power < 0) {
+                            m = -Number(factor.power);
+                            L = __.Summation.polyCoeffs(factor.clone().toLinear(), k);
+                        }
+                        else {
+                            return;
+                        }
+                    }
+
+                    if(!L) {
+                        poly = _.add(poly, f);
+                        continue;
+                    }
+
+                    //we can only handle linear denominators
+                    if(L.length !== 2)
+                        return;
+                    var alpha = _.divide(L[0], L[1].clone());
+                    c = _.divide(c, _.pow(L[1], new Symbol(m)));
+
+                    var found = false;
+                    for(var j = 0; j < classes.length; j++) {
+                        var cls = classes[j];
+                        var s = _.subtract(alpha.clone(), cls.alpha.clone());
+                        if(cls.m === m && s.isConstant() && s.isInteger()) {
+                            cls.terms.push({c: c, s: Number(s)});
+                            found = true;
+                            break;
+                        }
+                    }
+                    if(!found)
+                        classes.push({m: m, alpha: alpha, terms: [{c: c, s: 0}]});
+                }
+
+                var pcoeffs = __.Summation.polyCoeffs(poly, k);
+                if(!pcoeffs)
+                    return;
+                var retval = __.Summation.polynomial(pcoeffs, a, b);
+                if(!retval)
+                    return;
+
+                for(var i = 0; i < classes.length; i++) {
+                    var cls = classes[i];
+                    //shift everything so that all the offsets are positive
+                    var min = Math.min.apply(null, cls.terms.map(function (t) {
+                        return t.s;
+                    }));
+                    var alpha = _.add(cls.alpha, new Symbol(min));
+                    var g = function (j) {
+                        return _.pow(_.add(j, alpha.clone()), new Symbol(-cls.m));
+                    };
+                    var total = new Symbol(0);
+                    for(var j = 0; j < cls.terms.length; j++) {
+                        var t = cls.terms[j],
+                                s = t.s - min;
+                        total = _.add(total, t.c.clone());
+                        //sum over k+s = sum over k minus the head plus the tail
+                        for(var n = 0; n < s; n++) {
+                            retval = _.subtract(retval, _.multiply(t.c.clone(), g(_.add(a.clone(), new Symbol(n)))));
+                            if(!b.isInfinity)
+                                retval = _.add(retval, _.multiply(t.c.clone(), g(_.add(b.clone(), new Symbol(n + 1)))));
+                        }
+                    }
+
+                    total = _.expand(total);
+                    if(total.equals(0))
+                        continue;
+
+                    //what remains is total*sum(1/(k+alpha)^m, k, a, b)
+                    var start = _.add(a.clone(), alpha.clone());
+                    if(!b.isInfinity || !start.isConstant() || !start.isInteger() || start < 1)
+                        return;
+                    if(cls.m === 1) {
+                        //the harmonic series diverges
+                        return total.isConstant() ? Symbol.infinity(total.sign()) : undefined;
+                    }
+                    var z = __.Summation.zeta(cls.m);
+                    if(!z)
+                        return;
+                    for(var n = 1; n < Number(start); n++)
+                        z = _.subtract(z, _.pow(new Symbol(n), new Symbol(-cls.m)));
+                    retval = _.add(retval, _.multiply(total, z));
+                }
+
+                return retval;
+            },
+            /**
+             * Attempts to find a closed form for the sum of fn from index = start to end.
+             * Returns undefined if none is found.
+             * @param {Symbol} fn
+             * @param {String} index
+             * @param {Symbol} start
+             * @param {Symbol} end
+             * @returns {Symbol}
+             */
+            sum: function (fn, index, start, end) {
+                var k = String(index),
+                        a = start.clone(),
+                        b = end.clone();
+
+                //only the upper limit can be infinite
+                if(a.isInfinity || b.isInfinity && b.sign() < 0)
+                    return;
+
+                try {
+                    var symbol = _.expand(fn.clone());
+                    //sum of constants or polynomials
+                    var coeffs = __.Summation.polyCoeffs(symbol, k);
+                    if(coeffs) {
+                        var retval = _.expand(__.Summation.polynomial(coeffs, a, b)),
+                                factored = core.Algebra.Factor.factor(retval.clone());
+                        //only keep the factored form if it actually split into factors
+                        return factored.group === CB && factored.collectSymbols().length > 1 ? factored : retval;
+                    }
+
+                    var terms = symbol.isComposite() && symbol.isLinear() ? symbol.collectSymbols() : [symbol],
+                            rational = [],
+                            retval = new Symbol(0);
+
+                    for(var i = 0; i < terms.length; i++) {
+                        var term = terms[i],
+                                parts = __.Summation.decompose(term, k);
+                        if(parts && parts.factorial) {
+                            //sum of r^k/k! from k = a to Infinity
+                            if(!b.isInfinity || parts.coeffs.length > 1 || !a.isConstant() || !a.isInteger() || a < 0)
+                                return;
+                            var s = _.pow(new Symbol('e'), parts.r.clone());
+                            for(var n = 0; n < Number(a); n++)
+                                s = _.subtract(s, _.divide(_.pow(parts.r.clone(), new Symbol(n)), new Symbol(core.Math2.factorial(n))));
+                            retval = _.add(retval, _.multiply(_.multiply(parts.C, parts.coeffs[0]), s));
+                        }
+                        else if(parts && !parts.r.equals(1)) {
+                            var s = __.Summation.arithmeticGeometric(parts.coeffs, parts.r, a, b);
+                            if(!s)
+                                return;
+                            retval = _.add(retval, _.multiply(parts.C, s));
+                        }
+                        else {
+                            rational.push(term);
+                        }
+                    }
+
+                    if(rational.length) {
+                        var s = __.Summation.rational(rational, k, a, b);
+                        if(!s)
+                            return;
+                        retval = _.add(retval, s);
+                    }
+
+                    return retval;
+                }
+                catch(e) {
+                    //no closed form found
+                    return;
+                }
+            },
+            /**
+             * Attempts to find a closed form for the product of fn from index = start to end
+             * using factorials. Returns undefined if none is found.
+             * @param {Symbol} fn
+             * @param {String} index
+             * @param {Symbol} start
+             * @param {Symbol} end
+             * @returns {Symbol}
+             */
+            product: function (fn, index, start, end) {
+                var k = String(index),
+                        a = start.clone(),
+                        b = end.clone();
+
+                if(a.isInfinity || b.isInfinity)
+                    return;
+
+                try {
+                    //the number of factors
+                    var n = _.add(_.subtract(b.clone(), a.clone()), new Symbol(1)),
+                            symbol = core.Algebra.Factor.factor(fn.clone()),
+                            retval = _.pow(new Symbol(symbol.multiplier), n.clone()),
+                            factors = symbol.group === CB ? symbol.collectSymbols() : [symbol.clone().toUnitMultiplier()];
+
+                    for(var i = 0; i < factors.length; i++) {
+                        var f = Symbol.unwrapPARENS(factors[i].clone());
+                        if(!f.contains(k, true)) {
+                            retval = _.multiply(retval, _.pow(f, n.clone()));
+                        }
+                        else if(f.group === EX) {
+                            //prod(c^f(k)) = c^sum(f(k))
+                            var base = _.parse(f.value);
+                            if(base.contains(k, true))
+                                return;
+                            var p = __.Summation.sum(f.power.clone(), k, a, b);
+                            if(!p)
+                                return;
+                            retval = _.multiply(retval, _.multiply(_.pow(new Symbol(f.multiplier), n.clone()), _.pow(base, p)));
+                        }
+                        else {
+                            //prod(m*k+c) = m^n*(b+c/m)!/(a-1+c/m)!
+                            var p = f.power;
+                            var L = __.Summation.polyCoeffs(f.clone().toLinear(), k);
+                            if(!isInt(p) || !L || L.length !== 2)
+                                return;
+                            var alpha = _.divide(L[0], L[1].clone()),
+                                    first = _.add(a.clone(), alpha.clone());
+                            //one of the factors may be zero if the first one is at or below zero e.g. prod(k, k, 0, n).
+                            //The factorials don't hold there so the product is zero only if the range reaches the zero factor.
+                            if(isInt(first) && Number(first) <= 0) {
+                                var last = _.add(b.clone(), alpha.clone());
+                                if(p > 0 && last.isConstant() && Number(last) >= 0)
+                                    return new Symbol(0);
+                                return;
+                            }
+                            var t = _.multiply(_.pow(L[1], n.clone()), _.divide(
+                                    __.Summation.factorial(_.add(b.clone(), alpha.clone())),
+                                    __.Summation.factorial(_.subtract(_.add(a.clone(), alpha), new Symbol(1)))));
+                            retval = _.multiply(retval, _.pow(t, _.parse(p)));
+                        }
+                    }
+
+                    return retval;
+                }
+                catch(e) {
+                    return;
+                }
+            }
+        },
+        Piecewise: {
+            //the relations from the parser and their flipped versions
+            flipped: {lt: 'gt', lte: 'gte', gt: 'lt', gte: 'lte'},
+            isPiecewise: function (symbol) {
+                return isSymbol(symbol) && symbol.group === FN && symbol.fname === 'piecewise';
+            },
+            /**
+             * Checks if an argument of piecewise is a value rather than a condition
+             * @param {int} i The index of the argument
+             * @param {int} l The number of arguments
+             * @returns {boolean}
+             */
+            isValue: function (i, l) {
+                return i % 2 === 1 || i === l - 1;
+            },
+            /**
+             * Applies a function to each branch of a piecewise function. The multiplier and power are
+             * moved into the branches first.
+             * @param {Symbol} symbol
+             * @param {Function} fn
+             * @returns {Symbol}
+             */
+            map: function (symbol, fn) {
+                var m = _.parse(symbol.multiplier),
+                        p = _.parse(symbol.power),
+                        l = symbol.args.length;
+                var args = symbol.args.map(function (arg, i) {
+                    if(!__.Piecewise.isValue(i, l))
+                        return arg.clone();
+                    return fn(_.multiply(m.clone(), _.pow(arg.clone(), p.clone())));
+                });
+                return _.symfunction('piecewise', args);
+            },
+            /**
+             * Pulls the other factors of a product into the branches e.g. x*piecewise(x<0, -1, 1) -> piecewise(x<0, -x, x)
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            distribute: function (symbol) {
+                if(symbol.group !== CB || !symbol.power.equals(1))
+                    return symbol;
+                var pw,
+                        rest = new Symbol(symbol.multiplier);
+                symbol.each(function (x) {
+                    if(!pw && __.Piecewise.isPiecewise(x))
+                        pw = x.clone();
+                    else
+                        rest = _.multiply(rest, x.clone());
+                });
+                if(!pw)
+                    return symbol;
+                return __.Piecewise.map(pw, function (e) {
+                    return _.multiply(rest.clone(), e);
+                });
+            },
+            /**
+             * Gets the interval on which each branch applies. This is only possible if the conditions
+             * compare the variable against numbers.
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @returns {Interval[]} An interval per branch or undefined for an empty branch
+             */
+            regions: function (symbol, x) {
+                var args = symbol.args,
+                        l = args.length,
+                        inf = Symbol.infinity(),
+                        taken = new core.Set(),
+                        regions = [];
+                for(var i = 0; i < l; i += 2) {
+                    var region;
+                    if(i === l - 1) {
+                        region = new core.Interval(inf.clone().negate(), inf.clone(), true, true);
+                    }
+                    else {
+                        var condition = args[i];
+                        if(condition.group !== FN || !(condition.fname in __.Piecewise.flipped))
+                            return;
+                        var a = condition.args[0],
+                                b = condition.args[1],
+                                relation = condition.fname;
+                        if(b.equals(x) && !a.contains(x)) {
+                            b = [a, a = b][0];
+                            relation = __.Piecewise.flipped[relation];
+                        }
+                        if(!a.equals(x) || b.contains(x) || isNaN(Number(evaluate(b.clone()))))
+                            return;
+                        region = relation.charAt(0) === 'l' ?
+                                new core.Interval(inf.clone().negate(), b.clone(), true, relation === 'lt') :
+                                new core.Interval(b.clone(), inf.clone(), relation === 'gt', true);
+                    }
+                    //a branch only applies where none of the ones before it do
+                    var effective = new core.Set(region).difference(taken);
+                    taken = taken.union(new core.Set(region));
+                    if(effective.elements.length > 1 || effective.elements.length && !core.Utils.isInterval(effective.elements[0]))
+                        return;
+                    regions.push(effective.elements[0]);
+                }
+                return regions;
+            },
+            /**
+             * Integrates a piecewise function branch by branch. The constants are chosen so that
+             * the antiderivative is continuous at the breakpoints.
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @param {int} depth
+             * @returns {Symbol}
+             */
+            integrate: function (symbol, x, depth) {
+                var F = __.Piecewise.map(symbol, function (e) {
+                    return __.integrate(e, x, depth);
+                });
+                var regions = __.Piecewise.regions(F, x);
+                if(!regions)
+                    return F;
+
+                var args = F.args,
+                        l = args.length,
+                        value = function (k) {
+                            return 2 * k === l - 1 ? 2 * k : 2 * k + 1;
+                        },
+                        //the value at the breakpoint or undefined if it's not finite there
+                        at = function (f, b) {
+                            var v;
+                            try {
+                                v = _.parse(f.clone().sub(x, b.clone()));
+                            }
+                            catch(e) {
+                                try {
+                                    v = __.Limit.limit(f.clone(), x, b.clone());
+                                }
+                                catch(e2) {
+                                    return;
+                                }
+                            }
+                            if(!isSymbol(v) || v.contains('Infinity') || v.group === FN && v.fname === 'limit')
+                                return;
+                            return v;
+                        };
+
+                //go through the branches from left to right
+                var order = core.Utils.range(0, regions.length - 1).filter(function (k) {
+                    return !!regions[k];
+                }).sort(function (a, b) {
+                    return Number(evaluate(regions[a].lower.clone())) - Number(evaluate(regions[b].lower.clone()));
+                });
+
+                for(var i = 1; i < order.length; i++) {
+                    var prev = order[i - 1],
+                            k = order[i],
+                            b = regions[k].lower;
+                    if(!regions[prev].upper.equals(b))
+                        continue;
+                    var left = at(args[value(prev)], b),
+                            right = at(args[value(k)], b);
+                    //the antiderivative can't be made continuous across a pole so leave the constant alone
+                    if(!left || !right)
+                        continue;
+                    args[value(k)] = _.add(args[value(k)], _.subtract(left, right));
+                }
+
+                return F;
+            }
+        },
+        VectorCalculus: {
+            /**
+             * Gets the names of the variables from a vector of variables. The variables of the
+             * expression are used if none are provided.
+             * @param {Vector|Symbol} vars
+             * @param {Symbol|Vector} symbol
+             * @returns {String[]}
+             */
+            variables: function (vars, symbol) {
+                if(!vars)
+                    return core.Utils.isVector(symbol) ? core.Utils.arrayGetVariables(symbol.elements) : core.Utils.variables(symbol);
+                var elements = core.Utils.isVector(vars) ? vars.elements : [vars];
+                return elements.map(function (v) {
+                    if(!isSymbol(v) || v.group !== S || !v.multiplier.equals(1) || !v.power.equals(1))
+                        throw new core.exceptions.NerdamerTypeError('Expected a vector of variables. ' + v + ' provided');
+                    return v.value;
+                });
+            },
+            /**
+             * Gets the components of a vector field
+             * @param {Vector} F
+             * @param {int} n The number of components if it has to match
+             * @returns {Symbol[]}
+             */
+            components: function (F, n) {
+                if(!core.Utils.isVector(F))
+                    throw new core.exceptions.NerdamerTypeError('Expected a vector field. ' + F + ' provided');
+                if(typeof n !== 'undefined' && F.elements.length !== n)
+                    throw new core.exceptions.DimensionError('The vector field must have ' + n + ' components');
+                return F.elements;
+            },
+            /**
+             * The gradient of a scalar function
+             * @param {Symbol} f
+             * @param {Vector} vars
+             * @returns {Vector}
+             */
+            grad: function (f, vars) {
+                if(core.Utils.isVector(f) || core.Utils.isMatrix(f))
+                    throw new core.exceptions.NerdamerTypeError('The gradient requires a scalar function. Use jacobian for vector fields');
+                vars = __.VectorCalculus.variables(vars, f);
+                return new core.Vector(vars.map(function (v) {
+                    return __.diff(f.clone(), v);
+                }));
+            },
+            /**
+             * The divergence of a vector field
+             * @param {Vector} F
+             * @param {Vector} vars
+             * @returns {Symbol}
+             */
+            div: function (F, vars) {
+                vars = __.VectorCalculus.variables(vars, F);
+                var retval = new Symbol(0);
+                __.VectorCalculus.components(F, vars.length).forEach(function (e, i) {
+                    retval = _.add(retval, __.diff(e.clone(), vars[i]));
+                });
+                return retval;
+            },
+            /**
+             * The curl of a vector field in three dimensions
+             * @param {Vector} F
+             * @param {Vector} vars
+             * @returns {Vector}
+             */
+            curl: function (F, vars) {
+                vars = __.VectorCalculus.variables(vars, F);
+                if(vars.length !== 3)
+                    throw new core.exceptions.DimensionError('The curl is only defined in three dimensions');
+                var f = __.VectorCalculus.components(F, 3),
+                        d = function (i, j) {
+                            return __.diff(f[i].clone(), vars[j]);
+                        };
+                return new core.Vector([
+                    _.subtract(d(2, 1), d(1, 2)),
+                    _.subtract(d(0, 2), d(2, 0)),
+                    _.subtract(d(1, 0), d(0, 1))
+                ]);
+            },
+            /**
+             * The Laplacian of a scalar function. Vector fields get the Laplacian of each component.
+             * @param {Symbol|Vector} f
+             * @param {Vector} vars
+             * @returns {Symbol|Vector}
+             */
+            laplacian: function (f, vars) {
+                vars = __.VectorCalculus.variables(vars, f);
+                if(core.Utils.isVector(f))
+                    return f.map(function (e) {
+                        return __.VectorCalculus.laplacian(e, new core.Vector(vars.map(function (v) {
+                            return new Symbol(v);
+                        })));
+                    });
+                var retval = new Symbol(0);
+                vars.forEach(function (v) {
+                    retval = _.add(retval, __.diff(f.clone(), v, 2));
+                });
+                return retval;
+            },
+            /**
+             * The Jacobian matrix of a vector field
+             * @param {Vector} F
+             * @param {Vector} vars
+             * @returns {Matrix}
+             */
+            jacobian: function (F, vars) {
+                vars = __.VectorCalculus.variables(vars, F);
+                return core.Matrix.jacobian(__.VectorCalculus.components(F), vars);
+            },
+            /**
+             * The Hessian matrix of a scalar function
+             * @param {Symbol} f
+             * @param {Vector} vars
+             * @returns {Matrix}
+             */
+            hessian: function (f, vars) {
+                var gradient = __.VectorCalculus.grad(f, vars);
+                return __.VectorCalculus.jacobian(gradient, vars || new core.Vector(core.Utils.variables(f).map(function (v) {
+                    return new Symbol(v);
+                })));
+            }
+        },
+        Trace: {
+            //the recorded steps. Only set while tracing
+            steps: null,
+            //the steps which are still being calculated
+            frames: [],
+            /**
+             * Formats a symbol for a step
+             * @param {Symbol} symbol
+             * @returns {Object}
+             */
+            format: function (symbol) {
+                return {
+                    text: text(symbol),
+                    latex: core.LaTeX.latex(symbol)
+                };
+            },
+            /**
+             * Names the rule used by the step being calculated. The first rule named is kept.
+             * @param {String} name
+             */
+            rule: function (name) {
+                var frame = __.Trace.frames[__.Trace.frames.length - 1];
+                if(frame && !frame.rule)
+                    frame.rule = name;
+            },
+            /**
+             * Records a call to diff or integrate. Calls which fail are removed along with their steps.
+             * @param {String} operation
+             * @param {Symbol} symbol
+             * @param {Function} fn Calculates the result
+             * @returns {Symbol}
+             */
+            step: function (operation, symbol, fn) {
+                var steps = __.Trace.steps;
+                if(!steps || !isSymbol(symbol))
+                    return fn();
+                var index = steps.length,
+                        step = {
+                            operation: operation,
+                            rule: undefined,
+                            depth: __.Trace.frames.length,
+                            expression: __.Trace.format(symbol)
+                        };
+                steps.push(step);
+                __.Trace.frames.push(step);
+                try {
+                    var result = fn();
+                }
+                catch(e) {
+                    steps.length = index;
+                    throw e;
+                }
+                finally {
+                    __.Trace.frames.pop();
+                }
+                if(isSymbol(result) && result.containsFunction(operation))
+                    step.rule = 'unevaluated';
+                step.rule = step.rule || 'table';
+                step.result = __.Trace.format(result);
+                return result;
+            }
+        },
+        Fresnel: {
+            S: function (x) {
+                if(x.isConstant(true)) {
+                    return __.defint(_.parse('sin(pi*x^2/2)'), Symbol(0), x, 'x');
+                }
+                return _.symfunction('S', arguments);
+            },
+            C: function (x) {
+                if(x.isConstant(true)) {
+                    return __.defint(_.parse('cos(pi*x^2/2)'), Symbol(0), x, 'x');
+                }
+                return _.symfunction('C', arguments);
+            }
+        }
+    };
+
+    //record the steps of diff and integrate when tracing
+    ['diff', 'integrate'].forEach(function (operation) {
+        var fn = __[operation];
+        __[operation] = function (symbol) {
+            var args = arguments;
+            return __.Trace.step(operation, symbol, function () {
+                return fn.apply(__, args);
+            });
+        };
+    });
+    var rules = {
+        u_substitution: 'u_substitution',
+        by_parts: 'by_parts',
+        partial_fraction: 'partial_fraction',
+        trig_sub: 'trig_sub',
+        //x^-1 integrates to a log rather than by the power rule
+        poly_integrate: function (x) {
+            return Number(x.power) === -1 ? 'log' : 'power';
+        }
+    };
+    Object.keys(rules).forEach(function (name) {
+        var fn = __.integration[name];
+        __.integration[name] = function () {
+            //the rule is read first since poly_integrate changes its argument
+            var rule = typeof rules[name] === 'function' ? rules[name].apply(undefined, arguments) : rules[name],
+                    retval = fn.apply(__.integration, arguments);
+            __.Trace.rule(rule);
+            return retval;
+        };
+    });
+
+    /**
+     * Evaluates an expression and returns the rules used by diff and integrate along the way
+     * e.g. nerdamer.steps('integrate(x*e^x, x)')
+     * @param {String} expression
+     * @param {Object} subs
+     * @returns {Object} The result and the steps. Each step has the operation, the rule, its depth
+     * and the expression and result in text and LaTeX
+     */
+    nerdamer.steps = function (expression, subs) {
+        __.Trace.steps = [];
+        try {
+            var result = nerdamer(expression, subs);
+            return {
+                result: result,
+                steps: __.Trace.steps
+            };
+        }
+        finally {
+            __.Trace.steps = null;
+            __.Trace.frames = [];
+        }
+    };
+
+    nerdamer.register([
+        {
+            name: 'diff',
+            visible: true,
             numargs: [1, 3],
             build: function () {
                 return __.diff;
             }
         },
+        {
+            name: 'impldiff',
+            visible: true,
+            numargs: [2, 4],
+            build: function () {
+                return __.impldiff;
+            }
+        },
         {
             name: 'sum',
             visible: true,
@@ -2635,7 +4878,7 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
         {
             name: 'defint',
             visible: true,
-            numargs: [3, 4],
+            numargs: -1,
             build: function () {
                 return __.defint;
             }
@@ -2661,10 +4904,109 @@ if((typeof module) !== 'undefined' && typeof nerdamer === 'undefined') {
             visible: true,
             numargs: [3, 4],
             build: function () {
-                return __.Limit.limit;
+                return __.Limit.find;
+            }
+        },
+        {
+            name: 'grad',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.VectorCalculus.grad;
+            }
+        },
+        {
+            name: 'curl',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.VectorCalculus.curl;
+            }
+        },
+        {
+            name: 'laplacian',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.VectorCalculus.laplacian;
+            }
+        },
+        {
+            name: 'jacobian',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.VectorCalculus.jacobian;
+            }
+        },
+        {
+            name: 'hessian',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return __.VectorCalculus.hessian;
+            }
+        },
+        {
+            name: 'is_elementary',
+            visible: true,
+            numargs: [1, 2],
+            build: function () {
+                return function (symbol, dx) {
+                    dx = dx ? String(dx) : core.Utils.variables(symbol)[0] || 'x';
+                    var elementary = __.Risch.isElementary(symbol, dx);
+                    if(typeof elementary === 'undefined')
+                        return _.symfunction('is_elementary', [symbol, _.parse(dx)]);
+                    return new Symbol(Number(elementary));
+                };
+            }
+        },
+        {
+            name: 'series',
+            visible: true,
+            numargs: [1, 5],
+            build: function () {
+                return __.Series.series;
+            }
+        },
+        {
+            name: 'O',
+            visible: true,
+            numargs: 1,
+            build: function () {
+                return __.Series.O;
             }
         }
     ]);
+    //a lone + or - as the last argument of limit is the direction of the limit e.g. limit(1/x, x, 0, +)
+    _.addPreprocessor('limit_direction', function (e) {
+        var re = /\blimit\s*\(/g,
+                starts = [],
+                match;
+        while((match = re.exec(e)))
+            starts.push(match.index + match[0].length);
+        //go from the last call so the positions of the ones before it don't move
+        for(var i = starts.length - 1; i >= 0; i--) {
+            var depth = 0,
+                    comma = -1;
+            for(var j = starts[i]; j < e.length; j++) {
+                var ch = e.charAt(j);
+                if(ch === '(' || ch === '[')
+                    depth++;
+                else if(ch === ',' && depth === 0)
+                    comma = j;
+                else if(ch === ')' || ch === ']') {
+                    if(depth-- > 0)
+                        continue;
+                    var sign = e.substring(comma + 1, j).trim();
+                    if(comma > -1 && (sign === '+' || sign === '-'))
+                        e = e.substring(0, comma + 1) + sign + '1' + e.substring(j);
+                    break;
+                }
+            }
+        }
+        return e;
+    });
     //link registered functions externally
     nerdamer.api();
 
@@ -12,6 +12,7 @@ if((typeof module) !== 'undefined') {
     var nerdamer = require('./nerdamer.core.js');
     require('./Calculus');
     require('./Algebra');
+    require('./Solve');
 }
 
 (function () {
@@ -23,6 +24,8 @@ if((typeof module) !== 'undefined') {
             format = core.Utils.format,
             isVector = core.Utils.isVector,
             isArray = core.Utils.isArray,
+            isSymbol = core.Utils.isSymbol,
+            isInt = core.Utils.isInt,
             Vector = core.Vector,
             S = core.groups.S,
             EX = core.groups.EX,
@@ -32,6 +35,64 @@ if((typeof module) !== 'undefined') {
     core.Settings.Laplace_integration_depth = 40;
 
 
+    /**
+     * Checks if a symbol is in the form a*t+b
+     * @param {Symbol} symbol
+     * @param {String} t
+     * @returns {boolean}
+     */
+    var isLinearIn = function (symbol, t) {
+        var d = core.Utils.decompose_fn(symbol.clone(), t, true);
+        return d.x.value === t && d.x.group === S && d.x.power.equals(1) && !d.a.contains(t, true) && !d.b.contains(t, true);
+    };
+
+    /**
+     * Splits a symbol into the factors without and with t
+     * @param {Symbol} symbol
+     * @param {String} t
+     * @returns {Symbol[]}
+     */
+    var separate = function (symbol, t) {
+        var coeff = new Symbol(symbol.multiplier),
+                f = new Symbol(1);
+        (symbol.group === CB ? symbol.collectSymbols() : [symbol.clone().toUnitMultiplier()]).forEach(function (x) {
+            if(x.contains(t, true))
+                f = _.multiply(f, x.clone());
+            else
+                coeff = _.multiply(coeff, x.clone());
+        });
+        return [coeff, f];
+    };
+
+    /**
+     * Writes a symbol with nested fractions e.g. 1/(1/x+1) as a single fraction
+     * @param {Symbol} symbol
+     * @returns {Symbol[]} The numerator and denominator
+     */
+    var together = function (symbol) {
+        var p = symbol.power,
+                f;
+        if(isSymbol(p) || !isInt(p) || symbol.isConstant())
+            return [symbol.clone(), new Symbol(1)];
+        if(symbol.group === CB || symbol.isComposite()) {
+            var base = symbol.clone().toUnitMultiplier().toLinear();
+            f = [new Symbol(base.group === CB ? 1 : 0), new Symbol(1)];
+            base.each(function (x) {
+                var g = together(x);
+                if(base.group === CB)
+                    f = [_.multiply(f[0], g[0]), _.multiply(f[1], g[1])];
+                else
+                    f = [_.add(_.multiply(f[0], g[1].clone()), _.multiply(g[0], f[1].clone())), _.multiply(f[1], g[1])];
+            });
+        }
+        else
+            f = [symbol.clone().toUnitMultiplier().toLinear(), new Symbol(1)];
+        if(p < 0)
+            f.reverse();
+        p = new Symbol(Math.abs(p));
+        return [_.multiply(new Symbol(symbol.multiplier), _.pow(f[0], p.clone())), _.pow(f[1], p)];
+    };
+
     Symbol.prototype.findFunction = function (fname) {
         //this is what we're looking for
         if(this.group === FN && this.fname === fname)
@@ -70,7 +131,8 @@ if((typeof module) !== 'undefined') {
                 }
                 else if(g === S && core.Utils.isInt(symbol.power)) {
                     var n = String(symbol.power);
-                    retval = _.parse(format('factorial({0})/({1})^({0}+1)', n, s));
+                    //factorial(n) stays unevaluated when parsed so it's computed here
+                    retval = _.parse(format('({2})/({1})^({0}+1)', n, s, core.Math2.bigfactorial(n)));
                 }
                 else if(symbol.group === S && symbol.power.equals(1 / 2)) {
                     retval = _.parse(format('sqrt(pi)/(2*({0})^(3/2))', s));
@@ -85,6 +147,11 @@ if((typeof module) !== 'undefined') {
                     var a = symbol.power.stripVar(t);
                     retval = _.parse(format('1/(({1})-({0}))', a, s));
                 }
+                else if(symbol.isE() && symbol.power.group === CP && isLinearIn(symbol.power, t)) {
+                    //e^(a*t+b) = e^b*e^(a*t)
+                    var f = core.Utils.decompose_fn(symbol.power, t, true);
+                    retval = _.parse(format('e^({2})/(({1})-({0}))', f.a, s, f.b));
+                }
                 else {
                     var fns = ['sin', 'cos', 'sinh', 'cosh'];
                     //support for symbols in fns with arguments in the form a*t or n*t where a = symbolic and n = Number
@@ -370,6 +437,666 @@ if((typeof module) !== 'undefined') {
 
                     return retval;
                 }, true);
+            },
+            /**
+             * Inverts a rational function of s using partial fractions. Linear and irreducible quadratic
+             * denominators are inverted directly. Anything else is left to inverse.
+             * @param {Symbol} symbol
+             * @param {Symbol} s
+             * @param {Symbol} t
+             * @returns {Symbol}
+             */
+            partial: function (symbol, s, t) {
+                var x = s.toString(),
+                        f = core.Calculus.Risch.fraction(_.divide.apply(_, together(symbol).map(function (x) {
+                            return _.expand(x);
+                        })), x),
+                        terms = core.Algebra.PartFrac.partfrac(_.divide(f[0], core.Algebra.Factor.factor(f[1])), s, true),
+                        retval = new Symbol(0);
+                if(!isArray(terms) || !terms[0].equals(0))
+                    return __.LaPlace.inverse(symbol, s, t);
+                //partfrac splits (A*s+B)/D into two terms so collect the numerators by denominator first
+                var fractions = {};
+                for(var i = 1; i < terms.length; i++) {
+                    if(terms[i].equals(0))
+                        continue;
+                    var d = terms[i].getDenom().toUnitMultiplier(),
+                            key = d.text();
+                    if(!fractions[key])
+                        fractions[key] = {den: d, num: new Symbol(0)};
+                    fractions[key].num = _.add(fractions[key].num, _.expand(_.multiply(terms[i].clone(), d.clone())));
+                }
+                for(var key in fractions) {
+                    var den = fractions[key].den,
+                            num = fractions[key].num,
+                            term = _.divide(num.clone(), den.clone()),
+                            base = den.clone().toLinear(),
+                            k = Number(den.power),
+                            deg = Number(core.Algebra.degree(base, s)),
+                            c = core.Utils.getCoeffs(base, x),
+                            nc = core.Utils.getCoeffs(num, x),
+                            inverse = null;
+                    if(!isSymbol(den.power) && deg === 1 && nc.length === 1) {
+                        //c/(a*s+b)^k -> c/a^k*t^(k-1)/(k-1)!*e^(-b/a*t)
+                        var factorial = 1;
+                        for(var j = 2; j < k; j++)
+                            factorial *= j;
+                        inverse = _.parse(format('({0})/(({1})^({2})*{5})*({3})^({6})*e^(-({4})/({1})*({3}))',
+                                num, c[1], k, t, c[0], factorial, k - 1));
+                    }
+                    else if(!isSymbol(den.power) && deg === 2 && k === 1 && nc.length <= 2) {
+                        //(A*s+B)/(s^2+p*s+q) = (A*(s+h)+B-A*h)/((s+h)^2+w^2) with h = p/2 and w^2 = q-h^2
+                        var h = _.parse(format('({0})/(2*({1}))', c[1], c[2])),
+                                w2 = _.parse(format('({0})/({1})-({2})^2', c[0], c[2], h)),
+                                A = _.parse(format('({0})/({1})', nc[1] || 0, c[2])),
+                                B = _.parse(format('({0})/({1})', nc[0], c[2]));
+                        if(w2.isConstant())
+                            inverse = _.parse(format('e^(-({0})*({1}))*(({2})*{4}(sqrt({5})*({1}))+(({3})-({2})*({0}))/sqrt({5})*{6}(sqrt({5})*({1})))',
+                                    h, t, A, B, w2.lessThan(0) ? 'cosh' : 'cos', w2.lessThan(0) ? w2.negate() : w2, w2.lessThan(0) ? 'sinh' : 'sin'));
+                    }
+                    retval = _.add(retval, inverse || __.LaPlace.inverse(term, s, t));
+                }
+                return retval;
+            },
+            /**
+             * Solves a linear initial value problem with constant coefficients. The n-th derivative of y is
+             * transformed to s^n*Y-s^(n-1)*y(0)-...-y^(n-1)(0), the equations are solved for the transforms and the
+             * solutions are inverted. Initial conditions which are not given are replaced by the constants C1, C2, ...
+             * @param {String|String[]} eqns The equation or an array of equations for a system
+             * @param {String|String[]} fns The unknown function e.g. y(t) or an array of functions for a system
+             * @param {String} t The independent variable
+             * @param {Object|String[]} ics The initial conditions e.g. {"y(0)": 1, "y'(0)": 0} or ["y(0)=1", "y'(0)=0"]
+             * @returns {Expression} The solution or a vector of solutions in the order of fns
+             */
+            odesolve: function (eqns, fns, t, ics) {
+                var system = isArray(eqns),
+                        taken = [],
+                        values = {},
+                        order = {},
+                        constants = 0;
+                //reserves a variable name which doesn't occur in the equations
+                var fresh = function (name) {
+                    var v = name,
+                            c = 0;
+                    while(taken.indexOf(v) !== -1)
+                        v = name + c++;
+                    taken.push(v);
+                    return v;
+                };
+
+                fns = (isArray(fns) ? fns : [fns || 'y']).map(function (fn) {
+                    var m = /^\s*([a-z_][a-z0-9_]*)\s*(?:\(\s*([a-z_][a-z0-9_]*)\s*\))?\s*$/i.exec(String(fn));
+                    if(!m)
+                        throw new core.exceptions.NerdamerValueError('The unknown functions must be of the form y(t)');
+                    t = t || m[2];
+                    return m[1];
+                });
+                t = String(t || 't');
+
+                //read the initial conditions into values[y][n] where n is the order of the derivative
+                var setIC = function (lhs, rhs) {
+                    var m = /^\s*([a-z_][a-z0-9_]*)('*)\((.+)\)\s*$/i.exec(lhs);
+                    if(!m || fns.indexOf(m[1]) === -1)
+                        throw new core.exceptions.NerdamerValueError('Initial conditions must be of the form y(0)=a but received ' + lhs);
+                    if(!_.parse(m[3]).equals(0))
+                        throw new core.exceptions.NerdamerValueError('The initial conditions must be given at ' + t + '=0');
+                    values[m[1]] = values[m[1]] || [];
+                    values[m[1]][m[2].length] = _.parse(rhs);
+                    taken = taken.concat(core.Utils.variables(values[m[1]][m[2].length]));
+                };
+                if(isArray(ics))
+                    ics.forEach(function (ic) {
+                        var parts = String(ic).split('=');
+                        setIC(parts[0], parts[1]);
+                    });
+                else
+                    for(var ic in ics)
+                        setIC(ic, ics[ic]);
+
+                eqns = (system ? eqns : [eqns]).map(function (eq) {
+                    eq = String(eq);
+                    fns.forEach(function (y) {
+                        eq = core.Solve.ODE.substitute(eq, y, t);
+                    });
+                    //the sides are subtracted directly since toLHS would clear the denominators e.g. e^(-t)
+                    var sides = eq.split('=');
+                    eq = _.expand(_.subtract(_.parse(sides[0]), _.parse(sides[1] || '0')));
+                    taken = taken.concat(core.Utils.variables(eq));
+                    return eq;
+                });
+                taken.forEach(function (v) {
+                    fns.forEach(function (y) {
+                        var d = new RegExp('^' + core.Solve.ODE.escape(y) + '_d(\\d+)$').exec(v);
+                        order[y] = Math.max(order[y] || 0, d ? Number(d[1]) : 0);
+                    });
+                });
+                //only the derivatives below the order of the equation can be prescribed
+                for(var y in values) {
+                    if(values[y].length > order[y])
+                        throw new core.exceptions.SolveError('Too many initial conditions for ' + y + '. The equations are of order ' + order[y] + ' in ' + y);
+                }
+
+                var s = fresh('s'),
+                        Y = fns.map(function (y) {
+                            return fresh(y.toUpperCase());
+                        }),
+                        unknowns = [];
+                fns.forEach(function (y) {
+                    for(var k = 0; k <= order[y]; k++)
+                        unknowns.push(core.Solve.ODE.derivative(y, k));
+                });
+                //the initial value of the n-th derivative of y
+                var initial = function (y, n) {
+                    values[y] = values[y] || [];
+                    if(!values[y][n])
+                        values[y][n] = core.Solve.ODE.constant(++constants);
+                    return values[y][n].clone();
+                };
+
+                //transform each equation
+                var transformed = eqns.map(function (F) {
+                    var T = new Symbol(0),
+                            rest = F.clone();
+                    fns.forEach(function (y, j) {
+                        for(var k = 0; k <= order[y]; k++) {
+                            var v = core.Solve.ODE.derivative(y, k),
+                                    c = core.Calculus.diff(F.clone(), _.parse(v));
+                            if(c.equals(0))
+                                continue;
+                            unknowns.concat(t).forEach(function (u) {
+                                if(c.contains(u, true))
+                                    throw new core.exceptions.NerdamerValueError('The equations must be linear with constant coefficients');
+                            });
+                            var L = _.multiply(_.pow(_.parse(s), new Symbol(k)), _.parse(Y[j]));
+                            for(var i = 0; i < k; i++)
+                                L = _.subtract(L, _.multiply(_.pow(_.parse(s), new Symbol(k - 1 - i)), initial(y, i)));
+                            T = _.add(T, _.multiply(c, L));
+                            rest = rest.sub(v, 0);
+                        }
+                    });
+                    rest = _.expand(rest);
+                    if(!rest.equals(0)) {
+                        var R = __.LaPlace.transform(rest, t, _.parse(s));
+                        if(R.hasIntegral())
+                            throw new core.exceptions.SolveError('Unable to compute the Laplace transform of ' + rest);
+                        T = _.add(T, R);
+                    }
+                    return T;
+                });
+
+                //solve for the transforms
+                var solutions = {};
+                if(transformed.length === 1 && Y.length === 1) {
+                    var solution = core.Solve.solve(transformed[0], Y[0]).elements;
+                    if(solution.length === 0)
+                        throw new core.exceptions.SolveError('Unable to solve for the transform of ' + fns[0]);
+                    solutions[Y[0]] = solution[0];
+                }
+                else {
+                    var result = core.Solve.solveSystem(transformed, Y.slice());
+                    if(isArray(result))
+                        result.forEach(function (e) {
+                            solutions[e[0]] = _.parse(e[1]);
+                        });
+                    else
+                        for(var x in result)
+                            solutions[x] = _.parse(result[x]);
+                }
+
+                var retval = Y.map(function (y) {
+                    if(!solutions[y] || solutions[y].contains(y))
+                        throw new core.exceptions.SolveError('The system does not have a unique solution');
+                    return __.LaPlace.partial(solutions[y], _.parse(s), _.parse(t));
+                });
+
+                return new core.Expression(system || retval.length > 1 ? new Vector(retval) : retval[0]);
+            }
+        },
+        //Uses the angular frequency: F(w) = integral_-oo^oo f(t)*e^(-i*w*t) dt
+        Fourier: {
+            //the transforms of f(u). The argument is the frequency
+            table: {
+                rect: 'sinc(({0})/2)',
+                tri: 'sinc(({0})/2)^2',
+                sinc: 'pi*rect(({0})/2)'
+            },
+            //rect, tri and sinc are even so their arguments can be kept positive
+            even: ['rect', 'tri', 'sinc'],
+            transform: function (symbol, t, w) {
+                t = t.toString();
+                var retval;
+                symbol = _.expand(symbol.clone());
+                if(symbol.isComposite() && symbol.isLinear()) {
+                    retval = new Symbol(0);
+                    symbol.each(function (x) {
+                        retval = _.add(retval, __.Fourier.transform(x, t, w));
+                    }, true);
+                }
+                else {
+                    var parts = separate(symbol, t),
+                            coeff = parts[0],
+                            f = parts[1];
+                    retval = __.Fourier.pair(f, t, w);
+                    if(retval)
+                        retval = _.multiply(retval, coeff);
+                    else {
+                        //no known pair so try the integral
+                        try {
+                            var integral = core.Calculus.defint(_.parse(format('({0})*e^(-i*({1})*({2}))', symbol, w, t)), _.parse('-Infinity'), _.parse('Infinity'), t);
+                            if(!integral.hasIntegral() && !integral.containsFunction('defint') && !integral.contains('Infinity', true))
+                                retval = integral;
+                        }
+                        catch(e) {
+                            //the integral diverges or can't be evaluated
+                        }
+                    }
+                }
+                if(!retval || retval.containsFunction('fourier'))
+                    return _.symfunction('fourier', [symbol, _.parse(t), w]);
+                return __.Fourier.normalize(retval);
+            },
+            /**
+             * Looks up the transform of a function which has no coefficient
+             * @param {Symbol} f
+             * @param {String} t
+             * @param {Symbol} w
+             * @returns {Symbol|undefined}
+             */
+            pair: function (f, t, w) {
+                var linear = function (arg) {
+                    if(isLinearIn(arg, t))
+                        return core.Utils.decompose_fn(arg.clone(), t, true);
+                };
+                //the pair only holds if the transform exists so it's left unevaluated when that can't be shown
+                var unevaluated = function () {
+                    return _.symfunction('fourier', [f.clone(), _.parse(t), w.clone()]);
+                };
+                //f(a*t+b) = e^(i*w*b/a)*F(w/a)/abs(a)
+                if(f.group === FN && f.power.equals(1) && f.fname in __.Fourier.table) {
+                    var d = linear(f.args[0]);
+                    if(d) {
+                        var F = _.parse(format(__.Fourier.table[f.fname], format('({0})/({1})', w, d.a)));
+                        return _.parse(format('e^(i*({0})*({1})/({2}))*({3})/abs({2})', w, d.b, d.a, F));
+                    }
+                }
+                if(f.isE() && isSymbol(f.power)) {
+                    var g = f.power;
+                    //e^(c*abs(t)) with c < 0
+                    if(g.group === FN || g.group === CB) {
+                        var c = g.stripVar(t),
+                                a = _.divide(g.clone(), c.clone());
+                        if(a.group === FN && a.fname === 'abs' && a.args[0].equals(_.parse(t))) {
+                            if(!c.is('negative'))
+                                return unevaluated();
+                            return _.parse(format('-2*({0})/(({0})^2+({1})^2)', c, w));
+                        }
+                    }
+                    //the Gaussian e^(c2*t^2+c1*t+c0) with c2 < 0
+                    if(g.group !== FN && !g.containsFunction('abs') && core.Algebra.degree(g, _.parse(t)).equals(2)) {
+                        var c = core.Algebra.coeffs(g, t);
+                        if(!c[2].is('negative'))
+                            return unevaluated();
+                        return _.parse(format('sqrt(pi/(-({2})))*e^(({0})-(({1})^2-2*i*({1})*({3})-({3})^2)/(4*({2})))', c[0], c[1], c[2], w));
+                    }
+                }
+                //1/(c2*t^2+c0) with c0/c2 > 0 is the dual of e^(c*abs(t))
+                if(f.group === CP && f.power.equals(-1) && core.Algebra.degree(f.clone().toLinear(), _.parse(t)).equals(2)) {
+                    var c = core.Algebra.coeffs(f.clone().toLinear(), t);
+                    if(c[1].equals(0) && !c[0].contains(t) && !c[2].contains(t)) {
+                        //otherwise there are poles on the real line
+                        if(!_.divide(c[0].clone(), c[2].clone()).is('positive'))
+                            return unevaluated();
+                        return _.parse(format('pi/(({1})*sqrt(({0})/({1})))*e^(-sqrt(({0})/({1}))*abs({2}))', c[0], c[2], w));
+                    }
+                }
+                if(f.group === CB) {
+                    var factors = f.collectSymbols(),
+                            rest = function (i) {
+                                var r = new Symbol(1);
+                                factors.forEach(function (x, j) {
+                                    if(j !== i)
+                                        r = _.multiply(r, x.clone());
+                                });
+                                return r;
+                            };
+                    for(var i = 0; i < factors.length; i++) {
+                        var x = factors[i];
+                        if(x.group !== FN || !x.power.equals(1))
+                            continue;
+                        var d = linear(x.args[0]);
+                        if(!d)
+                            continue;
+                        var h = rest(i);
+                        //step(t-t0)*h(t) = e^(-i*w*t0)*laplace(h(t+t0)) at s = i*w
+                        if(x.fname === 'step' && d.a.isConstant() && d.a.greaterThan(0) && h.contains(t, true)) {
+                            var t0 = _.divide(d.b.negate(), d.a),
+                                    shifted = _.expand(_.parse(h.clone().sub(t, _.parse(format('({0})+({1})', t, t0)))));
+                            var L = __.LaPlace.transform(shifted, _.parse(t), _.parse(format('i*({0})', w)));
+                            if(L.containsFunction('laplace'))
+                                return;
+                            return _.parse(format('e^(-i*({0})*({1}))*({2})', w, t0, L));
+                        }
+                        //modulation. cos(c*t)*h(t) = (H(w-c)+H(w+c))/2
+                        if((x.fname === 'cos' || x.fname === 'sin') && d.b.equals(0)) {
+                            var H1 = __.Fourier.transform(h.clone(), t, _.subtract(w.clone(), d.a.clone())),
+                                    H2 = __.Fourier.transform(h.clone(), t, _.add(w.clone(), d.a.clone()));
+                            if(H1.containsFunction('fourier') || H2.containsFunction('fourier'))
+                                return;
+                            return _.parse(format(x.fname === 'cos' ? '(({0})+({1}))/2' : '(({0})-({1}))/(2*i)', H1, H2));
+                        }
+                    }
+                }
+            },
+            /**
+             * Keeps the arguments of the even functions in the result positive e.g. rect(-w) becomes rect(w)
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            normalize: function (symbol) {
+                if(symbol.group === FN) {
+                    symbol.args = symbol.args.map(__.Fourier.normalize);
+                    var arg = symbol.args[0];
+                    if(__.Fourier.even.indexOf(symbol.fname) !== -1 && arg.multiplier.lessThan(0))
+                        symbol.args[0] = arg.negate();
+                }
+                else if(symbol.symbols) {
+                    for(var x in symbol.symbols)
+                        symbol.symbols[x] = __.Fourier.normalize(symbol.symbols[x]);
+                }
+                if(isSymbol(symbol.power))
+                    symbol.power = __.Fourier.normalize(symbol.power);
+                return symbol;
+            },
+            //f(t) = 1/(2*pi)*integral_-oo^oo F(w)*e^(i*w*t) dw which is the transform evaluated at -t
+            inverse: function (symbol, w, t) {
+                var retval = __.Fourier.transform(symbol, w, _.parse(t).negate());
+                if(retval.containsFunction('fourier'))
+                    return _.symfunction('ifourier', [symbol, _.parse(w), _.parse(t)]);
+                return _.parse(format('({0})/(2*pi)', retval));
+            },
+            /**
+             * Writes abs(a*x+b) as a piecewise function so the integral can be split at the kink
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @returns {Symbol}
+             */
+            unfoldAbs: function (symbol, x) {
+                if(!symbol.containsFunction('abs') || isSymbol(symbol.power))
+                    return symbol.clone();
+                var retval;
+                if(symbol.group === FN) {
+                    var args = symbol.args.map(function (arg) {
+                        return __.Fourier.unfoldAbs(arg, x);
+                    });
+                    retval = _.symfunction(symbol.fname, args);
+                    if(symbol.fname === 'abs' && isLinearIn(args[0], x)) {
+                        //a*x+b is negative on one side of -b/a
+                        var d = core.Utils.decompose_fn(args[0].clone(), x, true);
+                        if(d.a.isConstant() && !d.a.equals(0))
+                            retval = _.parse(format('piecewise({0}{1}({2}), -({3}), {3})', x, d.a.lessThan(0) ? '>' : '<',
+                                    _.divide(d.b.negate(), d.a.clone()), args[0]));
+                    }
+                }
+                else if(symbol.symbols) {
+                    var terms = [];
+                    symbol.each(function (term) {
+                        terms.push(__.Fourier.unfoldAbs(term, x));
+                    });
+                    retval = terms.reduce(function (a, b) {
+                        return symbol.group === CB ? _.multiply(a, b) : _.add(a, b);
+                    });
+                }
+                else
+                    return symbol.clone();
+                return _.multiply(new Symbol(symbol.multiplier), _.pow(retval, new Symbol(symbol.power)));
+            },
+            /**
+             * Calculates the coefficients of the Fourier series of f on [-L, L]. A coefficient whose
+             * integral can't be found exactly is left as a definite integral.
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @param {Symbol} L
+             * @param {Number} n The number of terms
+             * @returns {Object} The cosine coefficients a_0 to a_n and the sine coefficients b_1 to b_n with b_0 = 0
+             */
+            coefficients: function (symbol, x, L, n) {
+                n = Number(n);
+                if(!core.Utils.isInt(n) || n < 0)
+                    throw new core.exceptions.NerdamerValueError('The number of terms must be a non-negative integer');
+                x = x.toString();
+                symbol = __.Fourier.unfoldAbs(symbol, x);
+                var integral = function (f) {
+                    var F = core.Calculus.integrate(f, x);
+                    if(F.hasIntegral())
+                        return _.symfunction('defint', [f, L.clone().negate(), L.clone(), _.parse(x)]);
+                    return _.subtract(_.parse(F.clone().sub(x, L.clone())), _.parse(F.sub(x, L.clone().negate())));
+                };
+                var a = [], b = [];
+                for(var k = 0; k <= n; k++) {
+                    var arg = format('({0})*pi*({1})/({2})', k, x, L);
+                    a.push(_.divide(integral(_.parse(format('({0})*cos({1})', symbol, arg))), L.clone()));
+                    b.push(k === 0 ? new Symbol(0) : _.divide(integral(_.parse(format('({0})*sin({1})', symbol, arg))), L.clone()));
+                }
+                return {a: a, b: b};
+            },
+            /**
+             * Gets the coefficients of the Fourier series as a matrix with the cosine coefficients a_0 to a_n
+             * in the first row and the sine coefficients b_0 to b_n in the second
+             * @param {Symbol} symbol
+             * @param {String} x
+             * @param {Symbol} L
+             * @param {Number} n
+             * @returns {Matrix}
+             */
+            coefficientMatrix: function (symbol, x, L, n) {
+                var c = __.Fourier.coefficients(symbol, x, L, n);
+                return core.Matrix.fromArray([c.a, c.b]);
+            },
+            //a_0/2+sum_k a_k*cos(k*pi*x/L)+b_k*sin(k*pi*x/L) for k = 1 to n
+            series: function (symbol, x, L, n) {
+                n = Number(n);
+                var c = __.Fourier.coefficients(symbol, x, L, n),
+                        retval = _.divide(c.a[0], new Symbol(2));
+                for(var k = 1; k <= n; k++) {
+                    var arg = format('({0})*pi*({1})/({2})', k, x, L);
+                    retval = _.add(retval, _.multiply(c.a[k], _.parse(format('cos({0})', arg))));
+                    retval = _.add(retval, _.multiply(c.b[k], _.parse(format('sin({0})', arg))));
+                }
+                return retval;
+            }
+        },
+        //Z{f(n)} = sum_0^oo f(n)*z^(-n)
+        ZTransform: {
+            transform: function (symbol, n, z) {
+                n = n.toString();
+                var retval;
+                symbol = _.expand(symbol.clone());
+                if(symbol.isComposite() && symbol.isLinear()) {
+                    retval = new Symbol(0);
+                    symbol.each(function (x) {
+                        retval = _.add(retval, __.ZTransform.transform(x, n, z));
+                    }, true);
+                }
+                else {
+                    var parts = separate(symbol, n),
+                            f = parts[1];
+                    retval = __.ZTransform.pair(f, n, z);
+                    if(!retval) {
+                        //no known pair so try the sum
+                        var sum = core.Calculus.sum(_.parse(format('({0})*({1})^(-({2}))', f, z, n)), _.parse(n), new Symbol(0), _.parse('Infinity'));
+                        if(!sum.containsFunction('sum'))
+                            retval = sum;
+                    }
+                    if(retval)
+                        retval = _.multiply(retval, parts[0]);
+                }
+                if(!retval || retval.containsFunction('ztrans'))
+                    return _.symfunction('ztrans', [symbol, _.parse(n), z]);
+                return retval;
+            },
+            /**
+             * Looks up the transform of a function which has no coefficient
+             * @param {Symbol} f
+             * @param {String} n
+             * @param {Symbol} z
+             * @returns {Symbol|undefined}
+             */
+            pair: function (f, n, z) {
+                if(f.equals(1))
+                    return _.parse(format('({0})/(({0})-1)', z));
+                var factors = f.group === CB ? f.collectSymbols() : [f],
+                        rest = function (i) {
+                            var r = new Symbol(1);
+                            factors.forEach(function (x, j) {
+                                if(j !== i)
+                                    r = _.multiply(r, x.clone());
+                            });
+                            return r;
+                        };
+                for(var i = 0; i < factors.length; i++) {
+                    var x = factors[i];
+                    //n*f(n) = -z*F'(z)
+                    if(x.group === S && x.value === n && isInt(x.power) && x.power > 0) {
+                        var F = __.ZTransform.transform(_.divide(f.clone(), _.parse(n)), n, z);
+                        if(F.containsFunction('ztrans'))
+                            return;
+                        return __.ZTransform.simplify(_.multiply(z.clone().negate(), core.Calculus.diff(F, z.toString())), z);
+                    }
+                    //a^(p*n+q)*f(n) = a^q*F(z/a^p)
+                    if(x.group === EX && !x.clone().toLinear().contains(n, true) && isLinearIn(x.power, n)) {
+                        var d = core.Utils.decompose_fn(x.power.clone(), n, true),
+                                a = _.pow(x.clone().toLinear(), d.a.clone()),
+                                c = _.pow(x.clone().toLinear(), d.b.clone()),
+                                g = rest(i);
+                        if(g.equals(1))
+                            return _.parse(format('({2})*({0})/(({0})-({1}))', z, a, c));
+                        var G = __.ZTransform.transform(g, n, z);
+                        if(G.containsFunction('ztrans'))
+                            return;
+                        return _.multiply(c, __.ZTransform.simplify(_.parse(G.sub(z, _.parse(format('({0})/({1})', z, a)))), z));
+                    }
+                }
+                //sin(w*n+b) and cos(w*n+b)
+                if(f.group === FN && f.power.equals(1) && (f.fname === 'sin' || f.fname === 'cos') && isLinearIn(f.args[0], n)) {
+                    var d = core.Utils.decompose_fn(f.args[0].clone(), n, true),
+                            den = format('(({0})^2-2*({0})*cos({1})+1)', z, d.a),
+                            S_ = format('({0})*sin({1})/{2}', z, d.a, den),
+                            C_ = format('({0})*(({0})-cos({1}))/{2}', z, d.a, den);
+                    //sin(w*n+b) = cos(b)*sin(w*n)+sin(b)*cos(w*n)
+                    if(f.fname === 'sin')
+                        return _.parse(format('cos({0})*{1}+sin({0})*{2}', d.b, S_, C_));
+                    return _.parse(format('cos({0})*{1}-sin({0})*{2}', d.b, C_, S_));
+                }
+            },
+            /**
+             * Writes a rational function of z with numeric coefficients as a single reduced fraction
+             * @param {Symbol} symbol
+             * @param {Symbol} z
+             * @returns {Symbol}
+             */
+            simplify: function (symbol, z) {
+                var x = z.toString(),
+                        f = core.Calculus.Risch.fraction(_.expand(symbol.clone()), x),
+                        numeric = function (p) {
+                            return core.Utils.getCoeffs(p, x).every(function (c) {
+                                return c.group === core.groups.N;
+                            });
+                        };
+                if(core.Utils.variables(symbol).length !== 1 || !numeric(f[0]) || !numeric(f[1]))
+                    return symbol;
+                return _.divide(f[0], core.Algebra.Factor.factor(f[1]));
+            },
+            /**
+             * The angle t with cos(t) = x. Multiples of pi/12 are returned exactly.
+             * @param {Symbol} x
+             * @returns {Symbol}
+             */
+            angle: function (x) {
+                var value = Number(core.Utils.evaluate(x.clone()));
+                for(var k = 0; k <= 12; k++)
+                    if(Math.abs(Math.cos(k * Math.PI / 12) - value) < 1e-12)
+                        return _.parse(format('{0}*pi/12', k));
+                return _.symfunction('acos', [x]);
+            },
+            inverse: function (symbol, z, n) {
+                var input_symbol = symbol.clone(),
+                        x = z.toString(),
+                        retval = new Symbol(0),
+                        unknown = function () {
+                            return _.symfunction('iztrans', [input_symbol, z, n]);
+                        },
+                        //(-a)^n would be read as -(a^n) so negative bases are written as (-1)^n*a^n
+                        power = function (a, e) {
+                            if(a.group !== core.groups.N && Number(core.Utils.evaluate(a.clone())) < 0)
+                                return format('(-1)^({1})*({0})^({1})', a.clone().negate(), e);
+                            return format('({0})^({1})', a, e);
+                        };
+                try {
+                    //decompose F(z)/z so that each term times z is a known transform
+                    var terms = core.Algebra.PartFrac.partfrac(_.divide(symbol.clone(), z.clone()), z, true);
+                    if(!isArray(terms) || !terms[0].equals(0))
+                        return unknown();
+                    for(var i = 1; i < terms.length; i++) {
+                        var term = terms[i];
+                        if(term.equals(0))
+                            continue;
+                        //the multiplier of the denominator is left in the numerator
+                        var den = term.getDenom().toUnitMultiplier(),
+                                base = den.clone().toLinear(),
+                                k = Number(den.power);
+                        if(isSymbol(den.power) || !base.contains(x))
+                            return unknown();
+                        var num = _.expand(_.multiply(term.clone(), den.clone())),
+                                c = core.Utils.getCoeffs(base, x),
+                                deg = c.length - 1;
+                        if(num.contains(x) && deg !== 2)
+                            return unknown();
+                        if(deg === 1) {
+                            //c/(z-a)^k -> c*binomial(n, k-1)*a^(n-k+1)
+                            var a = _.divide(c[0].negate(), c[1].clone());
+                            if(a.equals(0))
+                                return unknown();
+                            num = _.divide(num, _.pow(c[1].clone(), new Symbol(k)));
+                            var binomial = new Symbol(1);
+                            for(var j = 0; j < k - 1; j++)
+                                binomial = _.multiply(binomial, _.parse(format('(({0})-{1})/{2}', n, j, j + 1)));
+                            retval = _.add(retval, _.multiply(num, _.multiply(binomial, _.parse(power(a, format('({0})-{1}', n, k - 1))))));
+                        }
+                        else if(deg === 2 && k === 1) {
+                            //(A*z+B)/(z^2+p*z+q)
+                            var lead = c[2],
+                                    p = _.divide(c[1].clone(), lead.clone()),
+                                    q = _.divide(c[0].clone(), lead.clone()),
+                                    nc = core.Utils.getCoeffs(num, x),
+                                    A = _.divide(nc[1] ? nc[1].clone() : new Symbol(0), lead.clone()),
+                                    B = _.divide(nc[0].clone(), lead.clone()),
+                                    disc = _.subtract(_.pow(p.clone(), new Symbol(2)), _.multiply(new Symbol(4), q.clone()));
+                            if(!disc.isConstant(true) || !q.isConstant(true))
+                                return unknown();
+                            if(Number(core.Utils.evaluate(disc.clone())) < 0) {
+                                //the poles are r*e^(+-i*t). A*r^n*cos(t*n)+(B-A*p/2)/sqrt(q-p^2/4)*r^n*sin(t*n)
+                                var r = _.parse(format('sqrt({0})', q)),
+                                        t = __.ZTransform.angle(_.parse(format('-({0})/(2*({1}))', p, r)));
+                                //r^n is written as q^(n/2) since powers of powers like (2^(-1/2))^n lose their sign
+                                retval = _.add(retval, _.parse(format('({0})*({6})^(({5})/2)*cos(({4})*({5}))+(({1})-({0})*({2})/2)/sqrt(({6})-({2})^2/4)*({6})^(({5})/2)*sin(({4})*({5}))',
+                                        A, B, p, r, t, n, q)));
+                            }
+                            else {
+                                //two real poles a1 and a2
+                                var a1 = _.parse(format('(-({0})+sqrt({1}))/2', p, disc)),
+                                        a2 = _.parse(format('(-({0})-sqrt({1}))/2', p, disc));
+                                retval = _.add(retval, _.parse(format('(({0})*({2})+({1}))/(({2})-({3}))*{4}+(({0})*({3})+({1}))/(({3})-({2}))*{5}',
+                                        A, B, a1, a2, power(a1, n), power(a2, n))));
+                            }
+                        }
+                        else
+                            return unknown();
+                    }
+                }
+                catch(e) {
+                    return unknown();
+                }
+                return retval;
             }
         },
         Statistics: {
@@ -545,6 +1272,61 @@ if((typeof module) !== 'undefined') {
                 return __.LaPlace.inverse;
             }
         },
+        {
+            name: 'odesolve_laplace',
+            parent: 'nerdamer',
+            build: function () {
+                return __.LaPlace.odesolve;
+            }
+        },
+        {
+            name: 'fourier',
+            visible: true,
+            numargs: 3,
+            build: function () {
+                return __.Fourier.transform;
+            }
+        },
+        {
+            name: 'ifourier',
+            visible: true,
+            numargs: 3,
+            build: function () {
+                return __.Fourier.inverse;
+            }
+        },
+        {
+            name: 'fourierseries',
+            visible: true,
+            numargs: 4,
+            build: function () {
+                return __.Fourier.series;
+            }
+        },
+        {
+            name: 'fouriercoeffs',
+            visible: true,
+            numargs: 4,
+            build: function () {
+                return __.Fourier.coefficientMatrix;
+            }
+        },
+        {
+            name: 'ztrans',
+            visible: true,
+            numargs: 3,
+            build: function () {
+                return __.ZTransform.transform;
+            }
+        },
+        {
+            name: 'iztrans',
+            visible: true,
+            numargs: 3,
+            build: function () {
+                return __.ZTransform.inverse;
+            }
+        },
         //statistical
         {
             name: 'mean',
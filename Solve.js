@@ -97,7 +97,8 @@ if((typeof module) !== 'undefined') {
      * This is an equation that has a left hand side and a right hand side
      */
     function Equation(lhs, rhs) {
-        if(rhs.isConstant() && lhs.isConstant() && !lhs.equals(rhs) || lhs.equals(core.Settings.IMAGINARY) || rhs.equals(core.Settings.IMAGINARY))
+        //the right hand side can be a vector e.g. the options extension=[sqrt(2)]
+        if(core.Utils.isSymbol(rhs) && (rhs.isConstant() && lhs.isConstant() && !lhs.equals(rhs) || rhs.equals(core.Settings.IMAGINARY)) || lhs.equals(core.Settings.IMAGINARY))
             throw new core.exceptions.NerdamerValueError(lhs.toString() + ' does not equal ' + rhs.toString());
         this.LHS = lhs; //left hand side
         this.RHS = rhs; //right and side
@@ -202,6 +203,50 @@ if((typeof module) !== 'undefined') {
         return new Equation(a, b);
     };
 
+    /**
+     * An inequality between two expressions. The operator is one of <, <=, > or >=
+     * @param {Symbol} lhs
+     * @param {Symbol} rhs
+     * @param {String} operator
+     */
+    function Inequality(lhs, rhs, operator) {
+        this.LHS = lhs;
+        this.RHS = rhs;
+        this.operator = operator;
+    }
+
+    //the relations from the parser and their operators
+    Inequality.operators = {lt: '<', lte: '<=', gt: '>', gte: '>='};
+
+    Inequality.prototype = {
+        toString: function () {
+            return this.LHS.toString() + this.operator + this.RHS.toString();
+        },
+        text: function (option) {
+            return this.LHS.text(option) + this.operator + this.RHS.text(option);
+        },
+        /**
+         * Brings the inequality to the form f(x) operator 0
+         * @returns {Symbol}
+         */
+        toLHS: function () {
+            return _.subtract(this.LHS.clone(), this.RHS.clone());
+        },
+        clone: function () {
+            return new Inequality(this.LHS.clone(), this.RHS.clone(), this.operator);
+        },
+        sub: function (x, y) {
+            var clone = this.clone();
+            clone.LHS = clone.LHS.sub(x.clone(), y.clone());
+            clone.RHS = clone.RHS.sub(x.clone(), y.clone());
+            return clone;
+        },
+        latex: function (option) {
+            var operators = {'<': '<', '<=': '\\leq', '>': '>', '>=': '\\geq'};
+            return [this.LHS.latex(option), this.RHS.latex(option)].join(operators[this.operator]);
+        }
+    };
+
     // Extend simplify
     (function () {
         var simplify = _.functions.simplify[0];
@@ -276,6 +321,7 @@ if((typeof module) !== 'undefined') {
 
     //link the Equation class back to the core
     core.Equation = Equation;
+    core.Inequality = Inequality;
 
     //Loops through an array and attempts to fails a test. Stops if manages to fail.
     var checkAll = core.Utils.checkAll = function (args, test) {
@@ -290,10 +336,161 @@ if((typeof module) !== 'undefined') {
         version: '2.0.3',
         solutions: [],
         solve: function (eq, variable) {
+            //the parser keeps comparisons it can't decide as relations e.g. x<1
+            if(isSymbol(eq) && eq.group === FN && eq.fname in Inequality.operators)
+                eq = new Inequality(eq.args[0], eq.args[1], Inequality.operators[eq.fname]);
+            if(eq instanceof Inequality)
+                return __.solveInequality(eq, String(variable));
             var solution = solve(eq, String(variable));
             return new core.Vector(solution);
             //return new core.Vector(solve(eq.toString(), variable ? variable.toString() : variable));
         },
+        /**
+         * Solves a polynomial or rational inequality in one variable using a sign chart.
+         * The critical points are the real zeros of the numerator and denominator. The sign
+         * is then tested between them and the satisfied pieces are joined into intervals.
+         * @param {Inequality} ineq
+         * @param {String} x
+         * @returns {Set}
+         */
+        solveInequality: function (ineq, x) {
+            var f = ineq.toLHS(),
+                    strict = ineq.operator === '<' || ineq.operator === '>',
+                    positive = ineq.operator.charAt(0) === '>',
+                    vars = variables(f);
+
+            var test = function (value) {
+                return positive ? (strict ? value > 0 : value >= 0) : (strict ? value < 0 : value <= 0);
+            };
+
+            // Nothing to solve for so it's either always or never true
+            if(vars.length === 0) {
+                return test(Number(evaluate(f))) ?
+                        new core.Set(new core.Interval(Symbol.infinity(-1), Symbol.infinity(), true, true)) : new core.Set();
+            }
+
+            if(vars.length > 1 || vars[0] !== x)
+                throw new core.exceptions.SolveError('Can only solve inequalities in one variable');
+
+            // Bring sums over a common denominator
+            if(f.group === CP && f.power.equals(1))
+                f = _.parse(core.Utils.text(_.rationalize(f)));
+            var num = _.expand(f.getNum()),
+                    den = _.expand(f.getDenom());
+
+            if(!num.isPoly() || !den.isPoly())
+                throw new core.exceptions.SolveError('Can only solve polynomial and rational inequalities');
+
+            // Collect the real roots along with their numeric values
+            var roots = function (p) {
+                var retval = [];
+                if(!p.contains(x))
+                    return retval;
+                // Prefer exact roots but fall back to numeric ones
+                var found;
+                try {
+                    found = solve(p.clone(), x);
+                }
+                catch(e) {
+                    found = _A.roots(p.clone()).elements;
+                }
+                found.forEach(function (root) {
+                    var value = Number(evaluate(root.clone()));
+                    if(isFinite(value))
+                        retval.push({root: root, value: value});
+                });
+                return retval;
+            };
+
+            var close = function (a, b) {
+                return Math.abs(a - b) < Settings.ZERO_EPSILON;
+            };
+
+            var num_roots = roots(num),
+                    den_roots = roots(den),
+                    points = [];
+
+            num_roots.concat(den_roots).forEach(function (r) {
+                for(var i = 0; i < points.length; i++)
+                    if(close(points[i].value, r.value))
+                        return;
+                points.push(r);
+            });
+
+            points.sort(function (a, b) {
+                return a.value - b.value;
+            });
+
+            var satisfies = function (value) {
+                var knowns = {};
+                knowns[x] = new Symbol(value);
+                var d = Number(evaluate(den.clone(), knowns));
+                return test(Number(evaluate(num.clone(), knowns)) / d);
+            };
+
+            var inList = function (list, value) {
+                return list.some(function (r) {
+                    return close(r.value, value);
+                });
+            };
+
+            // Build the sign chart as alternating regions and points
+            var chart = [],
+                    m = points.length;
+            for(var i = 0; i <= m; i++) {
+                var t;
+                if(m === 0)
+                    t = 0;
+                else if(i === 0)
+                    t = points[0].value - 1;
+                else if(i === m)
+                    t = points[m - 1].value + 1;
+                else
+                    t = (points[i - 1].value + points[i].value) / 2;
+                chart.push({region: true, satisfied: satisfies(t)});
+                if(i < m) {
+                    var p = points[i];
+                    chart.push({
+                        point: p.root,
+                        satisfied: !strict && inList(num_roots, p.value) && !inList(den_roots, p.value)
+                    });
+                }
+            }
+
+            // Join each run of satisfied entries into an interval
+            var result = new core.Set();
+            for(var i = 0; i < chart.length; i++) {
+                if(!chart[i].satisfied)
+                    continue;
+                var start = i;
+                while(i + 1 < chart.length && chart[i + 1].satisfied)
+                    i++;
+                var first = chart[start],
+                        last = chart[i];
+                if(start === i && !first.region) {
+                    result.add(first.point);
+                    continue;
+                }
+                var lower = first.region ? (start === 0 ? Symbol.infinity(-1) : chart[start - 1].point) : first.point,
+                        upper = last.region ? (i === chart.length - 1 ? Symbol.infinity() : chart[i + 1].point) : last.point;
+                result.add(new core.Interval(lower.clone(), upper.clone(), first.region, last.region));
+            }
+
+            // Restrict the solution to what's assumed about the variable
+            var v = new Symbol(x),
+                    zero = new Symbol(0),
+                    domain;
+            if(v.is('positive') || v.is('nonnegative'))
+                domain = new core.Interval(zero, Symbol.infinity(), v.is('positive'), true);
+            else if(v.is('negative') || v.is('nonpositive'))
+                domain = new core.Interval(Symbol.infinity(-1), zero, true, v.is('negative'));
+            if(domain)
+                result = result.intersection(new core.Set(domain));
+            if(v.is('nonzero'))
+                result = result.difference(new core.Set(zero));
+
+            return result;
+        },
         /**
          * Brings the equation to LHS. A string can be supplied which will be converted to an Equation
          * @param {Equation|String} eqn
@@ -553,6 +750,134 @@ if((typeof module) !== 'undefined') {
             //done
             return solutions;
         },
+        /**
+         * Returns the exact roots of a univariate polynomial. Polynomials of degree three or higher
+         * are factored first.
+         * @param {Symbol} p
+         * @param {String} v
+         * @returns {Symbol[]|undefined} Undefined if a factor of degree three or higher remains
+         */
+        polyRoots: function (p, v) {
+            var deg = Number(core.Algebra.degree(p, _.parse(v))),
+                    c = core.Utils.getCoeffs(p, v),
+                    roots;
+            if(deg === 0)
+                return [];
+            if(deg === 1)
+                return [_.divide(c[0].negate(), c[1])];
+            if(deg === 2)
+                roots = __.quad(c[0], c[1], c[2]);
+            else {
+                var factored = core.Algebra.Factor.factor(p.clone()),
+                        factors = factored.group === CB ? factored.collectSymbols() : [factored];
+                if(factors.length === 1 && factors[0].isLinear())
+                    return;
+                roots = [];
+                for(var i = 0; i < factors.length; i++) {
+                    var f = factors[i].clone().toLinear(),
+                            r = f.contains(v) ? __.polyRoots(_.expand(f), v) : [];
+                    if(!r)
+                        return;
+                    roots = roots.concat(r);
+                }
+            }
+            //remove repeated roots
+            var seen = {};
+            roots = roots.filter(function (r) {
+                var t = r.text();
+                return seen[t] ? false : (seen[t] = true);
+            });
+            //real roots are sorted in ascending order
+            if(roots.every(function (r) {
+                return r.isConstant(true) && !r.isImaginary();
+            }))
+                roots.sort(function (a, b) {
+                    return evaluate(a.clone()) - evaluate(b.clone());
+                });
+            return roots;
+        },
+        /**
+         * Solves a system of polynomial equations exactly. A lex Groebner basis triangularizes the
+         * system so the last variable is solved for first and its values are substituted back.
+         * The values are listed per variable and the k-th values of all the variables make up the k-th
+         * solution e.g. x+y=3, y^3-x=7 gives [['x', 1, 4-2*i, 4+2*i], ['y', 2, -1+2*i, -1-2*i]].
+         * Systems which need the roots of an irreducible polynomial of degree three or higher are left
+         * to the numeric solver which only finds one solution.
+         * @param {Symbol[]} eqns
+         * @param {String[]} vars The variables in the order in which they're returned. Defaults to the sorted variables
+         * @returns {Array|object|undefined} Undefined if the system isn't polynomial, has infinitely many
+         * solutions or needs the roots of an irreducible polynomial of degree three or higher
+         */
+        solvePolynomialSystem: function (eqns, vars) {
+            vars = vars || core.Utils.arrayGetVariables(eqns);
+            var G;
+            try {
+                G = core.Algebra.Groebner.groebner(eqns, vars).elements;
+            }
+            catch(e) {
+                if(e instanceof core.exceptions.NerdamerTypeError || e instanceof core.exceptions.InfiniteLoopError)
+                    return;
+                throw e;
+            }
+            var solutions = [{}];
+            //the basis is 1 so there are no solutions
+            if(G.length === 1 && G[0].isConstant())
+                solutions = [];
+            //checks if the symbol is numerically zero
+            var vanishes = function (symbol) {
+                var e = evaluate(_.expand(symbol));
+                return Math.abs(e.realpart()) < 1e-10 && Math.abs(e.imagpart()) < 1e-10;
+            };
+            for(var i = vars.length - 1; i >= 0 && solutions.length; i--) {
+                var v = vars[i],
+                        known = vars.slice(i),
+                        polys = G.filter(function (g) {
+                            var gvars = variables(g);
+                            return gvars.indexOf(v) !== -1 && gvars.every(function (x) {
+                                return known.indexOf(x) !== -1;
+                            });
+                        }),
+                        next = [];
+                for(var j = 0; j < solutions.length; j++) {
+                    var s = solutions[j],
+                            subbed = polys.map(function (g) {
+                                return _.expand(_.parse(g, s));
+                            }).filter(function (g) {
+                                return !g.equals(0);
+                            }).sort(function (a, b) {
+                                return core.Algebra.degree(a, _.parse(v)) - core.Algebra.degree(b, _.parse(v));
+                            });
+                    //no polynomial restricts v so there are infinitely many solutions
+                    if(!subbed.length)
+                        return;
+                    var roots = __.polyRoots(subbed[0], v);
+                    if(!roots)
+                        return;
+                    roots.forEach(function (r) {
+                        var o = {};
+                        for(var x in s)
+                            o[x] = s[x];
+                        o[v] = r;
+                        if(subbed.slice(1).every(function (g) {
+                            return vanishes(_.parse(g, o));
+                        }))
+                            next.push(o);
+                    });
+                }
+                solutions = next;
+            }
+            var retval = core.Settings.SOLUTIONS_AS_OBJECT ? {} : [];
+            vars.forEach(function (v) {
+                var values = solutions.map(function (s) {
+                    return s[v].valueOf();
+                });
+                if(core.Settings.SOLUTIONS_AS_OBJECT)
+                    retval[v] = values.length === 1 ? values[0] : values;
+                else if(values.length)
+                    retval.push([v].concat(values));
+            });
+            return retval;
+        },
         /**
          * Solves a system of equations by substitution. This is useful when
          * no distinct solution exists. e.g. a line, plane, etc.
@@ -589,11 +914,25 @@ if((typeof module) !== 'undefined') {
                     m = new core.Matrix(),
                     c = new core.Matrix(),
                     expand_result = false,
+                    linear = typeof var_array !== 'undefined' || _A.allLinear(eqns),
                     vars;
 
+            //non-linear systems without parameters are solved exactly even if the variables are given
+            if(typeof var_array !== 'undefined' && !_A.allLinear(eqns) && core.Utils.arrayGetVariables(eqns).every(function (x) {
+                return var_array.indexOf(x) !== -1;
+            })) {
+                var exact = __.solvePolynomialSystem(eqns, var_array);
+                if(exact)
+                    return exact;
+            }
+
             if(typeof var_array === 'undefined') {
                 //check to make sure that all the equations are linear
-                if(!_A.allLinear(eqns)) {
+                if(!linear) {
+                    //polynomial systems can be solved exactly
+                    var exact = __.solvePolynomialSystem(eqns);
+                    if(exact)
+                        return exact;
                     try {
                         return __.solveNonLinearSystem(eqns);
                     }
@@ -708,14 +1047,15 @@ if((typeof module) !== 'undefined') {
                             //we made sure that every term contains one variable so it's safe to assume that if the
                             //variable is found then the remainder is the coefficient.
                             if(term.contains(v)) {
-                                var tparts = explode(remove(e, k), v);
+                                //step back since the next term moves into this slot
+                                var tparts = explode(remove(e, k--), v);
                                 m.set(i, j, _.add(m.get(i, j), tparts[0]));
                             }
                         }
                     }
-                    //all the remaining terms go to the c matrix
+                    //all the remaining terms go to the right hand side
                     for(k = 0; k < e.length; k++) {
-                        c.set(i, 0, _.add(c.get(i, 0), e[k]));
+                        c.set(i, 0, _.subtract(c.get(i, 0), e[k]));
                     }
                 }
                 //consider case (a+b)*I+u
@@ -723,22 +1063,53 @@ if((typeof module) !== 'undefined') {
 
             //check if the system has a distinct solution
             if(vars.length !== eqns.length || m.determinant().equals(0)) {
-                // solve the system by hand
-                //return __.solveSystemBySubstitution(eqns, vars, m, c);
-                throw new core.exceptions.SolveError('System does not have a distinct solution');
+                //the matrix only describes the system if it's linear
+                if(!linear)
+                    throw new core.exceptions.SolveError('System does not have a distinct solution');
+                return __.solveSingularSystem(m, c, vars, expand_result);
             }
 
             // Use M^-1*c to solve system
             m = m.invert();
             var result = m.multiply(c);
-            //correct the sign as per issue #410
-            if(core.Utils.isArray(var_array))
-                result.each(function (x) {
-                    return x.negate();
-                });
 
             return __.systemSolutions(result, vars, expand_result);
         },
+        /**
+         * Solves the linear system m*x = c using row reduction. The free variables are
+         * returned as solutions of themselves. An empty array is returned if the system is inconsistent.
+         * @param {Matrix} m The coefficient matrix
+         * @param {Matrix} c The constants
+         * @param {Array} vars The variables
+         * @param {boolean} expand_result
+         * @returns {Array|object}
+         */
+        solveSingularSystem: function (m, c, vars, expand_result) {
+            var n = vars.length,
+                    pivots = [],
+                    R = m.clone().augment(c).rref(pivots),
+                    result = new core.Matrix();
+            //a pivot in the last column means that 0 = 1
+            if(pivots.indexOf(n) !== -1)
+                return core.Settings.SOLUTIONS_AS_OBJECT ? {} : [];
+            for(var j = 0; j < n; j++) {
+                var row = pivots.indexOf(j),
+                        value;
+                if(row === -1) {
+                    //it's a free variable
+                    value = _.parse(vars[j]);
+                }
+                else {
+                    value = R.get(row, n).clone();
+                    for(var k = j + 1; k < n; k++) {
+                        if(pivots.indexOf(k) === -1)
+                            value = _.subtract(value, _.multiply(R.get(row, k).clone(), _.parse(vars[k])));
+                    }
+                }
+                result.set(j, 0, value);
+            }
+            return __.systemSolutions(result, vars, expand_result);
+        },
         /**
          * The quadratic function but only one side.
          * @param {Symbol} c
@@ -1129,6 +1500,514 @@ if((typeof module) !== 'undefined') {
                     return solutions;
                 }
             }
+        },
+        Eigen: {
+            /**
+             * Checks if substituting a root into a polynomial gives zero. Constant results are
+             * checked numerically since radicals don't always cancel.
+             * @param {Symbol} p
+             * @param {String} x
+             * @param {Symbol} root
+             * @returns {boolean}
+             */
+            isRoot: function (p, x, root) {
+                var value = _.expand(p.clone().sub(x, root.clone()));
+                if(value.equals(0))
+                    return true;
+                if(variables(value).length > 0)
+                    return false;
+                value = evaluate(value);
+                return Math.abs(value.realpart()) < Settings.ZERO_EPSILON && Math.abs(value.imagpart()) < Settings.ZERO_EPSILON;
+            },
+            /**
+             * Returns the eigenvalues of a matrix along with their algebraic multiplicities.
+             * The characteristic polynomial is factored first so that each factor can be solved separately.
+             * @param {Matrix} M
+             * @returns {Object[]}
+             */
+            eigenvalues: function (M) {
+                if(!core.Utils.isMatrix(M) || !M.isSquare())
+                    throw new core.exceptions.DimensionError('Eigenvalues require a square matrix');
+                var entries = new Symbol(0);
+                M.each(function (e) {
+                    entries = _.add(entries, e.clone());
+                });
+                var lambda = core.Utils.getU(entries),
+                        retval = [];
+                try {
+                    var p = _A.Factor.factor(M.charpoly(lambda)),
+                            factors = p.group === CB ? p.collectSymbols() : [p.clone().toUnitMultiplier()];
+                    for(var i = 0; i < factors.length; i++) {
+                        var factor = factors[i];
+                        if(!factor.contains(lambda))
+                            continue;
+                        var f = factor.clone().toLinear(),
+                                multiplicity = Number(factor.power),
+                                roots;
+                        try {
+                            roots = solve(f.clone(), lambda);
+                        }
+                        catch(e) {
+                            roots = [];
+                        }
+                        //the roots of cubics and higher aren't always right so they're checked against the factor
+                        roots = roots.filter(function (r) {
+                            return __.Eigen.isRoot(f, lambda, r);
+                        });
+                        if(roots.length < Number(_A.degree(f, _.parse(lambda))) && variables(f).length === 1)
+                            roots = _A.roots(f).elements;
+                        for(var j = 0; j < roots.length; j++)
+                            retval.push({value: roots[j], multiplicity: multiplicity});
+                    }
+                }
+                finally {
+                    core.Utils.clearU(lambda);
+                }
+                return retval;
+            },
+            /**
+             * Returns the eigenvalues of a matrix as a vector of [eigenvalue, multiplicity]
+             * @param {Matrix} M
+             * @returns {Vector}
+             */
+            eigenvals: function (M) {
+                return new core.Vector(__.Eigen.eigenvalues(M).map(function (e) {
+                    return new core.Vector([e.value, new Symbol(e.multiplicity)]);
+                }));
+            },
+            /**
+             * Returns the eigenvectors of a matrix as a vector of [eigenvalue, multiplicity, [eigenvectors]]
+             * @param {Matrix} M
+             * @returns {Vector}
+             */
+            eigenvects: function (M) {
+                var n = M.rows(),
+                        I = core.Matrix.identity(n);
+                return new core.Vector(__.Eigen.eigenvalues(M).map(function (e) {
+                    var A = M.subtract(I.map(function (x) {
+                        return _.multiply(x, e.value.clone());
+                    }));
+                    return new core.Vector([e.value, new Symbol(e.multiplicity), new core.Vector(A.nullspace())]);
+                }));
+            }
+        },
+        ODE: {
+            /**
+             * Replaces y(x), y'(x), y'' and diff(y(x),x,n) with plain variables so the equation can be parsed.
+             * The n-th derivative becomes y_dn while y(x) becomes y.
+             * @param {String} str
+             * @param {String} y The dependent variable
+             * @param {String} x The independent variable
+             * @returns {String}
+             */
+            substitute: function (str, y, x) {
+                var ey = __.ODE.escape(y),
+                        ex = __.ODE.escape(x);
+                return String(str)
+                        .replace(new RegExp('diff\\(\\s*' + ey + '\\(\\s*' + ex + '\\s*\\)\\s*,\\s*' + ex + '\\s*(?:,\\s*(\\d+)\\s*)?\\)', 'g'), function (match, n) {
+                            return y + '_d' + (n || 1);
+                        })
+                        .replace(new RegExp('\\b' + ey + "('+)(?:\\(\\s*" + ex + '\\s*\\))?', 'g'), function (match, primes) {
+                            return y + '_d' + primes.length;
+                        })
+                        .replace(new RegExp('\\b' + ey + '\\(\\s*' + ex + '\\s*\\)', 'g'), y);
+            },
+            /**
+             * Escapes a variable name for use in a regular expression
+             * @param {String} str
+             * @returns {String}
+             */
+            escape: function (str) {
+                return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            },
+            /**
+             * Returns the name of the variable holding the n-th derivative
+             * @param {String} y
+             * @param {int} n
+             * @returns {String}
+             */
+            derivative: function (y, n) {
+                return n === 0 ? y : y + '_d' + n;
+            },
+            /**
+             * Returns the constant of integration C1, C2, ...
+             * @param {int} n
+             * @returns {Symbol}
+             */
+            constant: function (n) {
+                return _.parse('C' + n);
+            },
+            /**
+             * Tries to solve for y. Returns an implicit solution if no unique explicit solution exists.
+             * @param {Symbol} phi
+             * @param {Symbol} c
+             * @param {String} y
+             * @returns {Object}
+             */
+            explicit: function (phi, c, y) {
+                try {
+                    var solutions = solve(_.subtract(phi.clone(), c.clone()), y);
+                    if(solutions.length === 1 && !solutions[0].contains(y))
+                        return {explicit: solutions[0]};
+                }
+                catch(e) {
+                    //keep the implicit form
+                }
+                return {implicit: phi, rhs: c};
+            },
+            /**
+             * Raises e to the symbol while rewriting e^(a*log(u)) as u^a
+             * @param {Symbol} symbol
+             * @returns {Symbol}
+             */
+            exp: function (symbol) {
+                var terms = symbol.isComposite() ? symbol.collectSymbols() : [symbol],
+                        retval = new Symbol(1);
+                for(var i = 0; i < terms.length; i++) {
+                    var term = terms[i];
+                    if(term.group === FN && term.fname === Settings.LOG && term.power.equals(1))
+                        retval = _.multiply(retval, _.pow(term.args[0].clone(), new Symbol(term.multiplier)));
+                    else
+                        retval = _.multiply(retval, _.pow(new Symbol('e'), term.clone()));
+                }
+                return retval;
+            },
+            /**
+             * Solves y' + P(x)*y = Q(x) using an integrating factor
+             * @param {Symbol} P
+             * @param {Symbol} Q
+             * @param {String} x
+             * @param {Symbol} c The constant of integration
+             * @returns {Symbol}
+             */
+            integratingFactor: function (P, Q, x, c) {
+                var mu = __.ODE.exp(_C.integrate(P, x)),
+                        integral = _C.integrate(_.expand(_.multiply(mu.clone(), Q)), x);
+                return _.expand(_.divide(_.add(integral, c), mu));
+            },
+            /**
+             * Solves first order equations of the form M(x,y)+N(x,y)*y' = 0.
+             * Linear, separable, Bernoulli and exact equations are supported.
+             * @param {Symbol} F
+             * @param {String} x
+             * @param {String} y
+             * @returns {Object}
+             */
+            firstOrder: function (F, x, y) {
+                var dy = __.ODE.derivative(y, 1),
+                        N = _C.diff(F.clone(), dy),
+                        M = F.clone().sub(dy, new Symbol(0)),
+                        C = __.ODE.constant(1);
+
+                //only equations linear in y' are supported
+                if(N.contains(dy) || N.equals(0))
+                    return;
+
+                //y' = f(x, y)
+                var f = _.expand(_.divide(M.clone().negate(), N.clone()));
+
+                //linear: y' + P(x)*y = Q(x)
+                var P = _.expand(_C.diff(f.clone(), y).negate()),
+                        Q = _.expand(_.add(f.clone(), _.multiply(P.clone(), _.parse(y))));
+                if(!P.contains(y) && !Q.contains(y)) {
+                    var linear = __.ODE.integratingFactor(P, Q, x, C);
+                    if(!linear.containsFunction('integrate'))
+                        return {explicit: linear};
+                }
+
+                //separable: y' = g(x)*h(y)
+                var factored = _A.Factor.factor(f.clone()),
+                        factors = factored.group === CB ? factored.collectSymbols() : [factored.clone().toUnitMultiplier()],
+                        g = new Symbol(factored.multiplier),
+                        h = new Symbol(1),
+                        separable = true;
+                for(var i = 0; i < factors.length; i++) {
+                    var factor = factors[i],
+                            hasX = factor.contains(x, true),
+                            hasY = factor.contains(y, true);
+                    if(hasX && hasY) {
+                        separable = false;
+                        break;
+                    }
+                    if(hasY)
+                        h = _.multiply(h, factor.clone());
+                    else
+                        g = _.multiply(g, factor.clone());
+                }
+                if(separable) {
+                    //integral of 1/h(y) dy = integral of g(x) dx + C
+                    var phi = _.subtract(_C.integrate(_.pow(h, new Symbol(-1)), y), _C.integrate(g, x));
+                    if(!phi.containsFunction('integrate'))
+                        return __.ODE.explicit(phi, C, y);
+                }
+
+                //Bernoulli: y' = A(x)*y+B(x)*y^n
+                var A = new Symbol(0),
+                        B = new Symbol(0),
+                        n, bernoulli = true,
+                        terms = f.isComposite() ? f.collectSymbols() : [f.clone()];
+                for(var i = 0; i < terms.length; i++) {
+                    var term = terms[i],
+                            k = _.expand(_.divide(_.multiply(_C.diff(term.clone(), y), _.parse(y)), term.clone()));
+                    if(!k.isConstant() || k.equals(0)) {
+                        bernoulli = false;
+                        break;
+                    }
+                    if(k.equals(1)) {
+                        A = _.add(A, _.divide(term.clone(), _.parse(y)));
+                    }
+                    else if(!n || n.equals(k)) {
+                        n = k;
+                        B = _.add(B, _.divide(term.clone(), _.pow(_.parse(y), k.clone())));
+                    }
+                    else {
+                        bernoulli = false;
+                        break;
+                    }
+                }
+                if(bernoulli && n && !A.contains(y) && !B.contains(y)) {
+                    //v = y^(1-n) gives v' = (1-n)*A*v+(1-n)*B
+                    var m = _.subtract(new Symbol(1), n.clone()),
+                            v = __.ODE.integratingFactor(_.multiply(m.clone(), A).negate(), _.multiply(m.clone(), B), x, C);
+                    return {explicit: _.pow(v, _.pow(m, new Symbol(-1)))};
+                }
+
+                //exact: dM/dy = dN/dx
+                if(_.expand(_.subtract(_C.diff(M.clone(), y), _C.diff(N.clone(), x))).equals(0)) {
+                    var phi = _C.integrate(M.clone(), x);
+                    phi = _.add(phi, _C.integrate(_.expand(_.subtract(N.clone(), _C.diff(phi.clone(), y))), y));
+                    if(!phi.containsFunction('integrate'))
+                        return __.ODE.explicit(phi, C, y);
+                }
+            },
+            /**
+             * Solves linear equations with constant coefficients using the roots of the characteristic
+             * polynomial. The particular solution is found by inverting one factor of the operator at a time.
+             * @param {Symbol} F
+             * @param {String} x
+             * @param {String} y
+             * @param {int} order
+             * @returns {Object}
+             */
+            constantCoefficients: function (F, x, y, order) {
+                var a = [],
+                        g = F.clone();
+                for(var k = 0; k <= order; k++) {
+                    var d = __.ODE.derivative(y, k);
+                    a[k] = _C.diff(F.clone(), d);
+                    g = g.sub(d, new Symbol(0));
+                    //the coefficients have to be constants
+                    if(a[k].contains(x, true) || variables(a[k]).some(function (v) {
+                        return v === y || v.indexOf(y + '_d') === 0;
+                    }))
+                        return;
+                }
+                //make sure that the equation is linear
+                var check = g.clone();
+                for(var k = 0; k <= order; k++)
+                    check = _.add(check, _.multiply(a[k].clone(), _.parse(__.ODE.derivative(y, k))));
+                if(!_.expand(_.subtract(check, F.clone())).equals(0))
+                    return;
+
+                //build the characteristic polynomial
+                var r = core.Utils.getU(F),
+                        p = new Symbol(0);
+                for(var k = 0; k <= order; k++)
+                    p = _.add(p, _.multiply(a[k].clone(), _.pow(_.parse(r), new Symbol(k))));
+
+                try {
+                    var roots = solve(p.clone(), r),
+                            basis = [],
+                            inverse = [],
+                            X = _.parse(x);
+                    for(var i = 0; i < roots.length; i++) {
+                        var root = roots[i],
+                                re = root.realpart(),
+                                im = root.imagpart();
+                        //get the multiplicity of the root
+                        var multiplicity = 0,
+                                q = p.clone();
+                        while(multiplicity < order && _.expand(q.clone().sub(r, root.clone())).equals(0)) {
+                            multiplicity++;
+                            q = _C.diff(q, r);
+                        }
+                        //the conjugate is dealt with together with the root
+                        if(im.lessThan(0))
+                            continue;
+
+                        for(var j = 0; j < multiplicity; j++) {
+                            var xj = _.pow(X.clone(), new Symbol(j)),
+                                    exp = _.pow(new Symbol('e'), _.multiply(re.clone(), X.clone()));
+                            if(im.equals(0)) {
+                                basis.push(_.multiply(xj, exp));
+                                inverse.push({re: re});
+                            }
+                            else {
+                                var bx = _.multiply(im.clone(), X.clone());
+                                basis.push(_.multiply(_.multiply(xj.clone(), exp.clone()), _.trig.cos(bx.clone())));
+                                basis.push(_.multiply(_.multiply(xj, exp), _.trig.sin(bx)));
+                                inverse.push({re: re, im: im});
+                            }
+                        }
+                    }
+                }
+                finally {
+                    core.Utils.clearU(r);
+                }
+
+                //we're missing roots
+                if(basis.length !== order)
+                    return;
+
+                var retval = new Symbol(0);
+                for(var i = 0; i < basis.length; i++)
+                    retval = _.add(retval, _.multiply(__.ODE.constant(i + 1), basis[i]));
+
+                //the particular solution
+                if(!g.equals(0)) {
+                    var h = _.divide(g.clone().negate(), a[order].clone()),
+                            X = _.parse(x),
+                            e = new Symbol('e');
+                    for(var i = 0; i < inverse.length; i++) {
+                        var re = inverse[i].re,
+                                im = inverse[i].im,
+                                eax = _.pow(e.clone(), _.multiply(re.clone(), X.clone())),
+                                emax = _.pow(e.clone(), _.multiply(re.clone().negate(), X.clone()));
+                        if(!im) {
+                            //(D-r)^(-1)h = e^(rx)*integral(e^(-rx)*h)
+                            h = _.multiply(eax, _C.integrate(_.expand(_.multiply(emax, h)), x));
+                        }
+                        else {
+                            //((D-a)^2+b^2)^(-1)h = e^(ax)/b*(sin(bx)*integral(e^(-ax)*cos(bx)*h)-cos(bx)*integral(e^(-ax)*sin(bx)*h))
+                            var bx = _.multiply(im.clone(), X.clone()),
+                                    u = _C.integrate(_.expand(_.multiply(_.multiply(emax.clone(), _.trig.cos(bx.clone())), h.clone())), x),
+                                    v = _C.integrate(_.expand(_.multiply(_.multiply(emax, _.trig.sin(bx.clone())), h.clone())), x);
+                            h = _.divide(_.multiply(eax, _.subtract(_.multiply(_.trig.sin(bx.clone()), u), _.multiply(_.trig.cos(bx.clone()), v))), im.clone());
+                            //use sin^2+cos^2 = 1 to tidy up the result
+                            h = _.expand(h).sub(_.pow(_.trig.sin(bx.clone()), new Symbol(2)), _.subtract(new Symbol(1), _.pow(_.trig.cos(bx), new Symbol(2))));
+                        }
+                        h = _.expand(h);
+                    }
+                    if(h.containsFunction('integrate'))
+                        return;
+                    retval = _.add(retval, h);
+                }
+
+                return {explicit: retval};
+            },
+            /**
+             * Solves for the constants of integration using the initial conditions y(a)=b, y'(a)=b, ...
+             * @param {Object} solution
+             * @param {String[]} ics
+             * @param {String} x
+             * @param {String} y
+             * @returns {Object}
+             */
+            applyICs: function (solution, ics, x, y) {
+                var eqns = [],
+                        constants = [];
+                for(var i = 0; i < ics.length; i++) {
+                    var m = new RegExp('^\\s*' + __.ODE.escape(y) + "('*)\\((.+)\\)\\s*=(.+)$").exec(String(ics[i]));
+                    if(!m)
+                        throw new core.exceptions.NerdamerValueError('Initial conditions must be of the form ' + y + '(a)=b but received ' + ics[i]);
+                    var n = m[1].length,
+                            a = _.parse(m[2]),
+                            b = _.parse(m[3]),
+                            eq;
+                    if(solution.explicit)
+                        eq = _.subtract((n === 0 ? solution.explicit.clone() : _C.diff(solution.explicit.clone(), x, n)).sub(x, a), b);
+                    else if(n === 0)
+                        eq = _.subtract(solution.implicit.clone().sub(x, a).sub(y, b), solution.rhs.clone());
+                    else
+                        throw new core.exceptions.NerdamerValueError('Only y(a)=b is supported for implicit solutions');
+                    eqns.push(_.expand(eq));
+                }
+                var vars = variables(solution.explicit || solution.rhs);
+                for(var i = 1; vars.indexOf('C' + i) !== -1 || solution.implicit && i === 1; i++)
+                    constants.push('C' + i);
+                //each condition fixes one constant so the surplus ones can't be honored
+                if(eqns.length > constants.length)
+                    throw new core.exceptions.SolveError('Too many initial conditions. The solution has ' + constants.length + ' constant(s)');
+                constants = constants.slice(0, eqns.length);
+
+                var values = {};
+                if(eqns.length === 1) {
+                    //the constant usually appears linearly so it can be solved for exactly. solve would
+                    //return a decimal approximation for something like C1*e-2=0
+                    var coeff = _C.diff(eqns[0].clone(), constants[0]);
+                    if(!coeff.contains(constants[0]) && !coeff.equals(0)) {
+                        values[constants[0]] = _.expand(_.divide(eqns[0].clone().sub(constants[0], 0).negate(), coeff));
+                    }
+                    else {
+                        var c = solve(eqns[0], constants[0]);
+                        if(c.length === 0)
+                            throw new core.exceptions.SolveError('Unable to satisfy the initial conditions');
+                        values[constants[0]] = c[0];
+                    }
+                }
+                else {
+                    __.solveSystem(eqns, constants).forEach(function (e) {
+                        values[e[0]] = _.parse(e[1]);
+                    });
+                }
+
+                var sub = function (symbol) {
+                    for(var c in values)
+                        symbol = symbol.sub(c, values[c]);
+                    return _.expand(symbol);
+                };
+                //the conditions may contradict each other
+                for(var i = 0; i < eqns.length; i++) {
+                    if(!_A.Simplify.simplify(sub(eqns[i])).equals(0))
+                        throw new core.exceptions.SolveError('Unable to satisfy the initial conditions');
+                }
+                if(solution.explicit)
+                    return {explicit: sub(solution.explicit)};
+                return __.ODE.explicit(solution.implicit, sub(solution.rhs), y);
+            },
+            /**
+             * Solves an ordinary differential equation
+             * @param {String} eq e.g. diff(y(x),x)=x*y(x) or y''+y=0
+             * @param {String} fn The dependent function e.g. y(x)
+             * @param {String[]} ics Optional initial conditions e.g. ['y(0)=1', "y'(0)=0"]
+             * @returns {Expression}
+             */
+            dsolve: function (eq, fn, ics) {
+                var m = /^\s*([a-z_][a-z0-9_]*)\s*\(\s*([a-z_][a-z0-9_]*)\s*\)\s*$/i.exec(String(fn || 'y(x)'));
+                if(!m)
+                    throw new core.exceptions.NerdamerValueError('The dependent function must be of the form y(x)');
+                var y = m[1],
+                        x = m[2],
+                        F = __.toLHS(__.ODE.substitute(eq, y, x)),
+                        vars = variables(F),
+                        order = 0,
+                        solution;
+
+                //find the order of the equation
+                for(var i = 0; i < vars.length; i++) {
+                    var d = new RegExp('^' + __.ODE.escape(y) + '_d(\\d+)$').exec(vars[i]);
+                    if(d)
+                        order = Math.max(order, Number(d[1]));
+                }
+                if(order === 0)
+                    throw new core.exceptions.NerdamerValueError('No derivative of ' + y + ' found');
+
+                if(order === 1)
+                    solution = __.ODE.firstOrder(F, x, y);
+                if(!solution)
+                    solution = __.ODE.constantCoefficients(F, x, y, order);
+                if(!solution)
+                    throw new core.exceptions.SolveError('Unable to solve the differential equation ' + eq);
+
+                if(ics) {
+                    ics = isArray(ics) ? ics : [ics];
+                    solution = __.ODE.applyICs(solution, ics, x, y);
+                }
+
+                if(solution.explicit)
+                    return new core.Expression(solution.explicit);
+                return new core.Expression(new Equation(solution.implicit, solution.rhs));
+            }
         }
     };
 
@@ -1693,6 +2572,11 @@ if((typeof module) !== 'undefined') {
             });
         }
 
+        // Drop the solutions which contradict the assumptions on the variable
+        solutions = solutions.filter(function (x) {
+            return core.Utils.satisfiesAssumptions(x, solve_for);
+        });
+
         return solutions;
     };
 
@@ -1721,6 +2605,31 @@ if((typeof module) !== 'undefined') {
                 return core.Solve.solve;
             }
         },
+        {
+            name: 'eigenvals',
+            parent: 'Solve',
+            numargs: 1,
+            visible: true,
+            build: function () {
+                return core.Solve.Eigen.eigenvals;
+            }
+        },
+        {
+            name: 'eigenvects',
+            parent: 'Solve',
+            numargs: 1,
+            visible: true,
+            build: function () {
+                return core.Solve.Eigen.eigenvects;
+            }
+        },
+        {
+            name: 'dsolve',
+            parent: 'nerdamer',
+            build: function () {
+                return core.Solve.ODE.dsolve;
+            }
+        },
         {
             name: 'setEquation',
             parent: 'Solve',
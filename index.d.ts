@@ -161,7 +161,7 @@ return _.multiply(sum, product)
 	export function setVar(name: string, value: number | string | 'delete'): void
 
 	/**
-	 * Clears all previously set variables.
+	 * Clears all previously set variables and the assumptions made about variables.
 	 */
 	export function clearVars(): typeof nerdamer
 
@@ -171,6 +171,52 @@ return _.multiply(sum, product)
 	 */
 	export function getVars(option: 'LaTeX' | 'text'): { [name: string]: string }
 
+	type Assumption = 'positive' | 'negative' | 'nonnegative' | 'nonpositive' | 'nonzero' | 'integer' | 'real'
+
+	/**
+	 * Declares properties of a variable. These are used to simplify abs and even roots, to filter the
+	 * solutions returned by solve and to settle the sign of limits.
+	 * @param name The variable.
+	 * @param property One or more properties.
+	 * @example
+	 * nerdamer.assume('x', 'positive')
+	 * nerdamer('sqrt(x^2)') // == x
+	 */
+	export function assume(name: string, property: Assumption | Assumption[]): typeof nerdamer
+
+	/**
+	 * Gets the properties assumed for a variable including the ones they imply.
+	 * @param name The variable.
+	 */
+	export function getAssumptions(name: string): Assumption[]
+
+	/**
+	 * Clears the assumptions for a variable or all assumptions if no variable is given.
+	 * clearVars also clears all assumptions.
+	 * @param name The variable.
+	 */
+	export function clearAssumptions(name?: string): typeof nerdamer
+
+	export interface Step {
+		operation: 'diff' | 'integrate'
+		/** e.g. power, log, sum, product, quotient, chain, table, u_substitution, by_parts, partial_fraction, trig_sub or risch */
+		rule: string
+		/** How deeply the step is nested in the steps before it */
+		depth: int
+		expression: { text: string, latex: string }
+		result: { text: string, latex: string }
+	}
+
+	/**
+	 * Evaluates an expression and returns the rules used by diff and integrate along the way. Requires Calculus.
+	 * @param expression The expression.
+	 * @param subs The substitutions.
+	 * @example
+	 * nerdamer.steps('integrate(x*e^x, x)').steps[0].rule
+	 * // by_parts
+	 */
+	export function steps(expression: ExpressionParam, subs?: { [name: string]: string }): { result: Expression, steps: Step[] }
+
 	/**
 	 * Sets the value of a nerdamer setting. Currently PARSE2NUMBER and IMAGINARY. Setting PARSE2NUMBER to true will let nerdamer always try to return a number whenenver possible. IMAGINARY allows you to change the variable used for imaginary to j for instance.
 	 * @param setting The setting to be changed
@@ -367,6 +413,32 @@ return _.multiply(sum, product)
 		expand(): Expression
 	}
 
+	////////// SETS
+
+	/**
+	 * Creates a real interval. The interval is closed unless the endpoints are marked as open.
+	 * Infinite endpoints are always open. Intervals can be combined using union, intersection and difference.
+	 * Throws if the lower endpoint is greater than the upper endpoint.
+	 * @param lower The lower endpoint.
+	 * @param upper The upper endpoint.
+	 * @param lowerOpen Pass in 1 to leave out the lower endpoint.
+	 * @param upperOpen Pass in 1 to leave out the upper endpoint.
+	 * @example
+	 * nerdamer('union(interval(0,1,0,1), interval(1,3))')
+	 * // {[0,3]}
+	 */
+	export function interval(lower: ExpressionParam, upper: ExpressionParam, lowerOpen?: int, upperOpen?: int): Expression
+
+	/**
+	 * Creates a piecewise function from condition/value pairs. The value of the first condition which holds
+	 * is used. An optional trailing value is used when none of the conditions hold.
+	 * @param args The conditions and values e.g. x<0, -x, x
+	 * @example
+	 * nerdamer('piecewise(x<0,-x,x)', {x: -2})
+	 * // 2
+	 */
+	export function piecewise(...args: ExpressionParam[]): Expression
+
 	////////// CALCULUS
 
 	/**
@@ -381,6 +453,18 @@ return _.multiply(sum, product)
 		lower: ExpressionParam,
 		upper: ExpressionParam): Expression
 
+	/**
+	 * Gets the product of an expression over a range of the index
+	 * @param expression Returns the appropriate value if possible otherwise it returns the function with the simplified expression.
+	 * @param index The index of the product.
+	 * @param lower Starting index.
+	 * @param upper Ending index.
+	 */
+	export function product(expression: ExpressionParam,
+		index: string,
+		lower: ExpressionParam,
+		upper: ExpressionParam): Expression
+
 	/**
 	 *
 	 * @param expression Returns the appropriate value if possible otherwise it returns the function with the simplified expression.
@@ -388,6 +472,35 @@ return _.multiply(sum, product)
 	 */
 	export function integrate(expression: ExpressionParam, variable: string): Expression
 
+	/**
+	 * Decides if an expression has an elementary antiderivative. Returns 1 or 0, or the function itself if
+	 * the expression is outside of what can be decided: rational functions, R(x)*e^p(x) with R rational and
+	 * p a polynomial, polynomials in log(a*x+b) and 1/log(a*x+b) with rational coefficients, and the integrands
+	 * of Ei, Si, Ci, Shi and Chi.
+	 * @param expression The expression.
+	 * @param variable The variable of integration.
+	 * @example
+	 * nerdamer('is_elementary(e^(x^2), x)') // 0
+	 * nerdamer('is_elementary(x*e^(x^2), x)') // 1
+	 */
+	export function is_elementary(expression: ExpressionParam, variable?: string): Expression
+
+	/**
+	 * Calculates a definite integral. Multiple integrals are given as ranges of the form [variable, lower, upper]
+	 * which are integrated in order so the bounds may depend on the variables of the ranges that follow.
+	 * A numeric integration is used if no antiderivative is found. Infinite bounds and singularities inside the
+	 * interval are handled using one-sided limits. An error is thrown if the integral diverges and the integral is
+	 * returned unevaluated if that can't be decided e.g. defint(e^(-a*x), 0, Infinity) when the sign of a isn't known.
+	 * @param expression The integrand.
+	 * @param from The lower bound or the first range.
+	 * @param to The upper bound or the next range.
+	 * @param variable The variable of integration or the next range.
+	 * @example
+	 * nerdamer('defint(x*y, [y, 0, x], [x, 0, 1])')
+	 * // 1/8
+	 */
+	export function defint(expression: ExpressionParam, from: ExpressionParam, to?: ExpressionParam, variable?: ExpressionParam, ...ranges: ExpressionParam[]): Expression
+
 	/**
 	 *
 	 * @param expression Returns the appropriate value if possible otherwise it returns the function with the simplified expression.
@@ -396,6 +509,191 @@ return _.multiply(sum, product)
 	 */
 	export function diff(expression: ExpressionParam, variable: string, n?: int): Expression
 
+	/**
+	 * Differentiates an equation implicitly by treating y as a function of x. An expression is taken to be equal to zero.
+	 * @param equation The equation e.g. x^2+y^2=1. Equations require the Solve add-on.
+	 * @param y The dependent variable.
+	 * @param x The independent variable.
+	 * @param n The order of the derivative. Defaults to 1.
+	 * @returns The nth derivative of y in terms of x and y.
+	 * @example
+	 * nerdamer('impldiff(x^2+y^2=1, y, x, 2)')
+	 * // -(x^2+y^2)*y^(-3)
+	 */
+	export function impldiff(equation: ExpressionParam, y: string, x?: string, n?: int): Expression
+
+	/**
+	 * Calculates the limit of an expression. Without a direction both sides are checked where the expression
+	 * may be discontinuous and an error is thrown if they disagree. An error is also thrown if the expression
+	 * isn't real on the side being approached e.g. limit(sqrt(x), x, 0, -).
+	 * @param expression The expression.
+	 * @param variable The variable.
+	 * @param point The point being approached.
+	 * @param direction 1 for the limit from the right and -1 for the limit from the left. Inside an expression + and - can be used e.g. limit(1/x, x, 0, +). A direction of 0 is rejected.
+	 */
+	export function limit(expression: ExpressionParam, variable: string, point: ExpressionParam, direction?: ExpressionParam): Expression
+
+	/**
+	 * Gets the gradient of a scalar function as a vector.
+	 * @param expression The function.
+	 * @param variables A vector of the variables e.g. [x,y,z]. Defaults to the variables of the function.
+	 */
+	export function grad(expression: ExpressionParam, variables?: ExpressionParam): Expression
+
+	/**
+	 * Gets the divergence of a vector field. Called with two polynomials it divides them instead.
+	 * @param field The vector field.
+	 * @param variables A vector of the variables e.g. [x,y,z].
+	 */
+	export function div(field: ExpressionParam, variables: ExpressionParam): Expression
+
+	/**
+	 * Gets the curl of a vector field in three dimensions.
+	 * @param field The vector field.
+	 * @param variables A vector of the variables e.g. [x,y,z].
+	 */
+	export function curl(field: ExpressionParam, variables?: ExpressionParam): Expression
+
+	/**
+	 * Gets the Laplacian of a function. For a vector field the Laplacian of each component is returned.
+	 * @param expression The function or vector field.
+	 * @param variables A vector of the variables e.g. [x,y,z].
+	 */
+	export function laplacian(expression: ExpressionParam, variables?: ExpressionParam): Expression
+
+	/**
+	 * Gets the Jacobian matrix of a vector field.
+	 * @param field The vector field.
+	 * @param variables A vector of the variables e.g. [x,y].
+	 */
+	export function jacobian(field: ExpressionParam, variables?: ExpressionParam): Expression
+
+	/**
+	 * Gets the Hessian matrix of a scalar function.
+	 * @param expression The function.
+	 * @param variables A vector of the variables e.g. [x,y].
+	 */
+	export function hessian(expression: ExpressionParam, variables?: ExpressionParam): Expression
+
+	/**
+	 * Expands an expression as a Taylor series or a Laurent series if the point is a pole.
+	 * @param expression The expression to expand.
+	 * @param variable The variable of the series.
+	 * @param point The point about which to expand. Defaults to 0.
+	 * @param n The order of the series. Defaults to 6.
+	 * @param remainder Pass in 1 to add the order term O((x-a)^(n+1)).
+	 * @example
+	 * nerdamer('series(e^x, x, 0, 3)')
+	 * // (1/2)*x^2+(1/6)*x^3+x+1
+	 */
+	export function series(expression: ExpressionParam, variable: string, point?: ExpressionParam, n?: int, remainder?: int): Expression
+
+	/**
+	 * Solves an ordinary differential equation. Requires the Solve add-on. Derivatives can be written as
+	 * diff(y(x),x,n) or using primes e.g. y''. The constants of integration are named C1, C2, ...
+	 * @param equation The differential equation.
+	 * @param fn The dependent function e.g. y(x).
+	 * @param ics Optional initial conditions of the form y(a)=b or y'(a)=b.
+	 * @example
+	 * nerdamer.dsolve("y''+y=0", 'y(x)', ['y(0)=1', "y'(0)=0"])
+	 * // cos(x)
+	 */
+	export function dsolve(equation: string, fn: string, ics?: string[]): Expression
+
+	/**
+	 * Solves a linear initial value problem with constant coefficients using Laplace transforms. Requires the
+	 * Extra add-on. Initial conditions which aren't given are named C1, C2, ...
+	 * @param equation The differential equation or an array of equations for a coupled system.
+	 * @param fn The unknown function e.g. y(t) or an array of functions for a system.
+	 * @param t The independent variable.
+	 * @param ics The initial conditions at t=0 e.g. {"y(0)": 1, "y'(0)": 0} or ['y(0)=1', "y'(0)=0"].
+	 * @returns The solution or a vector of solutions in the order of fn.
+	 * @example
+	 * nerdamer.odesolve_laplace(["x'=x+y", "y'=y-x"], ['x(t)', 'y(t)'], 't', {'x(0)': 1, 'y(0)': 0})
+	 * // [cos(t)*e^t,-e^t*sin(t)]
+	 */
+	export function odesolve_laplace(equation: string | string[], fn: string | string[], t?: string, ics?: { [ic: string]: ExpressionParam } | string[]): Expression
+
+	/**
+	 * Solves an equation or inequality for a variable. Requires the Solve add-on. Polynomial and rational
+	 * inequalities are solved using a sign chart and return a set of intervals.
+	 * @param equation The equation or inequality.
+	 * @param variable The variable to solve for.
+	 * @example
+	 * nerdamer('solve(x^2-4>0, x)')
+	 * // {(-Infinity,-2),(2,Infinity)}
+	 */
+	export function solve(equation: ExpressionParam, variable: string): Expression
+
+	////////// LINEAR ALGEBRA
+
+	/**
+	 * Returns the characteristic polynomial det(lambda*I-M) of a square matrix.
+	 * @param matrix The matrix.
+	 * @param lambda The variable of the polynomial. Defaults to lambda.
+	 */
+	export function charpoly(matrix: ExpressionParam, lambda?: string): Expression
+
+	/**
+	 * Returns the reduced row echelon form of a matrix using exact Gauss-Jordan elimination.
+	 * @param matrix The matrix.
+	 */
+	export function rref(matrix: ExpressionParam): Expression
+
+	/**
+	 * Returns the rank of a matrix.
+	 * @param matrix The matrix.
+	 */
+	export function rank(matrix: ExpressionParam): Expression
+
+	/**
+	 * Returns a basis for the null space of a matrix as a vector of vectors.
+	 * @param matrix The matrix.
+	 */
+	export function nullspace(matrix: ExpressionParam): Expression
+
+	/**
+	 * Returns a basis for the column space of a matrix as a vector of vectors.
+	 * @param matrix The matrix.
+	 */
+	export function columnspace(matrix: ExpressionParam): Expression
+
+	/**
+	 * LU decomposition with partial pivoting. Returns the vector [P, L, U] where P*M = L*U.
+	 * @param matrix The matrix.
+	 */
+	export function lu(matrix: ExpressionParam): Expression
+
+	/**
+	 * QR decomposition using Gram-Schmidt. Returns the vector [Q, R] where M = Q*R.
+	 * @param matrix The matrix.
+	 */
+	export function qr(matrix: ExpressionParam): Expression
+
+	/**
+	 * Cholesky decomposition of a symmetric positive-definite matrix. Returns the vector [L] where M = L*transpose(L).
+	 * @param matrix The matrix.
+	 */
+	export function cholesky(matrix: ExpressionParam): Expression
+
+	/**
+	 * Numeric singular value decomposition. Returns the vector [U, S, V] where M = U*S*transpose(V).
+	 * @param matrix The matrix.
+	 */
+	export function svd(matrix: ExpressionParam): Expression
+
+	/**
+	 * Returns the eigenvalues of a square matrix as a vector of [eigenvalue, multiplicity]. Requires the Solve add-on.
+	 * @param matrix The matrix.
+	 */
+	export function eigenvals(matrix: ExpressionParam): Expression
+
+	/**
+	 * Returns the eigenvectors of a square matrix as a vector of [eigenvalue, multiplicity, [eigenvectors]]. Requires the Solve add-on.
+	 * @param matrix The matrix.
+	 */
+	export function eigenvects(matrix: ExpressionParam): Expression
+
 	////////// ALGEBRA
 
 	/**
@@ -407,8 +705,12 @@ return _.multiply(sum, product)
 	/**
 	 * Factor an expression.
 	 * @param expression Returns the appropriate value if possible otherwise it returns the function with the simplified expression.
+	 * @param option One of modulus=p to factor over the integers modulo the prime p, extension=[alpha, ...] to factor
+	 * over the rationals extended by algebraic numbers or gaussian=true to factor over the Gaussian rationals.
+	 * Only univariate polynomials can be factored with an option. Factoring over an extension throws when the
+	 * degree of the extension times the degree of the polynomial exceeds Settings.ALGEBRAIC_FIELD_MAX_DEGREE.
 	 */
-	export function factor(expression: ExpressionParam): Expression
+	export function factor(expression: ExpressionParam, option?: ExpressionParam): Expression
 
 	/**
 	 * Gets the GCD of 2 polynomials.
@@ -416,6 +718,44 @@ return _.multiply(sum, product)
 	 */
 	export function gcd(expression: ExpressionParam): Expression
 
+	/**
+	 * Computes the reduced Groebner basis of a list of polynomials. Requires the Algebra add-on.
+	 * @param polynomials A vector of polynomials or equations.
+	 * @param variables The variables ordered from highest to lowest. Defaults to all variables in alphabetical order.
+	 * @param order The monomial order. One of lex, grlex or grevlex. Defaults to lex.
+	 */
+	export function groebner(polynomials: ExpressionParam, variables?: ExpressionParam, order?: 'lex' | 'grlex' | 'grevlex'): Expression
+
+	/**
+	 * Returns [g, s, t] where s*a+t*b = g is the gcd of two integers or univariate polynomials. Requires the Algebra add-on.
+	 * @param a The first integer or polynomial.
+	 * @param b The second integer or polynomial.
+	 * @param variable The variable of the polynomials.
+	 */
+	export function gcdex(a: ExpressionParam, b: ExpressionParam, variable?: string): Expression
+
+	/**
+	 * Returns the inverse of an integer modulo m. Requires the Algebra add-on.
+	 * @param a The integer.
+	 * @param m The modulus.
+	 */
+	export function modinv(a: ExpressionParam, m: ExpressionParam): Expression
+
+	/**
+	 * Calculates the resultant of two polynomials. Requires the Algebra add-on.
+	 * @param a The first polynomial.
+	 * @param b The second polynomial.
+	 * @param variable The variable to eliminate. Required for multivariate polynomials.
+	 */
+	export function resultant(a: ExpressionParam, b: ExpressionParam, variable?: string): Expression
+
+	/**
+	 * Calculates the discriminant of a polynomial. Requires the Algebra add-on.
+	 * @param expression The polynomial.
+	 * @param variable The variable. Required for multivariate polynomials.
+	 */
+	export function discriminant(expression: ExpressionParam, variable?: string): Expression
+
 	/**
 	 * Finds the roots of a univariate polynomial.
 	 * @param expression
@@ -49,7 +49,13 @@ var nerdamer = (function (imports) {
         1933, 1949, 1951, 1973, 1979, 1987, 1993, 1997, 1999, 2003, 2011, 2017, 2027, 2029, 2039, 2053, 2063, 2069, 2081, 2083];
 
 //Settings =====================================================================
-    var CUSTOM_OPERATORS = {};
+    //functions which are printed as infix operators e.g. lt(x, 1) prints as x<1
+    var CUSTOM_OPERATORS = {
+        lt: '<',
+        lte: '<=',
+        gt: '>',
+        gte: '>='
+    };
 
     var Settings = {
         //Enables/Disables call peekers. False means callPeekers are disabled and true means callPeekers are enabled.
@@ -115,7 +121,9 @@ var nerdamer = (function (imports) {
         //The number of scientific place to round to
         SCIENTIFIC_MAX_DECIMAL_PLACES: 14,
         //True if ints should not be converted to
-        SCIENTIFIC_IGNORE_ZERO_EXPONENTS: true
+        SCIENTIFIC_IGNORE_ZERO_EXPONENTS: true,
+        //Constant pivots smaller than this are treated as zero during row reduction
+        PIVOT_EPSILON: 1e-12
     };
 
     (function () {
@@ -160,6 +168,9 @@ var nerdamer = (function (imports) {
     //variables
     var VARS = {};
 
+    //the properties assumed for variables e.g. x is positive
+    var ASSUMPTIONS = {};
+
     //the container used to store all the reserved functions
     var RESERVED = [];
 
@@ -495,6 +506,10 @@ var nerdamer = (function (imports) {
         return (obj instanceof Set);
     };
 
+    var isInterval = function (obj) {
+        return (obj instanceof Interval);
+    };
+
     /**
      * Checks to see if a symbol is in group N
      * @param {Symbol} symbol
@@ -968,6 +983,190 @@ var nerdamer = (function (imports) {
         return 1 / (num % 1) % 2 === 0;
     };
 
+    /**
+     * The properties which can be assumed for a variable along with what they imply
+     */
+    var ASSUMPTION_RULES = {
+        positive: ['nonnegative', 'nonzero', 'real'],
+        negative: ['nonpositive', 'nonzero', 'real'],
+        nonnegative: ['real'],
+        nonpositive: ['real'],
+        nonzero: [],
+        integer: ['real'],
+        real: []
+    };
+
+    /**
+     * Adds the properties implied by the ones already present
+     * @param {Object} props
+     * @returns {Object}
+     */
+    var closeProperties = function (props) {
+        for(var x in ASSUMPTION_RULES)
+            if(props[x])
+                ASSUMPTION_RULES[x].forEach(function (implied) {
+                    props[implied] = true;
+                });
+        return props;
+    };
+
+    /**
+     * Works out which properties are known to hold for a symbol given the assumptions on its variables
+     * @param {Symbol} symbol
+     * @returns {Object} An object with the known properties set to true
+     */
+    var deduceProperties = function (symbol) {
+        var props = {};
+        if(!isSymbol(symbol) || symbol.isInfinity)
+            return props;
+
+        var m = symbol.multiplier;
+        if(symbol.group === N) {
+            props.real = true;
+            props.nonnegative = !m.lessThan(0);
+            props.nonpositive = !m.greaterThan(0);
+            props.positive = m.greaterThan(0);
+            props.negative = m.lessThan(0);
+            props.nonzero = !m.equals(0);
+            props.integer = isInt(m);
+            return props;
+        }
+
+        // The base properties i.e. without the multiplier or the power
+        var base = {};
+        if(symbol.group === P) {
+            base = {positive: true};
+        }
+        else if(symbol.group === S) {
+            if(symbol.value in ASSUMPTIONS)
+                for(var x in ASSUMPTIONS[symbol.value])
+                    base[x] = true;
+            else if(symbol.value === 'pi' || symbol.value === 'e')
+                base = {positive: true};
+        }
+        else if(symbol.group === EX) {
+            // b^p is positive for a positive base and real power
+            if((symbol.value === 'e' || (ASSUMPTIONS[symbol.value] || {}).positive) && deduceProperties(symbol.power).real)
+                base = {positive: true};
+        }
+        else if(symbol.group === FN) {
+            var arg = deduceProperties(symbol.args[0]);
+            if(symbol.fname === '')
+                base = arg;
+            else if(symbol.fname === Settings.ABS)
+                base = {nonnegative: true, positive: arg.nonzero};
+            else if(symbol.fname === Settings.SQRT && arg.nonnegative)
+                base = {nonnegative: true, positive: arg.positive};
+            else if(symbol.fname === 'exp' && arg.real)
+                base = {positive: true};
+        }
+        else if(symbol.group === CB) {
+            var sign = 1, strict = true, known = true;
+            base = {real: true, integer: true, nonzero: true};
+            symbol.each(function (x) {
+                var p = deduceProperties(x);
+                if(p.negative || p.nonpositive)
+                    sign = -sign;
+                if(!p.positive && !p.negative)
+                    strict = false;
+                if(!p.nonnegative && !p.nonpositive)
+                    known = false;
+                base.real = base.real && p.real;
+                base.integer = base.integer && p.integer;
+                base.nonzero = base.nonzero && p.nonzero;
+            });
+            if(known) {
+                base[(sign > 0 ? (strict ? 'positive' : 'nonnegative') : (strict ? 'negative' : 'nonpositive'))] = true;
+            }
+        }
+        else if(symbol.group === CP) {
+            var terms = [];
+            symbol.each(function (x) {
+                terms.push(deduceProperties(x));
+            });
+            var all = function (prop) {
+                return terms.every(function (p) {
+                    return p[prop];
+                });
+            };
+            var any = function (prop) {
+                return terms.some(function (p) {
+                    return p[prop];
+                });
+            };
+            base = {
+                real: all('real'),
+                integer: all('integer'),
+                nonnegative: all('nonnegative'),
+                nonpositive: all('nonpositive')
+            };
+            base.positive = base.nonnegative && any('positive');
+            base.negative = base.nonpositive && any('negative');
+        }
+        closeProperties(base);
+
+        // Apply the power
+        var power = symbol.power;
+        if(symbol.group === EX || power.equals(1)) {
+            props = base;
+        }
+        else if(isSymbol(power)) {
+            return props;
+        }
+        else if(isInt(power)) {
+            if(even(power)) {
+                props.nonnegative = base.real;
+                props.positive = base.real && base.nonzero;
+            }
+            else {
+                props.positive = base.positive;
+                props.negative = base.negative;
+                props.nonnegative = base.nonnegative && power.greaterThan(0);
+                props.nonpositive = base.nonpositive && power.greaterThan(0);
+            }
+            props.real = base.real;
+            props.nonzero = base.nonzero;
+            props.integer = base.integer && power.greaterThan(0);
+        }
+        else {
+            props.positive = base.positive;
+            props.nonnegative = base.nonnegative && power.greaterThan(0);
+        }
+
+        // Apply the multiplier
+        if(m.equals(0))
+            return {nonnegative: true, nonpositive: true, real: true, integer: true};
+        if(m.lessThan(0)) {
+            var t = props.positive;
+            props.positive = props.negative;
+            props.negative = t;
+            t = props.nonnegative;
+            props.nonnegative = props.nonpositive;
+            props.nonpositive = t;
+        }
+        props.integer = props.integer && isInt(m);
+
+        return closeProperties(props);
+    };
+
+    /**
+     * Checks that a value doesn't contradict the assumptions made about a variable
+     * @param {Symbol} value
+     * @param {String} v The variable
+     * @returns {boolean}
+     */
+    var satisfiesAssumptions = function (value, v) {
+        var a = ASSUMPTIONS[v];
+        if(!a || !isSymbol(value))
+            return true;
+        var d = deduceProperties(value);
+        return !(a.positive && d.nonpositive || a.negative && d.nonnegative ||
+                a.nonnegative && d.negative || a.nonpositive && d.positive ||
+                a.nonzero && d.nonnegative && d.nonpositive ||
+                a.integer && value.group === N && !d.integer ||
+                a.real && value.isImaginary());
+    };
+
     /**
      * Strips duplicates out of an array
      * @param {Array} arr
@@ -2486,6 +2685,9 @@ var nerdamer = (function (imports) {
                 c.push(obj.elements[i].text(option));
             return '[' + c.join(',') + ']';
         }
+        else if(isSet(obj) || isInterval(obj)) {
+            return obj.text(option);
+        }
         else {
             try {
                 return obj.toString();
@@ -3517,6 +3719,18 @@ var nerdamer = (function (imports) {
                 });
                 var min = new Frac(arrayMin(powers));
 
+                //x^p*y^p = (x*y)^p only holds for fractional p if the factors are nonnegative. This is
+                //only checked once assumptions are made so simplification is unchanged otherwise.
+                if(!isInt(min) && !this.isConstant() && keys(ASSUMPTIONS).length > 0) {
+                    var valid = true;
+                    this.each(function (x) {
+                        if(!x.isConstant() && !x.clone().toLinear().is('nonnegative'))
+                            valid = false;
+                    });
+                    if(!valid)
+                        return this.clone();
+                }
+
                 //handle the coefficient
                 //handle the multiplier
                 var sign = this.multiplier.sign(),
@@ -3551,6 +3765,15 @@ var nerdamer = (function (imports) {
             }
             return this.clone();
         },
+        /**
+         * Checks if a property is known to hold based on the assumptions made about the variables
+         * e.g. x^2+1 is positive for real x
+         * @param {String} property One of positive, negative, nonnegative, nonpositive, nonzero, integer or real
+         * @returns {boolean}
+         */
+        is: function (property) {
+            return !!deduceProperties(this)[property];
+        },
         /**
          * Checks to see if two functions are of equal value
          * @param {Symbol} symbol
@@ -5811,6 +6034,14 @@ var nerdamer = (function (imports) {
                 postfix: false,
                 leftAssoc: false
             },
+            '>=': {
+                precedence: 1,
+                operator: '>=',
+                action: 'gte',
+                prefix: false,
+                postfix: false,
+                leftAssoc: false
+            },
             ',': {
                 precedence: 0,
                 operator: ',',
@@ -5953,6 +6184,15 @@ var nerdamer = (function (imports) {
             'abs': [abs, 1],
             'invert': [invert, 1],
             'determinant': [determinant, 1],
+            'charpoly': [charpoly, [1, 2]],
+            'rref': [rref, 1],
+            'rank': [rank, 1],
+            'nullspace': [nullspace, 1],
+            'columnspace': [columnspace, 1],
+            'lu': [lu, 1],
+            'qr': [qr, 1],
+            'cholesky': [cholesky, 1],
+            'svd': [svd, 1],
             'size': [size, 1],
             'transpose': [transpose, 1],
             'dot': [dot, 2],
@@ -5968,6 +6208,7 @@ var nerdamer = (function (imports) {
             'matsetcol': [matsetcol, 3],
             'rationalize': [rationalize, 1],
             'IF': [IF, 3],
+            'piecewise': [piecewise, -1],
             'is_in': [is_in, 2],
             //imaginary support
             'realpart': [realpart, 1],
@@ -5978,6 +6219,7 @@ var nerdamer = (function (imports) {
             'rectform': [rectform, 1],
             'sort': [sort, [1, 2]],
             'integer_part': [, 1],
+            'interval': [interval, [2, 4]],
             'union': [union, 2],
             'contains': [contains, 2],
             'intersection': [intersection, 2],
@@ -7345,6 +7587,12 @@ var nerdamer = (function (imports) {
             if(symbol.isInfinity) {
                 return Symbol.infinity();
             }
+
+            //use what's known about the variables
+            if(symbol.is('nonnegative'))
+                return symbol;
+            if(symbol.is('nonpositive'))
+                return symbol.negate();
             if(symbol.multiplier.lessThan(0))
                 symbol.multiplier.negate();
 
@@ -7486,6 +7734,38 @@ var nerdamer = (function (imports) {
                 return new Symbol(0);
             return _.symfunction('mod', [symbol1, symbol2]);
         }
+        /**
+         * A function defined by cases e.g. piecewise(x<0, -x, x). The arguments are pairs of
+         * conditions and values with an optional value at the end for when none of the conditions hold.
+         * The first condition which holds wins. Conditions which can't be decided yet are kept.
+         * @returns {Symbol}
+         */
+        function piecewise() {
+            var args = [].slice.call(arguments),
+                    remaining = [];
+            for(var i = 0; i < args.length; i += 2) {
+                //the otherwise value
+                if(i === args.length - 1) {
+                    remaining.push(args[i]);
+                    break;
+                }
+                var condition = args[i];
+                if(isNumericSymbol(condition)) {
+                    //false conditions can be dropped
+                    if(condition.equals(0))
+                        continue;
+                    //the first true condition is the value if nothing before it holds
+                    remaining.push(args[i + 1]);
+                    break;
+                }
+                remaining.push(condition, args[i + 1]);
+            }
+            if(remaining.length === 0)
+                throw new UndefinedError('None of the conditions of piecewise hold');
+            if(remaining.length === 1)
+                return remaining[0];
+            return _.symfunction('piecewise', remaining);
+        }
         /**
          * A branghing function
          * @param {Boolean} condition
@@ -7494,9 +7774,12 @@ var nerdamer = (function (imports) {
          * @returns {Symbol}
          */
         function IF(condition, a, b) {
-            if(typeof condition !== 'boolean')
-                if(isNumericSymbol(condition))
-                    condition = !!Number(condition);
+            if(typeof condition !== 'boolean') {
+                //a relation which can't be decided yet e.g. x>1
+                if(!isNumericSymbol(condition))
+                    return _.symfunction('IF', [condition, a, b]);
+                condition = !!Number(condition);
+            }
             if(condition)
                 return a;
             return b;
@@ -8705,29 +8988,106 @@ var nerdamer = (function (imports) {
             err('invert expects a matrix');
         }
 
+        function rref(mat) {
+            if(isMatrix(mat))
+                return mat.rref();
+            err('rref expects a matrix');
+        }
+
+        function rank(mat) {
+            if(isMatrix(mat))
+                return new Symbol(mat.rank());
+            err('rank expects a matrix');
+        }
+
+        function nullspace(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.nullspace());
+            err('nullspace expects a matrix');
+        }
+
+        function columnspace(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.columnspace());
+            err('columnspace expects a matrix');
+        }
+
+        function lu(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.lu());
+            err('lu expects a matrix');
+        }
+
+        function qr(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.qr());
+            err('qr expects a matrix');
+        }
+
+        function cholesky(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.cholesky());
+            err('cholesky expects a matrix');
+        }
+
+        function svd(mat) {
+            if(isMatrix(mat))
+                return new Vector(mat.svd());
+            err('svd expects a matrix');
+        }
+
+        function charpoly(mat, lambda) {
+            if(isMatrix(mat))
+                return mat.charpoly(lambda);
+            err('charpoly expects a matrix');
+        }
+
+        /**
+         * The constructor for intervals. The interval is closed unless otherwise specified.
+         * @param {Symbol} lower
+         * @param {Symbol} upper
+         * @param {Symbol} lower_open 1 to leave out the lower endpoint
+         * @param {Symbol} upper_open 1 to leave out the upper endpoint
+         * @returns {Interval}
+         */
+        function interval(lower, upper, lower_open, upper_open) {
+            var isOpen = function (x) {
+                return !!x && x.equals(1);
+            };
+            var retval = new Interval(lower, upper, isOpen(lower_open), isOpen(upper_open));
+            if(Interval.valueOf(retval.lower) > Interval.valueOf(retval.upper))
+                throw new NerdamerValueError('The lower endpoint of an interval cannot be greater than the upper endpoint');
+            return retval;
+        }
+
+        //intervals are treated as sets containing just the interval
+        var toSet = function (x) {
+            return isSet(x) ? x : new Set(x);
+        };
+
         //basic set functions
         function union(set1, set2) {
-            return set1.union(set2);
+            return toSet(set1).union(toSet(set2));
         }
 
         function intersection(set1, set2) {
-            return set1.intersection(set2);
+            return toSet(set1).intersection(toSet(set2));
         }
 
         function contains(set1, e) {
-            return set1.contains(e);
+            return new Symbol(Number(toSet(set1).contains(e)));
         }
 
         function difference(set1, set2) {
-            return set1.difference(set2);
+            return toSet(set1).difference(toSet(set2));
         }
 
         function intersects(set1, set2) {
-            return new Symbol(Number(set1.intersects(set2)));
+            return new Symbol(Number(toSet(set1).intersects(toSet(set2))));
         }
 
         function is_subset(set1, set2) {
-            return new Symbol(Number(set1.is_subset(set2)));
+            return new Symbol(Number(toSet(set1).is_subset(toSet(set2))));
         }
 
         function print() {
@@ -8884,8 +9244,9 @@ var nerdamer = (function (imports) {
                         throw new UndefinedError('(' + a + ')+(' + b + ') is not defined!');
                     }
 
+                    //the sign comes from the infinite term e.g. Infinity-1
                     var inf = Symbol.infinity();
-                    if(bneg)
+                    if(a.isInfinity ? aneg : bneg)
                         inf.negate();
                     return inf;
                 }
@@ -9258,8 +9619,8 @@ var nerdamer = (function (imports) {
 
                 if(b.group > a.group && !(b.group === CP))
                     return this.multiply(b, a);
-                //correction for PL/CB dilemma
-                if(a.group === CB && b.group === PL && a.value === b.value) {
+                //correction for PL/CB dilemma. The same applies to CP e.g. (x+1)*((x+1)+(x+1)^(-1))
+                if((a.group === CB || a.group === CP) && b.group === PL && a.value === b.value) {
                     var t = a;
                     a = b;
                     b = t;//swap
@@ -9361,7 +9722,7 @@ var nerdamer = (function (imports) {
                     v1 = text(a, 'hash', EX);
                 }
 
-                if((v1 === v2 || ONN) && !(g1 === PL && (g2 === S || g2 === P || g2 === FN)) && !(g1 === PL && g2 === CB)) {
+                if((v1 === v2 || ONN) && !(g1 === PL && (g2 === S || g2 === P || g2 === FN)) && !(g1 === PL && g2 === CB) && !(g1 === PL && g2 === CP && !a.power.equals(1))) {
                     var p1 = a.power,
                             p2 = b.power,
                             isSymbolP1 = isSymbol(p1),
@@ -9436,7 +9797,8 @@ var nerdamer = (function (imports) {
                         }
                     }
                     else {
-                        result = b.clone().toUnitMultiplier();
+                        //b still carries its sign
+                        result = b.clone();
                     }
                 }
 
@@ -9908,15 +10270,19 @@ var nerdamer = (function (imports) {
                                     evenp = even(a.power),
                                     n = result.power.toDecimal(),
                                     evennp = even(n);
-                            if(evenr && evenp && !evennp) {
+                            //no need for the absolute value if the sign is known
+                            var absolute = function (x) {
+                                return x.is('nonpositive') ? x.negate() : _.symfunction(ABS, [x]);
+                            };
+                            if(evenr && evenp && !evennp && !result.clone().toLinear().is('nonnegative')) {
                                 if(n === 1)
-                                    result = _.symfunction(ABS, [result]);
+                                    result = absolute(result);
                                 else if(!isInt(n)) {
                                     var p = result.power;
                                     result = _.symfunction(ABS, [result.toLinear()]).setPower(p);
                                 }
                                 else {
-                                    result = _.multiply(_.symfunction(ABS, [result.clone().toLinear()]),
+                                    result = _.multiply(absolute(result.clone().toLinear()),
                                             result.clone().setPower(new Frac(n - 1)));
                                 }
                                 //quick workaround. Revisit
@@ -10042,25 +10408,44 @@ var nerdamer = (function (imports) {
         var bool2Symbol = function (x) {
             return new Symbol(x === true ? 1 : 0);
         };
+        // Compares a and b if they're numbers otherwise the comparison is kept as a relation e.g. x<1
+        var compare = function (name, a, b) {
+            if(isSymbol(a) && isSymbol(b)) {
+                if(variables(a).length > 0 || variables(b).length > 0) {
+                    //the assumptions on the variables may still settle it e.g. x>0 for positive x
+                    var diff = _.subtract(a.clone(), b.clone()),
+                            holds = {lt: 'negative', lte: 'nonpositive', gt: 'positive', gte: 'nonnegative'}[name],
+                            fails = {lt: 'nonnegative', lte: 'positive', gt: 'nonpositive', gte: 'negative'}[name];
+                    if(diff.is(holds) || diff.is(fails))
+                        return bool2Symbol(diff.is(holds));
+                    return _.symfunction(name, [a, b]);
+                }
+                //compare the numeric values so things like pi and sqrt(2) are covered
+                var d = Number(evaluate(_.subtract(a.clone(), b.clone())));
+                if(!isNaN(d))
+                    return bool2Symbol({lt: d < 0, lte: d <= 0, gt: d > 0, gte: d >= 0}[name]);
+            }
+            return bool2Symbol(a[name](b));
+        };
         //check for equality
         this.eq = function (a, b) {
             return bool2Symbol(a.equals(b));
         };
         //checks for greater than
         this.gt = function (a, b) {
-            return bool2Symbol(a.gt(b));
+            return compare('gt', a, b);
         };
         //checks for greater than equal
         this.gte = function (a, b) {
-            return bool2Symbol(a.gte(b));
+            return compare('gte', a, b);
         };
         //checks for less than
         this.lt = function (a, b) {
-            return bool2Symbol(a.lt(b));
+            return compare('lt', a, b);
         };
         //checks for less than equal
         this.lte = function (a, b) {
-            return bool2Symbol(a.lte(b));
+            return compare('lte', a, b);
         };
         // wraps the factorial
         this.factorial = function (a) {
@@ -10298,6 +10683,26 @@ var nerdamer = (function (imports) {
                 return TeX;
             }
 
+            else if(isSet(symbol) && symbol.hasIntervals()) {
+                // Write it as a union with the loose points grouped together
+                var points = [],
+                        parts = [];
+                for(var i = 0; i < symbol.elements.length; i++) {
+                    var e = symbol.elements[i];
+                    if(isInterval(e))
+                        parts.push(e.latex(option));
+                    else
+                        points.push(e);
+                }
+                if(points.length)
+                    parts.push(this.latex(Set.fromArray(points), option));
+                return parts.join(' \\cup ');
+            }
+
+            else if(isInterval(symbol)) {
+                return symbol.latex(option);
+            }
+
             else if(isSet(symbol)) {
                 var TeX = '\\{';
                 for(var i = 0; i < symbol.elements.length; i++) {
@@ -10539,6 +10944,19 @@ var nerdamer = (function (imports) {
                 else if(fname === 'mod') {
                     v[index] = input[0] + ' \\bmod ' + input[1];
                 }
+                else if(fname in CUSTOM_OPERATORS) {
+                    v[index] = input[0] + ' ' + {lt: '<', lte: '\\leq', gt: '>', gte: '\\geq'}[fname] + ' ' + input[1];
+                }
+                else if(fname === 'piecewise') {
+                    var cases = [];
+                    for(var i = 0; i < input.length; i += 2) {
+                        if(i === input.length - 1)
+                            cases.push(input[i] + ' & \\text{otherwise}');
+                        else
+                            cases.push(input[i + 1] + ' & ' + input[i]);
+                    }
+                    v[index] = '\\begin{cases}' + cases.join(' \\\\ ') + '\\end{cases}';
+                }
                 else if(fname === 'realpart') {
                     v[index] = '\\operatorname{Re}' + this.brackets(input[0]);
                 }
@@ -11320,6 +11738,36 @@ var nerdamer = (function (imports) {
         }
         return m;
     };
+    /**
+     * Checks if a matrix entry is zero. Constants are also checked numerically since
+     * expand doesn't always cancel radicals.
+     * @param {Symbol} symbol
+     * @returns {boolean}
+     */
+    Matrix.isZeroEntry = function (symbol) {
+        if(symbol.equals(0))
+            return true;
+        if(variables(symbol).length === 0) {
+            var value = evaluate(symbol.clone());
+            return value.isConstant() && Math.abs(Number(value)) < Settings.PIVOT_EPSILON;
+        }
+        return false;
+    };
+    /**
+     * Divides two matrix entries. Complex constants are divided using the conjugate to avoid results like i^(-1)
+     * @param {Symbol} a
+     * @param {Symbol} b
+     * @returns {Symbol}
+     */
+    Matrix.divideEntries = function (a, b) {
+        if(variables(b).length === 0 && b.isImaginary()) {
+            var re = b.realpart(),
+                    im = b.imagpart();
+            a = _.multiply(a, _.subtract(re.clone(), _.multiply(im.clone(), Symbol.imaginary())));
+            b = _.add(_.pow(re, new Symbol(2)), _.pow(im, new Symbol(2)));
+        }
+        return _.expand(_.divide(a, b));
+    };
     Matrix.prototype = {
         // needs be true to let the parser know not to try to cast it to a symbol
         custom: true,
@@ -11384,6 +11832,392 @@ var nerdamer = (function (imports) {
             while(--n);
             return det;
         },
+        /**
+         * Returns the sum of the diagonal elements
+         * @returns {Symbol}
+         */
+        trace: function () {
+            var retval = new Symbol(0);
+            for(var i = 0, l = Math.min(this.rows(), this.cols()); i < l; i++)
+                retval = _.add(retval, this.elements[i][i].clone());
+            return retval;
+        },
+        /**
+         * Returns the characteristic polynomial det(lambda*I-M) using the Faddeev-LeVerrier algorithm.
+         * This avoids dividing by symbolic pivots.
+         * @param {String|Symbol} lambda The variable of the polynomial
+         * @returns {Symbol}
+         */
+        charpoly: function (lambda) {
+            if(!this.isSquare())
+                err('Matrix is not square!');
+            lambda = _.parse(lambda || 'lambda');
+            var n = this.rows(),
+                    I = Matrix.identity(n),
+                    M = Matrix.zeroMatrix(n, n),
+                    c = new Symbol(1),
+                    retval = _.pow(lambda.clone(), new Symbol(n));
+            for(var k = 1; k <= n; k++) {
+                //M_k = A*M_(k-1)+c_(n-k+1)*I
+                M = this.multiply(M).add(I.map(function (e) {
+                    return _.multiply(e, c.clone());
+                }));
+                c = _.expand(_.divide(this.multiply(M).trace(), new Symbol(-k)));
+                retval = _.add(retval, _.multiply(c.clone(), _.pow(lambda.clone(), new Symbol(n - k))));
+            }
+            return _.expand(retval);
+        },
+        /**
+         * Returns the reduced row echelon form using exact Gauss-Jordan elimination. Since entries are
+         * expanded after each step the result stays exact for rational and symbolic entries.
+         * Constant matrices are brought to triangular form first so fewer entries are left to eliminate.
+         * @param {Array} pivots An optional array which will be filled with the pivot columns
+         * @returns {Matrix}
+         */
+        rref: function (pivots) {
+            pivots = pivots || [];
+            var isZero = Matrix.isZeroEntry,
+                    divide = Matrix.divideEntries,
+                    constant = true;
+            this.each(function (e) {
+                if(variables(e).length > 0)
+                    constant = false;
+            });
+            //zero pivots can only be detected reliably for constants. The row operations don't change the result.
+            var M = constant && this.rows() <= this.cols() ? this.toRightTriangular() : this.clone(),
+                    rows = M.rows(),
+                    cols = M.cols(),
+                    r = 0;
+            M.each(function (e, i, j) {
+                M.elements[i][j] = _.expand(e);
+            });
+            for(var c = 0; c < cols && r < rows; c++) {
+                // Find a nonzero pivot in the column
+                var p = -1;
+                for(var i = r; i < rows; i++) {
+                    if(!isZero(M.elements[i][c])) {
+                        p = i;
+                        break;
+                    }
+                }
+                if(p === -1)
+                    continue;
+                var t = M.elements[p];
+                M.elements[p] = M.elements[r];
+                M.elements[r] = t;
+                var pivot = M.elements[r][c].clone();
+                for(var j = 0; j < cols; j++)
+                    M.elements[r][j] = j === c ? new Symbol(1) : divide(M.elements[r][j], pivot.clone());
+                // Eliminate the column from all the other rows
+                for(var i = 0; i < rows; i++) {
+                    if(i === r)
+                        continue;
+                    var f = M.elements[i][c].clone();
+                    if(isZero(f)) {
+                        M.elements[i][c] = new Symbol(0);
+                        continue;
+                    }
+                    for(var j = 0; j < cols; j++)
+                        M.elements[i][j] = j === c ? new Symbol(0) :
+                                _.expand(_.subtract(M.elements[i][j], _.multiply(f.clone(), M.elements[r][j].clone())));
+                }
+                pivots.push(c);
+                r++;
+            }
+            // Clean up any numerical noise left below the pivots
+            for(var i = r; i < rows; i++)
+                for(var j = 0; j < cols; j++)
+                    if(isZero(M.elements[i][j]))
+                        M.elements[i][j] = new Symbol(0);
+            return M;
+        },
+        /**
+         * Returns the rank of the matrix
+         * @returns {Number}
+         */
+        rank: function () {
+            var pivots = [];
+            this.rref(pivots);
+            return pivots.length;
+        },
+        /**
+         * Returns a basis for the null space. Each free variable contributes one vector.
+         * @returns {Vector[]}
+         */
+        nullspace: function () {
+            var pivots = [],
+                    R = this.rref(pivots),
+                    cols = this.cols(),
+                    basis = [];
+            for(var c = 0; c < cols; c++) {
+                if(pivots.indexOf(c) !== -1)
+                    continue;
+                var v = [];
+                for(var j = 0; j < cols; j++)
+                    v[j] = new Symbol(j === c ? 1 : 0);
+                for(var i = 0; i < pivots.length; i++)
+                    v[pivots[i]] = _.expand(R.elements[i][c].clone().negate());
+                basis.push(new Vector(v));
+            }
+            return basis;
+        },
+        /**
+         * Returns a basis for the column space, i.e. the pivot columns of the matrix
+         * @returns {Vector[]}
+         */
+        columnspace: function () {
+            var pivots = [],
+                    M = this;
+            this.rref(pivots);
+            return pivots.map(function (c) {
+                return new Vector(M.col(c + 1).map(function (e) {
+                    return e.clone();
+                }));
+            });
+        },
+        /**
+         * LU decomposition with partial pivoting. Returns [P, L, U] such that P*M = L*U.
+         * The largest pivot is picked for numeric columns and the first nonzero one otherwise.
+         * @returns {Matrix[]}
+         */
+        lu: function () {
+            if(!this.isSquare())
+                err('Matrix is not square!');
+            var n = this.rows(),
+                    U = this.clone(),
+                    L = Matrix.identity(n),
+                    P = Matrix.identity(n),
+                    isZero = Matrix.isZeroEntry,
+                    swap = function (M, a, b, upto) {
+                        for(var j = 0; j < upto; j++) {
+                            var t = M.elements[a][j];
+                            M.elements[a][j] = M.elements[b][j];
+                            M.elements[b][j] = t;
+                        }
+                    };
+            for(var k = 0; k < n; k++) {
+                var p = -1,
+                        max = -1;
+                for(var i = k; i < n; i++) {
+                    var e = U.elements[i][k];
+                    if(isZero(e))
+                        continue;
+                    if(variables(e).length === 0) {
+                        var value = Math.abs(Number(evaluate(e.clone())));
+                        if(value > max) {
+                            max = value;
+                            p = i;
+                        }
+                    }
+                    else if(p === -1) {
+                        p = i;
+                    }
+                }
+                // The column is already zero
+                if(p === -1)
+                    continue;
+                if(p !== k) {
+                    swap(U, k, p, n);
+                    swap(P, k, p, n);
+                    swap(L, k, p, k);
+                }
+                for(var i = k + 1; i < n; i++) {
+                    var f = Matrix.divideEntries(U.elements[i][k].clone(), U.elements[k][k].clone());
+                    L.elements[i][k] = f;
+                    for(var j = k; j < n; j++)
+                        U.elements[i][j] = j === k ? new Symbol(0) :
+                                _.expand(_.subtract(U.elements[i][j], _.multiply(f.clone(), U.elements[k][j].clone())));
+                }
+            }
+            return [P, L, U];
+        },
+        /**
+         * QR decomposition using Gram-Schmidt. Returns [Q, R] such that M = Q*R.
+         * @returns {Matrix[]}
+         */
+        qr: function () {
+            var m = this.rows(),
+                    n = this.cols(),
+                    Q = Matrix.zeroMatrix(m, n),
+                    R = Matrix.zeroMatrix(n, n),
+                    M = this;
+            var dot = function (a, b) {
+                var retval = new Symbol(0);
+                for(var i = 0; i < m; i++)
+                    retval = _.add(retval, _.multiply(a[i].clone(), b[i].clone()));
+                return _.expand(retval);
+            };
+            var q = [];
+            for(var j = 0; j < n; j++) {
+                var a = M.col(j + 1),
+                        v = a.map(function (e) {
+                            return e.clone();
+                        });
+                for(var k = 0; k < j; k++) {
+                    var r = dot(q[k], a);
+                    R.elements[k][j] = r;
+                    for(var i = 0; i < m; i++)
+                        v[i] = _.expand(_.subtract(v[i], _.multiply(r.clone(), q[k][i].clone())));
+                }
+                var norm = _.sqrt(dot(v, v));
+                if(Matrix.isZeroEntry(norm))
+                    throw new NerdamerValueError('QR decomposition requires linearly independent columns');
+                R.elements[j][j] = norm;
+                q[j] = v.map(function (e) {
+                    return Matrix.divideEntries(e, norm.clone());
+                });
+                for(var i = 0; i < m; i++)
+                    Q.elements[i][j] = q[j][i];
+            }
+            return [Q, R];
+        },
+        /**
+         * Cholesky decomposition of a symmetric positive-definite matrix. Returns [L] such that M = L*L'.
+         * @returns {Matrix[]}
+         */
+        cholesky: function () {
+            if(!this.isSquare())
+                err('Matrix is not square!');
+            var n = this.rows(),
+                    L = Matrix.zeroMatrix(n, n),
+                    A = this.elements;
+            for(var i = 0; i < n; i++) {
+                for(var j = 0; j <= i; j++) {
+                    if(!Matrix.isZeroEntry(_.expand(_.subtract(A[i][j].clone(), A[j][i].clone()))))
+                        throw new NerdamerValueError('Cholesky decomposition requires a symmetric matrix');
+                    var sum = A[i][j].clone();
+                    for(var k = 0; k < j; k++)
+                        sum = _.subtract(sum, _.multiply(L.elements[i][k].clone(), L.elements[j][k].clone()));
+                    sum = _.expand(sum);
+                    if(i === j) {
+                        if(variables(sum).length === 0 && !(Number(evaluate(sum.clone())) > 0))
+                            throw new NerdamerValueError('Cholesky decomposition requires a positive-definite matrix');
+                        L.elements[i][j] = _.sqrt(sum);
+                    }
+                    else {
+                        L.elements[i][j] = Matrix.divideEntries(sum, L.elements[j][j].clone());
+                    }
+                }
+            }
+            return [L];
+        },
+        /**
+         * Numeric singular value decomposition using one-sided Jacobi rotations.
+         * Returns [U, S, V] such that M = U*S*V' with the singular values in descending order.
+         * @returns {Matrix[]}
+         */
+        svd: function () {
+            var transposed = this.rows() < this.cols(),
+                    M = transposed ? this.transpose() : this,
+                    m = M.rows(),
+                    n = M.cols(),
+                    U = [],
+                    V = [];
+            for(var i = 0; i < m; i++) {
+                U[i] = [];
+                for(var j = 0; j < n; j++) {
+                    var value = evaluate(M.elements[i][j].clone());
+                    if(!value.isConstant())
+                        throw new NerdamerValueError('SVD requires a numeric matrix');
+                    U[i][j] = Number(value);
+                }
+            }
+            for(var i = 0; i < n; i++) {
+                V[i] = [];
+                for(var j = 0; j < n; j++)
+                    V[i][j] = i === j ? 1 : 0;
+            }
+            var rotate = function (X, rows, p, q, c, s) {
+                for(var i = 0; i < rows; i++) {
+                    var a = X[i][p],
+                            b = X[i][q];
+                    X[i][p] = c * a - s * b;
+                    X[i][q] = s * a + c * b;
+                }
+            };
+            for(var sweep = 0; sweep < 100; sweep++) {
+                var rotated = false;
+                for(var p = 0; p < n - 1; p++) {
+                    for(var q = p + 1; q < n; q++) {
+                        var alpha = 0, beta = 0, gamma = 0;
+                        for(var i = 0; i < m; i++) {
+                            alpha += U[i][p] * U[i][p];
+                            beta += U[i][q] * U[i][q];
+                            gamma += U[i][p] * U[i][q];
+                        }
+                        if(Math.abs(gamma) <= Number.EPSILON * Math.sqrt(alpha * beta))
+                            continue;
+                        rotated = true;
+                        var zeta = (beta - alpha) / (2 * gamma),
+                                t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta)),
+                                c = 1 / Math.sqrt(1 + t * t),
+                                s = c * t;
+                        rotate(U, m, p, q, c, s);
+                        rotate(V, n, p, q, c, s);
+                    }
+                }
+                if(!rotated)
+                    break;
+            }
+            // The singular values are the norms of the columns
+            var sigma = [];
+            for(var j = 0; j < n; j++) {
+                var norm = 0;
+                for(var i = 0; i < m; i++)
+                    norm += U[i][j] * U[i][j];
+                sigma.push({value: Math.sqrt(norm), index: j});
+            }
+            sigma.sort(function (a, b) {
+                return b.value - a.value;
+            });
+            // Singular values below this are zero
+            var tolerance = Math.max(m, n) * sigma[0].value * Number.EPSILON,
+                    columns = [];
+            for(var k = 0; k < n; k++) {
+                var s = sigma[k],
+                        column = [];
+                if(s.value > tolerance) {
+                    for(var i = 0; i < m; i++)
+                        column.push(U[i][s.index] / s.value);
+                }
+                else {
+                    // Complete U to an orthonormal basis using the first unit vector which isn't in the span of the other columns
+                    for(var e = 0; e < m && !column.length; e++) {
+                        var u = [];
+                        for(var i = 0; i < m; i++)
+                            u[i] = i === e ? 1 : 0;
+                        columns.forEach(function (c) {
+                            var dot = 0;
+                            for(var i = 0; i < m; i++)
+                                dot += c[i] * u[i];
+                            for(var i = 0; i < m; i++)
+                                u[i] -= dot * c[i];
+                        });
+                        var norm = Math.sqrt(u.reduce(function (a, x) {
+                            return a + x * x;
+                        }, 0));
+                        if(norm > 1e-8)
+                            column = u.map(function (x) {
+                                return x / norm;
+                            });
+                    }
+                    s.value = 0;
+                }
+                columns.push(column);
+            }
+            var UM = new Matrix(),
+                    SM = Matrix.zeroMatrix(n, n),
+                    VM = new Matrix();
+            for(var k = 0; k < n; k++) {
+                var s = sigma[k];
+                SM.set(k, k, new Symbol(s.value));
+                for(var i = 0; i < m; i++)
+                    UM.set(i, k, new Symbol(columns[k][i]));
+                for(var i = 0; i < n; i++)
+                    VM.set(i, k, new Symbol(V[i][s.index]));
+            }
+            return transposed ? [VM, SM, UM] : [UM, SM, VM];
+        },
         isSquare: function () {
             return this.elements.length === this.elements[0].length;
         },
@@ -11468,10 +12302,10 @@ var nerdamer = (function (imports) {
                 do {
                     i = k - n;
                     fel = M.elements[i][i];
-                    if(fel.valueOf() === 0) {
+                    if(Matrix.isZeroEntry(fel)) {
                         for(var j = i + 1; j < k; j++) {
                             nel = M.elements[j][i];
-                            if(nel && nel.valueOf() !== 0) {
+                            if(nel && !Matrix.isZeroEntry(nel)) {
                                 els = [];
                                 np = kp;
                                 do {
@@ -11485,7 +12319,7 @@ var nerdamer = (function (imports) {
                         }
                     }
                     var fel = M.elements[i][i];
-                    if(fel.valueOf() !== 0) {
+                    if(!Matrix.isZeroEntry(fel)) {
                         for(j = i + 1; j < k; j++) {
                             var multiplier = _.divide(M.elements[j][i].clone(), M.elements[i][i].clone());
                             els = [];
@@ -11672,17 +12506,89 @@ var nerdamer = (function (imports) {
 
     Set.prototype = {
         add: function (x) {
-            if(!this.contains(x))
+            if(isInterval(x)) {
+                if(x.isPoint())
+                    x = x.lower;
+                else if(x.isEmpty())
+                    return;
+            }
+            if(!this.contains(x)) {
                 this.elements.push(x.clone());
+                if(this.hasIntervals())
+                    this.normalize();
+            }
         },
         contains: function (x) {
             for(var i = 0; i < this.elements.length; i++) {
                 var e = this.elements[i];
-                if(x.equals(e))
+                if(isInterval(e)) {
+                    // Intervals compare numerically
+                    if(e.equals(x) || (!isInterval(x) || x.isNumeric()) && e.isNumeric() && e.contains(x))
+                        return true;
+                }
+                else if(!isInterval(x) && x.equals(e))
                     return true;
             }
             return false;
         },
+        hasIntervals: function () {
+            return this.elements.some(isInterval);
+        },
+        /**
+         * Merges intervals which overlap or touch and absorbs the points which fall inside of them.
+         * The numeric elements are then sorted from left to right.
+         */
+        normalize: function () {
+            var intervals = [],
+                    points = [],
+                    others = [];
+            this.elements.forEach(function (e) {
+                if(isInterval(e))
+                    (e.isNumeric() ? intervals : others).push(e);
+                else
+                    (isNaN(Interval.valueOf(e)) ? others : points).push(e);
+            });
+
+            // A point on an open endpoint closes it
+            points = points.filter(function (p) {
+                var value = Interval.valueOf(p),
+                        absorbed = false;
+                intervals.forEach(function (interval) {
+                    if(interval.lower_open && Interval.valueOf(interval.lower) === value) {
+                        interval.lower_open = false;
+                        absorbed = true;
+                    }
+                    if(interval.upper_open && Interval.valueOf(interval.upper) === value) {
+                        interval.upper_open = false;
+                        absorbed = true;
+                    }
+                });
+                return !absorbed && !intervals.some(function (interval) {
+                    return interval.contains(p);
+                });
+            });
+
+            intervals.sort(function (a, b) {
+                return Interval.valueOf(a.lower) - Interval.valueOf(b.lower) || (a.lower_open ? 1 : 0) - (b.lower_open ? 1 : 0);
+            });
+
+            var merged = [];
+            intervals.forEach(function (interval) {
+                var last = merged[merged.length - 1];
+                if(last && last.touches(interval))
+                    merged[merged.length - 1] = last.join(interval);
+                else
+                    merged.push(interval);
+            });
+
+            var position = function (e) {
+                return isInterval(e) ? Interval.valueOf(e.lower) : Interval.valueOf(e);
+            };
+
+            this.elements = merged.concat(points).sort(function (a, b) {
+                return position(a) - position(b);
+            }).concat(others);
+        },
         each: function (f) {
             var elements = this.elements;
             var set = new Set();
@@ -11708,16 +12614,35 @@ var nerdamer = (function (imports) {
             return _union;
         },
         difference: function (set) {
-            var diff = this.clone();
+            if(!this.hasIntervals() && !set.hasIntervals()) {
+                var diff = this.clone();
+                set.each(function (e) {
+                    diff.remove(e);
+                });
+                return diff;
+            }
+            // Cut each element down by everything in the other set
+            var pieces = this.elements.slice();
             set.each(function (e) {
-                diff.remove(e);
+                var remaining = [];
+                pieces.forEach(function (piece) {
+                    if(isInterval(piece)) {
+                        if(piece.isNumeric() && (isInterval(e) ? e.isNumeric() : !isNaN(Interval.valueOf(e))))
+                            remaining = remaining.concat(piece.difference(e));
+                        else if(!piece.equals(e))
+                            remaining.push(piece);
+                    }
+                    else if(!new Set(e).contains(piece))
+                        remaining.push(piece);
+                });
+                pieces = remaining;
             });
-            return diff;
+            return Set.fromArray(pieces);
         },
         remove: function (element) {
             for(var i = 0, l = this.elements.length; i < l; i++) {
                 var e = this.elements[i];
-                if(e.equals(element)) {
+                if(isInterval(e) ? e.equals(element) : !isInterval(element) && e.equals(element)) {
                     remove(this.elements, i);
                     return true;
                 }
@@ -11728,7 +12653,20 @@ var nerdamer = (function (imports) {
             var _intersection = new Set();
             var A = this;
             set.each(function (e) {
-                if(A.contains(e)) {
+                if(isInterval(e)) {
+                    // Collect the overlap with each element
+                    A.each(function (a) {
+                        if(isInterval(a)) {
+                            if(a.equals(e))
+                                _intersection.add(a);
+                            else if(a.isNumeric() && e.isNumeric() && a.intersects(e))
+                                _intersection.add(a.intersection(e));
+                        }
+                        else if(new Set(e).contains(a))
+                            _intersection.add(a);
+                    });
+                }
+                else if(A.contains(e)) {
                     _intersection.add(e);
                 }
                 ;
@@ -11748,11 +12686,165 @@ var nerdamer = (function (imports) {
             }
             return true;
         },
+        text: function (option) {
+            return '{' + this.elements.map(function (e) {
+                return e.text(option);
+            }).join(',') + '}';
+        },
         toString: function () {
             return '{' + this.elements.join(',') + '}';
         }
     };
 
+    /**
+     * A real interval. Infinite endpoints are always open.
+     * @param {Symbol} lower
+     * @param {Symbol} upper
+     * @param {boolean} lower_open
+     * @param {boolean} upper_open
+     */
+    function Interval(lower, upper, lower_open, upper_open) {
+        this.lower = isSymbol(lower) ? lower : new Symbol(lower);
+        this.upper = isSymbol(upper) ? upper : new Symbol(upper);
+        this.lower_open = !!lower_open || this.lower.isInfinity;
+        this.upper_open = !!upper_open || this.upper.isInfinity;
+    }
+
+    /**
+     * Gets the numeric value of an endpoint or point. Returns NaN if it's not a real constant
+     * @param {Symbol} symbol
+     * @returns {Number}
+     */
+    Interval.valueOf = function (symbol) {
+        try {
+            return Number(evaluate(symbol.clone()));
+        }
+        catch(e) {
+            return NaN;
+        }
+    };
+
+    Interval.prototype = {
+        clone: function () {
+            return new Interval(this.lower.clone(), this.upper.clone(), this.lower_open, this.upper_open);
+        },
+        equals: function (interval) {
+            return isInterval(interval) && this.lower.equals(interval.lower) && this.upper.equals(interval.upper) &&
+                    this.lower_open === interval.lower_open && this.upper_open === interval.upper_open;
+        },
+        /**
+         * Checks if the endpoints can be compared numerically
+         * @returns {boolean}
+         */
+        isNumeric: function () {
+            return !isNaN(Interval.valueOf(this.lower)) && !isNaN(Interval.valueOf(this.upper));
+        },
+        isEmpty: function () {
+            var a = Interval.valueOf(this.lower),
+                    b = Interval.valueOf(this.upper);
+            return a > b || a === b && (this.lower_open || this.upper_open);
+        },
+        /**
+         * Checks if the interval is a single point e.g. [1,1]
+         * @returns {boolean}
+         */
+        isPoint: function () {
+            return !this.lower_open && !this.upper_open && this.lower.equals(this.upper);
+        },
+        /**
+         * Checks if a number or another interval lies in the interval. The endpoints have to be numeric.
+         * @param {Symbol|Interval} x
+         * @returns {boolean}
+         */
+        contains: function (x) {
+            var lower = Interval.valueOf(this.lower),
+                    upper = Interval.valueOf(this.upper);
+            if(isInterval(x)) {
+                var a = Interval.valueOf(x.lower),
+                        b = Interval.valueOf(x.upper);
+                return (a > lower || a === lower && (!this.lower_open || x.lower_open)) &&
+                        (b < upper || b === upper && (!this.upper_open || x.upper_open));
+            }
+            var value = Interval.valueOf(isSymbol(x) ? x : new Symbol(x));
+            return (this.lower_open ? value > lower : value >= lower) && (this.upper_open ? value < upper : value <= upper);
+        },
+        /**
+         * Returns the overlap of two intervals or undefined if they don't overlap
+         * @param {Interval} interval
+         * @returns {Interval}
+         */
+        intersection: function (interval) {
+            var a = Interval.valueOf(this.lower),
+                    b = Interval.valueOf(interval.lower),
+                    c = Interval.valueOf(this.upper),
+                    d = Interval.valueOf(interval.upper);
+            var lower = a > b || a === b && this.lower_open ? this : interval,
+                    upper = c < d || c === d && this.upper_open ? this : interval;
+            var retval = new Interval(lower.lower.clone(), upper.upper.clone(), lower.lower_open, upper.upper_open);
+            if(!retval.isEmpty())
+                return retval;
+        },
+        intersects: function (interval) {
+            return !!this.intersection(interval);
+        },
+        /**
+         * Checks if two intervals can be joined into one i.e. they overlap or touch
+         * @param {Interval} interval
+         * @returns {boolean}
+         */
+        touches: function (interval) {
+            if(this.intersects(interval))
+                return true;
+            var c = Interval.valueOf(this.upper),
+                    d = Interval.valueOf(interval.lower);
+            if(c === d && !(this.upper_open && interval.lower_open))
+                return true;
+            return Interval.valueOf(interval.upper) === Interval.valueOf(this.lower) && !(interval.upper_open && this.lower_open);
+        },
+        /**
+         * Joins two intervals which touch into one
+         * @param {Interval} interval
+         * @returns {Interval}
+         */
+        join: function (interval) {
+            var a = Interval.valueOf(this.lower),
+                    b = Interval.valueOf(interval.lower),
+                    c = Interval.valueOf(this.upper),
+                    d = Interval.valueOf(interval.upper);
+            var lower = a < b || a === b && !this.lower_open ? this : interval,
+                    upper = c > d || c === d && !this.upper_open ? this : interval;
+            return new Interval(lower.lower.clone(), upper.upper.clone(), lower.lower_open, upper.upper_open);
+        },
+        /**
+         * Removes an interval or point from this one
+         * @param {Interval|Symbol} x
+         * @returns {Array} The remaining pieces
+         */
+        difference: function (x) {
+            if(!isInterval(x))
+                x = new Interval(x, x.clone());
+            var retval = [],
+                    inf = Symbol.infinity();
+            var left = this.intersection(new Interval(inf.clone().negate(), x.lower.clone(), true, !x.lower_open)),
+                    right = this.intersection(new Interval(x.upper.clone(), inf, !x.upper_open, true));
+            if(left)
+                retval.push(left);
+            if(right)
+                retval.push(right);
+            return retval;
+        },
+        text: function (opt) {
+            return (this.lower_open ? '(' : '[') + this.lower.text(opt) + ',' + this.upper.text(opt) + (this.upper_open ? ')' : ']');
+        },
+        latex: function (opt) {
+            return (this.lower_open ? '\\left(' : '\\left[') + LaTeX.latex(this.lower, opt) + ',\\, ' +
+                    LaTeX.latex(this.upper, opt) + (this.upper_open ? '\\right)' : '\\right]');
+        },
+        toString: function () {
+            return this.text();
+        }
+    };
+
 //build ========================================================================
     var Build = {
         dependencies: {
@@ -11918,6 +13010,18 @@ var nerdamer = (function (imports) {
 
                 if(group === S || group === P)
                     value = symbol.value;
+                else if(group === FN && symbol.fname in CUSTOM_OPERATORS) {
+                    value = inBrackets(ftext(symbol.args[0], xports)[0] + CUSTOM_OPERATORS[symbol.fname] + ftext(symbol.args[1], xports)[0]);
+                }
+                else if(group === FN && symbol.fname === 'piecewise') {
+                    //compile to nested conditionals. NaN if none of the conditions hold
+                    var args = symbol.args,
+                            l = args.length;
+                    value = l % 2 ? inBrackets(ftext(args[l - 1], xports)[0]) : 'NaN';
+                    for(var i = l - l % 2 - 2; i >= 0; i -= 2) {
+                        value = inBrackets(ftext(args[i], xports)[0] + '?' + inBrackets(ftext(args[i + 1], xports)[0]) + ':' + value);
+                    }
+                }
                 else if(group === FN) {
                     dependencies = Build.compileDependencies(symbol.fname, dependencies);
                     dependencies = Build.getArgsDeps(symbol, dependencies);
@@ -12047,11 +13151,13 @@ var nerdamer = (function (imports) {
         isExpression: isExpression,
         isFraction: isFraction,
         isInt: isInt,
+        isInterval: isInterval,
         isMatrix: isMatrix,
         isNegative: isNegative,
         isNumericSymbol: isNumericSymbol,
         isPrime: isPrime,
         isReserved: isReserved,
+        isSet: isSet,
         isSymbol: isSymbol,
         isVariableSymbol: isVariableSymbol,
         isVector: isVector,
@@ -12062,6 +13168,7 @@ var nerdamer = (function (imports) {
         reserveNames: reserveNames,
         range: range,
         round: nround,
+        satisfiesAssumptions: satisfiesAssumptions,
         sameSign: sameSign,
         scientificToDecimal: scientificToDecimal,
         separate: separate,
@@ -12081,6 +13188,8 @@ var nerdamer = (function (imports) {
         Frac: Frac,
         Vector: Vector,
         Matrix: Matrix,
+        Set: Set,
+        Interval: Interval,
         Parser: Parser,
         Scientific: Scientific,
         Fraction: Fraction,
@@ -12418,11 +13527,57 @@ var nerdamer = (function (imports) {
         return VARS[v];
     };
     /**
-     * Clear the variables from the VARS object
+     * Clear the variables from the VARS object along with the assumptions about them
      * @returns {Object} Returns the nerdamer object
      */
     libExports.clearVars = function () {
         VARS = {};
+        ASSUMPTIONS = {};
+        return this;
+    };
+
+    /**
+     * Declares properties for a variable e.g. nerdamer.assume('x', 'positive')
+     * @param {String} v The variable
+     * @param {String|String[]} property One or more of positive, negative, nonnegative, nonpositive, nonzero, integer or real
+     * @returns {Object} Returns the nerdamer object
+     */
+    libExports.assume = function (v, property) {
+        validateName(v);
+        var props = {};
+        for(var x in ASSUMPTIONS[v])
+            props[x] = true;
+        [].concat(property).forEach(function (p) {
+            if(!(p in ASSUMPTION_RULES))
+                throw new NerdamerValueError('Unknown property ' + p);
+            props[p] = true;
+        });
+        closeProperties(props);
+        if(props.nonnegative && props.nonpositive && props.nonzero)
+            throw new NerdamerValueError('The assumptions on ' + v + ' contradict each other');
+        ASSUMPTIONS[v] = props;
+        return this;
+    };
+
+    /**
+     * Returns the properties assumed for a variable including the implied ones
+     * @param {String} v
+     * @returns {String[]}
+     */
+    libExports.getAssumptions = function (v) {
+        return keys(ASSUMPTIONS[v] || {});
+    };
+
+    /**
+     * Clears the assumptions for a variable or for all of them if none is provided
+     * @param {String} v
+     * @returns {Object} Returns the nerdamer object
+     */
+    libExports.clearAssumptions = function (v) {
+        if(typeof v === 'undefined')
+            ASSUMPTIONS = {};
+        else
+            delete ASSUMPTIONS[v];
         return this;
     };
 
@@ -1,4 +1,4 @@
-/* global expect */
+/* global expect, afterEach */
 
 'use strict';
 
@@ -6,6 +6,9 @@ var nerdamer = require('../nerdamer.core.js');
 require('../Algebra.js');
 
 describe('Algebra', function () {
+    afterEach(function () {
+        nerdamer.clearAssumptions();
+    });
     it('should perform gcd and lcm operations correctly', function () {
         // given
         var testCases = [
@@ -592,6 +595,14 @@ describe('Algebra', function () {
                 given: 'partfrac(15*(9+s^2)^(-1)*cos(1)+5*(9+s^2)^(-1)*s*sin(1),s)',
                 expected: '(15*cos(1)+5*s*sin(1))*(9+s^2)^(-1)'
             },
+            {
+                given: 'partfrac((3*x^2+1)/((x^2+1)^2*(x-1)), x)',
+                expected: '(-1+x)^(-1)+(1+x^2)^(-2)*x+(1+x^2)^(-2)-(1+x^2)^(-1)-(1+x^2)^(-1)*x'
+            },
+            {
+                given: 'partfrac(x/(x^2-a^2), x)',
+                expected: '(1/2)*(-a+x)^(-1)+(1/2)*(a+x)^(-1)'
+            },
         ];
 
         for (var i = 0; i < testCases.length; ++i) {
@@ -836,4 +847,76 @@ describe('Algebra', function () {
         expect(nerdamer('sqcomp(9*x^2-18*x+17)').toString()).toEqual('(-3+3*x)^2+8');
         expect(nerdamer('sqcomp(s^2+s+1)').toString()).toEqual('(1/2+s)^2+3/4');
     });
+
+    it('should compute Groebner bases', function() {
+        expect(nerdamer('groebner([x^2+y^2-1, x-y], [x, y])').toString()).toEqual('[-y+x,-1+2*y^2]');
+        expect(nerdamer('groebner([x+y-3, y^3-x-7])').toString()).toEqual('[-3+x+y,-10+y+y^3]');
+        expect(nerdamer('groebner([x^2+y^2-4, x*y-1], [x, y], grevlex)').toString()).toEqual('[-4*y+y^3+x,-4+x^2+y^2,-1+x*y]');
+        expect(nerdamer('groebner([x+1, x+2])').toString()).toEqual('[1]');
+    });
+    it('should calculate resultants and discriminants', function() {
+        expect(nerdamer('resultant(x^2-2, x^2-3)').toString()).toEqual('1');
+        expect(nerdamer('resultant(x^2+y^2-1, x-y, x)').toString()).toEqual('-1+2*y^2');
+        expect(nerdamer('resultant(x^5-y, x^3-z, x)').toString()).toEqual('-z^5+y^3');
+        expect(nerdamer('discriminant(a*x^2+b*x+c, x)').toString()).toEqual('-4*a*c+b^2');
+        expect(nerdamer('discriminant(x^3+p*x+q, x)').toString()).toEqual('-27*q^2-4*p^3');
+        expect(nerdamer('discriminant(x^2-2*x+1)').toString()).toEqual('0');
+    });
+    it('should calculate the gcd of multivariate polynomials', function() {
+        expect(nerdamer('gcd(x^2-y^2, x^2+2*x*y+y^2)').toString()).toEqual('x+y');
+        expect(nerdamer('gcd(6*x*y, 4*x)').toString()).toEqual('x');
+        expect(nerdamer('gcd(6*x^2*y+6*x*y^2, 4*x*y)').toString()).toEqual('x*y');
+        expect(nerdamer('gcd(a*x+a*y, b*x+b*y)').toString()).toEqual('x+y');
+        expect(nerdamer('gcd(x/2+y/2, x+y)').toString()).toEqual('x+y');
+        expect(nerdamer('gcd(2*x+2*y, 4*x+4*y)').toString()).toEqual('x+y');
+    });
+    it('should calculate Bezout coefficients', function() {
+        expect(nerdamer('gcdex(240, 46)').toString()).toEqual('[2,-9,47]');
+        expect(nerdamer('gcdex(-12, 18)').toString()).toEqual('[6,1,1]');
+        expect(nerdamer('gcdex(x^4-2*x^3-6*x^2+12*x+15, x^3+x^2-4*x-4, x)').toString()).toEqual('[1+x,(-1/5)*x+3/5,(-6/5)*x+(1/5)*x^2+2]');
+        expect(nerdamer('gcdex(x^3+1, x^2+1)').toString()).toEqual('[1,(1/2)*x+1/2,(-1/2)*x+(-1/2)*x^2+1/2]');
+        expect(nerdamer('modinv(17, 3120)').toString()).toEqual('2753');
+        expect(nerdamer('modinv(-3, 7)').toString()).toEqual('2');
+        expect(function () { nerdamer('modinv(4, 8)'); }).toThrowError();
+    });
+    it('should factor integer polynomials completely', function() {
+        expect(nerdamer('factor(x^12-1)').toString()).toEqual('(-1+x)*(-x+x^2+1)*(-x^2+x^4+1)*(1+x)*(1+x+x^2)*(1+x^2)');
+        expect(nerdamer('factor(x^4+4)').toString()).toEqual('(-2*x+x^2+2)*(2+2*x+x^2)');
+        expect(nerdamer('factor(x^4+1)').toString()).toEqual('1+x^4');
+        expect(nerdamer('factor(expand((x^4+3*x+100)*(5*x^5-7*x^2+1234567)*(x^3+x+1)))').toString()).toEqual('(-7*x^2+5*x^5+1234567)*(1+x+x^3)*(100+3*x+x^4)');
+    });
+    it('should factor polynomials over finite fields', function() {
+        expect(nerdamer('factor(x^2+1, 5)').toString()).toEqual('(-2+x)*(2+x)');
+        expect(nerdamer('factor(x^2+1, 7)').toString()).toEqual('1+x^2');
+        expect(nerdamer('factor(x^6-1, 7)').toString()).toEqual('(-1+x)*(-2+x)*(-3+x)*(1+x)*(2+x)*(3+x)');
+        expect(nerdamer('factor(x^4+1, 2)').toString()).toEqual('(1+x)^4');
+        expect(nerdamer('factor(3*x^3+x+1, 7)').toString()).toEqual('3*(-2-2*x+x^3)');
+        expect(function () { nerdamer('factor(x^2+1, 4)'); }).toThrowError();
+    });
+    it('should factor over algebraic extensions', function() {
+        expect(nerdamer('factor(x^2-2, extension=[sqrt(2)])').toString()).toEqual('(-sqrt(2)+x)*(sqrt(2)+x)');
+        expect(nerdamer('factor(x^4+1, extension=[sqrt(2)])').toString()).toEqual('(-sqrt(2)*x+1+x^2)*(1+sqrt(2)*x+x^2)');
+        expect(nerdamer('factor(x^4-5*x^2+6, extension=[sqrt(2), sqrt(3)])').toString()).toEqual('(-sqrt(2)+x)*(-sqrt(3)+x)*(sqrt(2)+x)*(sqrt(3)+x)');
+        expect(nerdamer('factor(x^3-2, extension=[2^(1/3)])').toString()).toEqual('(-2^(1/3)+x)*(2^(1/3)*x+2^(2/3)+x^2)');
+        expect(nerdamer('factor(x^2+1, extension=[sqrt(2)])').toString()).toEqual('1+x^2');
+        expect(nerdamer('factor(x^2+1, gaussian=true)').toString()).toEqual('(-i+x)*(i+x)');
+        expect(nerdamer('factor((x^2+1)^2*(x-1), gaussian=true)').toString()).toEqual('(-1+x)*(-i+x)^2*(i+x)^2');
+        expect(function () { nerdamer('factor(x^8-98*x^6+1, extension=[sqrt(2), sqrt(3), sqrt(5)])'); }).toThrowError();
+        expect(nerdamer('factor(2*x^2-4, extension=[sqrt(2)])').toString()).toEqual('2*(-sqrt(2)+x)*(sqrt(2)+x)');
+        expect(nerdamer('factor(x^2+1, extension=[i])').toString()).toEqual('(-i+x)*(i+x)');
+        expect(nerdamer('factor(x^2+1, gaussian=false)').toString()).toEqual('1+x^2');
+        expect(nerdamer('factor(x^2+1, modulus=5)').toString()).toEqual('(-2+x)*(2+x)');
+        expect(function () { nerdamer('factor(x^2-2, foo=3)'); }).toThrowError();
+        expect(function () { nerdamer('factor(x^2+1, gaussian=1)'); }).toThrowError();
+        //the options aren't assigned to variables
+        expect(nerdamer('gaussian').toString()).toEqual('gaussian');
+        expect(nerdamer.getVars('text')).toEqual({});
+    });
+
+    it('should simplify using assumptions', function () {
+        var e = nerdamer('abs(x)+sqrt(y^2)');
+        nerdamer.assume('x', 'positive');
+        nerdamer.assume('y', 'nonnegative');
+        expect(e.simplify().toString()).toEqual('x+y');
+    });
 });
@@ -1,4 +1,4 @@
-/* global expect */
+/* global expect, afterEach */
 
 'use strict';
 
@@ -6,6 +6,9 @@ var nerdamer = require('../nerdamer.core.js');
 var round = nerdamer.getCore().Utils.round;
 
 describe('calculus', function () {
+    afterEach(function () {
+        nerdamer.clearAssumptions();
+    });
 
     it('should differentiate correctly', function () {
         expect(nerdamer('diff(cos(x),x)').toString()).toEqual('-sin(x)');
@@ -45,6 +48,24 @@ describe('calculus', function () {
         expect(nerdamer('diff(sqrt(e^x + a),x)').toString()).toEqual('(1/2)*(a+e^x)^(-1/2)*e^x');
     });
 
+    it('should differentiate implicitly', function () {
+        expect(nerdamer('impldiff(x^2+y^2=1, y, x)').toString()).toEqual('-x*y^(-1)');
+        expect(nerdamer('impldiff(x^2+y^2=1, y, x, 2)').toString()).toEqual('-(x^2+y^2)*y^(-3)');
+        expect(nerdamer('impldiff(x^2+y^2=1, y, x, 3)').toString()).toEqual('-3*(x*y^2+x^3)*y^(-5)');
+        expect(nerdamer('impldiff(x^3+y^3=6*x*y, y, x)').toString()).toEqual('3*(-6*x+3*y^2)^(-1)*(-x^2+2*y)');
+        expect(nerdamer('impldiff(x^2/4+y^2/9=1, y, x, 2)').toString()).toEqual('(-9/16)*(4*y^2+9*x^2)*y^(-3)');
+        expect(nerdamer('impldiff(y*e^y=x, y, x)').toString()).toEqual('(e^y+e^y*y)^(-1)');
+        expect(nerdamer('impldiff(sin(x*y)=x, y, x)').toString()).toEqual('(-cos(x*y)*y+1)*(cos(x*y)*x)^(-1)');
+        //an expression is taken to be equal to zero
+        expect(nerdamer('impldiff(x*y-1, y)').toString()).toEqual('-x^(-1)*y');
+        expect(function () {
+            nerdamer('impldiff(x^2=1, y, x)');
+        }).toThrowError();
+        expect(function () {
+            nerdamer('impldiff(x^2+y^2=1, y, x, 0)');
+        }).toThrowError();
+    });
+
     it('should calculate sums correctly', function () {
         expect(nerdamer('sum(x+y, x, 0, 3)').evaluate().toString()).toEqual('4*y+6');
         expect(nerdamer('sum(x^2+x, x, 0, 10)').evaluate().toString()).toEqual('440');
@@ -71,7 +92,7 @@ describe('calculus', function () {
         expect(nerdamer('limit((2-2*x^2)/(x-1), x, 1)').toString()).toEqual('-4');
         expect(nerdamer('limit(1/2*(x^2 - 1)/(x^2 + 1), x, 3)').toString()).toEqual('2/5');
         expect(nerdamer('limit(tan(3*x)/tan(x), x, pi/2)').toString()).toEqual('1/3');
-        expect(nerdamer('limit(x/(3*abs(4*x)),x, 0)').toString()).toEqual('[-1/12,1/12]');
+        expect(function () { nerdamer('limit(x/(3*abs(4*x)),x, 0)'); }).toThrowError();
         expect(nerdamer('limit((4x^2-x)/(3x^2+x),x,∞)').toString()).toEqual('4/3');
         expect(nerdamer('limit((x^(1/2)+x^(-1/2))/(x^(1/2)-x^(-1/2)),x,Infinity)').toString()).toEqual('1');
         expect(nerdamer('limit((2*x+log(x))/(x*log(x)),x,Infinity)').toString()).toEqual('0');
@@ -179,4 +200,199 @@ describe('calculus', function () {
         expect(nerdamer('integrate(exp(2*log(x)),x)').toString()).toEqual('(1/3)*x^3');
     });
 
+    it('should calculate series correctly', function () {
+        expect(nerdamer('series(e^x, x, 0, 4)').toString()).toEqual('(1/2)*x^2+(1/24)*x^4+(1/6)*x^3+x+1');
+        expect(nerdamer('series(sin(x), x, 0, 7)').toString()).toEqual('(-1/5040)*x^7+(-1/6)*x^3+(1/120)*x^5+x');
+        expect(nerdamer('series(log(x), x, 1, 3)').toString()).toEqual('(-1/2)*(-1+x)^2+(1/3)*(-1+x)^3-1+x');
+        expect(nerdamer('series(sqrt(1+x), x, 0, 3)').toString()).toEqual('(-1/8)*x^2+(1/16)*x^3+(1/2)*x+1');
+        expect(nerdamer('series(cos(a*x), x, 0, 4)').toString()).toEqual('(-1/2)*a^2*x^2+(1/24)*a^4*x^4+1');
+        expect(nerdamer('series(tan(x), x, 0, 5)').toString()).toEqual('(1/3)*x^3+(2/15)*x^5+x');
+        expect(nerdamer('series(sin(x)/x, x, 0, 4)').toString()).toEqual('(-1/6)*x^2+(1/120)*x^4+1');
+        expect(nerdamer('series(x/(e^x-1), x, 0, 4)').toString()).toEqual('(-1/2)*x+(-1/720)*x^4+(1/12)*x^2+1');
+        expect(nerdamer('series(1/(1-x), x)').toString()).toEqual('1+x+x^2+x^3+x^4+x^5+x^6');
+        // Laurent series
+        expect(nerdamer('series(cot(x), x, 0, 3)').toString()).toEqual('(-1/3)*x+(-1/45)*x^3+x^(-1)');
+        expect(nerdamer('series(e^x/x^2, x, 0, 1)').toString()).toEqual('(1/6)*x+x^(-1)+x^(-2)+1/2');
+        expect(nerdamer('series(x/(x+1), x, Infinity, 3)').toString()).toEqual('-x^(-1)-x^(-3)+x^(-2)+1');
+        // Order term
+        expect(nerdamer('series(e^x, x, 0, 3, 1)').toString()).toEqual('(1/2)*x^2+(1/6)*x^3+x+1+O(x^4)');
+        // No expansion
+        expect(nerdamer('series(sqrt(x), x, 0, 2)').toString()).toEqual('series(sqrt(x),x,0,2)');
+    });
+
+    it('should calculate symbolic sums and products correctly', function () {
+        expect(nerdamer('sum(k,k,1,n)').toString()).toEqual('(1/2)*(1+n)*n');
+        expect(nerdamer('sum(k^2,k,1,n)').toString()).toEqual('(1/6)*(1+2*n)*(1+n)*n');
+        expect(nerdamer('sum(1,k,m,n)').toString()).toEqual('-m+1+n');
+        expect(nerdamer('sum(2^k,k,0,n)').toString()).toEqual('-1+2^(1+n)');
+        expect(nerdamer('sum(k*2^k,k,1,n)').toString()).toEqual('(-1+n)*2^(1+n)+2');
+        expect(nerdamer('sum((1/2)^k,k,0,Infinity)').toString()).toEqual('2');
+        expect(nerdamer('sum(1/(k*(k+1)),k,1,n)').toString()).toEqual('-(1+n)^(-1)+1');
+        expect(nerdamer('sum(1/(k^2-1),k,2,Infinity)').toString()).toEqual('3/4');
+        expect(nerdamer('sum(1/k^2,k,1,Infinity)').toString()).toEqual('(1/6)*pi^2');
+        expect(nerdamer('sum(1/k,k,1,Infinity)').toString()).toEqual('Infinity');
+        expect(nerdamer('sum(x^k/k!,k,0,Infinity)').toString()).toEqual('e^x');
+        expect(nerdamer('sum(sin(k),k,1,n)').toString()).toEqual('sum(sin(k),k,1,n)');
+        expect(nerdamer('product(k,k,1,n)').toString()).toEqual('factorial(n)');
+        expect(nerdamer('product(2*k,k,1,n)').toString()).toEqual('2^n*factorial(n)');
+        expect(nerdamer('product(2^k,k,1,n)').toString()).toEqual('2^((1/2)*(1+n)*n)');
+        expect(nerdamer('product(sin(k),k,1,n)').toString()).toEqual('product(sin(k),k,1,n)');
+        //a zero factor may be in the range
+        expect(nerdamer('product(k,k,0,n)').toString()).toEqual('product(k,k,0,n)');
+        expect(nerdamer('product(k-3,k,1,n)').toString()).toEqual('product(-3+k,k,1,n)');
+        expect(nerdamer('product(k-3,k,1,4)').toString()).toEqual('0');
+        expect(nerdamer('product(k-3,k,1,2)').toString()).toEqual('2');
+        expect(nerdamer('product(k^(-1),k,0,n)').toString()).toEqual('product(k^(-1),k,0,n)');
+    });
+
+    it('should calculate limits using assumptions', function () {
+        nerdamer.assume('a', 'positive');
+        nerdamer.assume('b', 'negative');
+        expect(nerdamer('limit(x^b, x, Infinity)').toString()).toEqual('0');
+        expect(nerdamer('limit(e^(b*x), x, Infinity)').toString()).toEqual('0');
+        expect(nerdamer('limit(a*x, x, Infinity)').toString()).toEqual('Infinity');
+        expect(nerdamer('limit(b*x^2, x, Infinity)').toString()).toEqual('-Infinity');
+    });
+
+    it('should differentiate and integrate piecewise functions', function () {
+        expect(nerdamer('diff(piecewise(x<0,-x^2,x^3),x)').toString()).toEqual('piecewise(x<0,-2*x,3*x^2)');
+        expect(nerdamer('diff(x*piecewise(x<0,-1,1),x)').toString()).toEqual('piecewise(x<0,-1,1)');
+        expect(nerdamer('integrate(piecewise(x<0,-x,x),x)').toString()).toEqual('piecewise(x<0,(-1/2)*x^2,(1/2)*x^2)');
+        expect(nerdamer('integrate(piecewise(x<0,0,x<1,1,0),x)').toString()).toEqual('piecewise(x<0,0,x<1,x,1)');
+        expect(nerdamer('integrate(piecewise(x>=1,1/x,1),x)').toString()).toEqual('piecewise(x>=1,1+log(x),x)');
+        expect(nerdamer('integrate(piecewise(x<0,1/x,x),x)').toString()).toEqual('piecewise(x<0,log(x),(1/2)*x^2)');
+        expect(nerdamer('defint(piecewise(x<0,-x,x),-1,1,x)').toString()).toEqual('1');
+        expect(nerdamer('defint(piecewise(x<0,0,x<1,1,0),-5,5,x)').toString()).toEqual('1');
+    });
+
+    it('should calculate one-sided limits', function () {
+        expect(nerdamer('limit(1/x, x, 0, +)').toString()).toEqual('Infinity');
+        expect(nerdamer('limit(1/x, x, 0, -)').toString()).toEqual('-Infinity');
+        expect(function () { nerdamer('limit(1/x, x, 0)'); }).toThrowError();
+        expect(nerdamer('limit(1/x^2, x, 0)').toString()).toEqual('Infinity');
+        expect(nerdamer('limit(abs(x)/x, x, 0, +)').toString()).toEqual('1');
+        expect(nerdamer('limit(abs(x)/x, x, 0, -)').toString()).toEqual('-1');
+        expect(function () { nerdamer('limit(abs(x)/x, x, 0)'); }).toThrowError();
+        expect(nerdamer('limit(step(x), x, 0, -)').toString()).toEqual('0');
+        expect(function () { nerdamer('limit(step(x), x, 0)'); }).toThrowError();
+        expect(nerdamer('limit(step(x), x, 1)').toString()).toEqual('1');
+        expect(nerdamer('limit(e^(1/x), x, 0, -)').toString()).toEqual('0');
+        expect(nerdamer('limit(piecewise(x<0,-x,x), x, 0)').toString()).toEqual('0');
+        expect(nerdamer.limit('1/(x-1)', 'x', 1, -1).toString()).toEqual('-Infinity');
+        expect(function () { nerdamer('limit(sqrt(x), x, 0, -)'); }).toThrowError();
+        expect(nerdamer('limit(sqrt(x), x, 0, +)').toString()).toEqual('0');
+        expect(function () { nerdamer('limit(1/x, x, 0, 0)'); }).toThrowError();
+        expect(function () { nerdamer('limit(1/x, x, 0)+1'); }).toThrowError();
+        expect(function () { nerdamer('max(1, -)'); }).toThrowError();
+        expect(nerdamer('limit(limit(1/(x*y), x, 1, -), y, 0, +)').toString()).toEqual('Infinity');
+    });
+
+    it('should calculate vector calculus operators', function () {
+        expect(nerdamer('grad(x^2*y+z,[x,y,z])').toString()).toEqual('[2*x*y,x^2,1]');
+        expect(nerdamer('div([x^2,y*z,x*z],[x,y,z])').toString()).toEqual('3*x+z');
+        expect(nerdamer('div(x^2+1,x+1)').toString()).toEqual('[-1+x,2]');
+        expect(nerdamer('curl([y,-x,0],[x,y,z])').toString()).toEqual('[0,0,-2]');
+        expect(nerdamer('laplacian(x^2+y^2+z^2,[x,y,z])').toString()).toEqual('6');
+        expect(nerdamer('jacobian([x*y,x+y],[x,y])').toString()).toEqual('matrix([y,x],[1,1])');
+        expect(nerdamer('expand(determinant(jacobian([x*y,x+y],[x,y])))').toString()).toEqual('-x+y');
+        expect(nerdamer('hessian(x^2*y+y^3,[x,y])').toString()).toEqual('matrix([2*y,2*x],[2*x,6*y])');
+        expect(nerdamer('dot(grad(x*y,[x,y]),[1,1])').toString()).toEqual('x+y');
+        expect(function () {
+            nerdamer('curl([x,y],[x,y])');
+        }).toThrowError();
+    });
+
+    it('should calculate multiple integrals', function () {
+        expect(nerdamer('defint(x*y, [y, 0, x], [x, 0, 1])').toString()).toEqual('1/8');
+        expect(nerdamer('defint(x^2+y^2, [x, 0, 1], [y, 0, 1])').toString()).toEqual('2/3');
+        expect(nerdamer('defint(1, [z, 0, x+y], [y, 0, 1-x], [x, 0, 1])').toString()).toEqual('1/3');
+        expect(nerdamer('defint(x*y, [y, 0, a], [x, 0, 1])').toString()).toEqual('(1/4)*a^2');
+        expect(nerdamer('integrate(e^(-x^2-y^2), y)').toString()).toEqual('(1/2)*e^(-x^2)*erf(y)*sqrt(pi)');
+        expect(round(nerdamer('defint(sin(x*y), [y, 0, 1], [x, 0, 1])').evaluate(), 7)).toEqual(round(0.2398117420, 7));
+        expect(round(nerdamer('defint(cos(x+y+z), [z, 0, 1], [y, 0, 1], [x, 0, 1])').evaluate(), 6)).toEqual(round(0.0623593, 6));
+    });
+
+    it('should calculate improper integrals', function () {
+        expect(nerdamer('defint(1/x^2, 1, Infinity)').toString()).toEqual('1');
+        expect(nerdamer('defint(x*e^(-x), 0, Infinity)').toString()).toEqual('1');
+        expect(nerdamer('defint(1/(1+x^2), -Infinity, Infinity)').toString()).toEqual('pi');
+        expect(nerdamer('defint(1/sqrt(x), 0, 1)').toString()).toEqual('2');
+        expect(nerdamer('defint(x^2, 1, 0)').toString()).toEqual('-1/3');
+        expect(nerdamer('defint(e^(-x^2), -Infinity, Infinity)').toString()).toEqual('sqrt(pi)');
+        expect(nerdamer('limit(x*e^(-x), x, Infinity)').toString()).toEqual('0');
+        //the sign of a isn't known
+        expect(nerdamer('defint(e^(-a*x), 0, Infinity)').toString()).toEqual('defint(e^(-a*x),0,Infinity,x)');
+        expect(nerdamer('defint(x^a, 1, Infinity)').toString()).toEqual('defint(x^a,1,Infinity,x)');
+        expect(function () {
+            nerdamer('defint(1/x^2, -1, 1)');
+        }).toThrowError();
+        expect(function () {
+            nerdamer('defint(1/(x-2)^2, 0, 3)');
+        }).toThrowError();
+        expect(function () {
+            nerdamer('defint(1/x, 1, Infinity)');
+        }).toThrowError();
+        expect(function () {
+            nerdamer('defint(1/x, -1, 1)');
+        }).toThrowError();
+        nerdamer.assume('a', 'positive');
+        expect(nerdamer('defint(e^(-a*x), 0, Infinity)').toString()).toEqual('a^(-1)');
+        expect(function () {
+            nerdamer('defint(x^a, 1, Infinity)');
+        }).toThrowError();
+    });
+
+    it('should trace the steps of diff and integrate', function () {
+        var trace = nerdamer.steps('integrate(x*e^x, x)');
+        expect(trace.result.toString()).toEqual('-e^x+e^x*x');
+        expect(trace.steps[0].rule).toEqual('by_parts');
+        expect(trace.steps[0].expression.text).toEqual('e^x*x');
+        expect(trace.steps[0].result.latex).toEqual(nerdamer('-e^x+e^x*x').toTeX());
+
+        var rules = function (expression) {
+            return nerdamer.steps(expression).steps.map(function (step) {
+                return step.operation + ':' + step.rule;
+            });
+        };
+        expect(rules('integrate(x^2+sin(x), x)')).toEqual(['integrate:sum', 'integrate:table', 'integrate:power']);
+        expect(rules('integrate(1/x, x)')).toEqual(['integrate:log']);
+        expect(rules('integrate(2*x*cos(x^2), x)')[0]).toEqual('integrate:u_substitution');
+        expect(rules('integrate(1/(x^2-1), x)')[0]).toEqual('integrate:partial_fraction');
+        expect(rules('diff(x^2+3*x, x)')).toEqual(['diff:sum', 'diff:power', 'diff:power']);
+        expect(rules('diff(sin(x^2), x)')).toEqual(['diff:chain', 'diff:power']);
+        expect(rules('diff(x*sin(x), x)')[0]).toEqual('diff:product');
+        expect(rules('diff(sin(x)/x, x)')[0]).toEqual('diff:quotient');
+        //tracing is opt-in
+        expect(nerdamer.getCore().Calculus.Trace.steps).toBe(null);
+    });
+
+    it('should decide if an antiderivative is elementary', function () {
+        //R(x)*e^g(x) is elementary exactly when y'+g'*y = R has a rational solution
+        expect(nerdamer('integrate(e^(x^2)*(2*x^2-1)/x^2, x)').toString()).toEqual('e^x^2*x^(-1)');
+        expect(nerdamer('integrate(e^x*(x-1)/x^2, x)').toString()).toEqual('e^x*x^(-1)');
+        expect(nerdamer('integrate(e^x/x^2, x)').toString()).toEqual('-e^x*x^(-1)+Ei(x)');
+        expect(nerdamer('integrate(e^x/(x-1), x)').toString()).toEqual('Ei(-1+x)*e');
+        expect(nerdamer('integrate(e^(x^2)/x, x)').toString()).toEqual('(1/2)*Ei(x^2)');
+        expect(nerdamer('integrate(3/log(2*x+1), x)').toString()).toEqual('(3/2)*Li(1+2*x)');
+        expect(nerdamer('integrate(e^(x^3), x)').toString()).toEqual('integrate(e^x^3,x)');
+        expect(nerdamer('integrate(e^(x^2)*(1+2*x^2), x)').toString()).toEqual('e^x^2*x');
+        //polynomials in log(a*x+b) and its reciprocal
+        expect(nerdamer('integrate(1/log(x)^2, x)').toString()).toEqual('-log(x)^(-1)*x+Li(x)');
+        expect(nerdamer('integrate(x/log(x), x)').toString()).toEqual('Ei(2*log(x))');
+        expect(nerdamer('integrate(1/(x*log(x)), x)').toString()).toEqual('log(log(x))');
+        expect(nerdamer('integrate(log(x)/(x+1), x)').toString()).toEqual('integrate((1+x)^(-1)*log(x),x)');
+        expect(nerdamer('diff(3*Ei(2*x), x)').toString()).toEqual('3*e^(2*x)*x^(-1)');
+
+        expect(nerdamer('is_elementary(x*e^(x^2), x)').toString()).toEqual('1');
+        expect(nerdamer('is_elementary(1/(x^2+1), x)').toString()).toEqual('1');
+        expect(nerdamer('is_elementary(e^(-x^2), x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(e^x/x+e^(2*x)/x^2, x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(sin(x)/x, x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(1/log(x), x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(log(x), x)').toString()).toEqual('1');
+        expect(nerdamer('is_elementary(x/log(x), x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(log(x)/(x+1), x)').toString()).toEqual('0');
+        expect(nerdamer('is_elementary(1/(x*log(x)^2), x)').toString()).toEqual('1');
+        expect(nerdamer('is_elementary(sqrt(x), x)').toString()).toEqual('is_elementary(sqrt(x),x)');
+    });
 });
@@ -1,4 +1,4 @@
-/* global expect */
+/* global expect, afterEach */
 
 'use strict';
 
@@ -21,6 +21,9 @@ var values = {
 };
 
 describe('Nerdamer core', function () {  
+    afterEach(function () {
+        nerdamer.clearAssumptions();
+    });
     it('should perform simple arithmetic', function () {
         // given
         var testCases = [
@@ -1841,6 +1844,56 @@ describe('Nerdamer core', function () {
         expect(nerdamer('matrix([1,2])/matrix([8,4])').toString()).toEqual('matrix([1/8,1/2])');
         expect(nerdamer('16/matrix([8,4])').toString()).toEqual('matrix([2,4])');
     });
+    it('should row reduce matrices', function() {
+        expect(nerdamer('rref(matrix([1,2,3],[4,5,6],[7,8,9]))').toString()).toEqual('matrix([1,0,-1],[0,1,2],[0,0,0])');
+        expect(nerdamer('rref(matrix([0,1],[0,2]))').toString()).toEqual('matrix([0,1],[0,0])');
+        expect(nerdamer('rref(matrix([2,4,6,8],[1,2,4,5]))').toString()).toEqual('matrix([1,2,0,1],[0,0,1,1])');
+        expect(nerdamer('rref(matrix([1/2,1/3],[1/4,1/5]))').toString()).toEqual('matrix([1,0],[0,1])');
+        expect(nerdamer('rref(matrix([sqrt(2),1],[2,sqrt(2)]))').toString()).toEqual('matrix([1,sqrt(2)^(-1)],[0,0])');
+        expect(nerdamer('rank(matrix([1,2,3],[4,5,6],[7,8,9]))').toString()).toEqual('2');
+        expect(nerdamer('rank(matrix([1,2],[2,4]))').toString()).toEqual('1');
+        expect(nerdamer('nullspace(matrix([1,2,3],[4,5,6],[7,8,9]))').toString()).toEqual('[[1,-2,1]]');
+        expect(nerdamer('nullspace(matrix([1,1,1]))').toString()).toEqual('[[-1,1,0],[-1,0,1]]');
+        expect(nerdamer('nullspace(matrix([1,2],[3,4]))').toString()).toEqual('[]');
+        expect(nerdamer('columnspace(matrix([1,2,3],[4,5,6],[7,8,9]))').toString()).toEqual('[[1,4,7],[2,5,8]]');
+    });
+    it('should decompose matrices', function() {
+        expect(nerdamer('vecget(lu(matrix([1,2],[3,4])),0)').toString()).toEqual('matrix([0,1],[1,0])');
+        expect(nerdamer('vecget(lu(matrix([1,2],[3,4])),1)').toString()).toEqual('matrix([1,0],[1/3,1])');
+        expect(nerdamer('vecget(lu(matrix([1,2],[3,4])),2)').toString()).toEqual('matrix([3,4],[0,2/3])');
+        expect(nerdamer('vecget(lu(matrix([2,1,1],[4,-6,0],[-2,7,2])),0)').toString()).toEqual('matrix([0,1,0],[1,0,0],[0,0,1])');
+        expect(nerdamer('vecget(lu(matrix([2,1,1],[4,-6,0],[-2,7,2])),1)').toString()).toEqual('matrix([1,0,0],[1/2,1,0],[-1/2,1,1])');
+        expect(nerdamer('vecget(lu(matrix([2,1,1],[4,-6,0],[-2,7,2])),2)').toString()).toEqual('matrix([4,-6,0],[0,4,1],[0,0,1])');
+        expect(nerdamer('vecget(lu(matrix([a,b],[c,d])),2)').toString()).toEqual('matrix([a,b],[0,-a^(-1)*b*c+d])');
+        expect(nerdamer('vecget(qr(matrix([3,0],[4,5])),0)').toString()).toEqual('matrix([3/5,-4/5],[4/5,3/5])');
+        expect(nerdamer('vecget(qr(matrix([3,0],[4,5])),1)').toString()).toEqual('matrix([5,4],[0,3])');
+        expect(nerdamer('vecget(cholesky(matrix([4,12,-16],[12,37,-43],[-16,-43,98])),0)').toString()).toEqual('matrix([2,0,0],[6,1,0],[-8,5,3])');
+        expect(nerdamer('vecget(cholesky(matrix([4,2],[2,3])),0)').toString()).toEqual('matrix([2,0],[1,sqrt(2)])');
+        expect(function() { nerdamer('cholesky(matrix([1,2],[3,4]))'); }).toThrowError();
+        expect(function() { nerdamer('cholesky(matrix([1,2],[2,1]))'); }).toThrowError();
+        expect(nerdamer('vecget(svd(matrix([3,0],[0,4])),1)').toString()).toEqual('matrix([4,0],[0,3])');
+        // The product of the factors should give back the original matrix
+        var usv = nerdamer('svd(matrix([1,2],[3,4],[5,6]))').symbol.elements;
+        var product = usv[0].multiply(usv[1]).multiply(usv[2].transpose());
+        expect(product.elements.map(function(row) {
+            return row.map(function(x) {
+                return Number(x).toFixed(8);
+            }).join(',');
+        }).join(';')).toEqual('1.00000000,2.00000000;3.00000000,4.00000000;5.00000000,6.00000000');
+        expect(Number(usv[1].get(0, 0)).toFixed(8)).toEqual('9.52551809');
+        // U is completed to an orthonormal basis when a singular value is zero
+        var U = nerdamer('svd(matrix([1,2],[2,4]))').symbol.elements[0];
+        expect(U.transpose().multiply(U).elements.map(function(row) {
+            return row.map(function(x) {
+                return Math.abs(Number(x)).toFixed(8);
+            }).join(',');
+        }).join(';')).toEqual('1.00000000,0.00000000;0.00000000,1.00000000');
+    });
+    it('should calculate the characteristic polynomial', function() {
+        expect(nerdamer('charpoly(matrix([1,2],[3,4]))').toString()).toEqual('-2-5*lambda+lambda^2');
+        expect(nerdamer('charpoly(matrix([2,0,0],[0,3,4],[0,4,9]), x)').toString()).toEqual('-14*x^2+35*x+x^3-22');
+        expect(nerdamer('charpoly(matrix([a,b],[c,d]), t)').toString()).toEqual('-a*t-b*c-d*t+a*d+t^2');
+    });
     it('should perform scientific rounding', function() {
         expect(nerdamer('12/7*x+cos(33333333333333333)-11/17').text('scientific')).toEqual('-6.47058823529412e-1+1.71428571428571*x+cos(3.33333333333333e16)');
         expect(nerdamer('7/(11*x-24*x^2)+cos(13/44)^(300/21)').text('scientific')).toEqual('7*(-2.4e1*x^2+1.1e1*x)^(-1)+cos(2.95454545454545e-1)^1.42857142857143e1');
@@ -1896,6 +1949,65 @@ describe('Nerdamer core', function () {
     it('should unwrap even abs', function() {
         expect(nerdamer('(3*abs(x))^2').toString()).toEqual('3*x^2');
     });
+    it('should handle intervals in sets', function () {
+        expect(nerdamer('interval(0,1,1)').toString()).toEqual('(0,1]');
+        expect(nerdamer('union(interval(0,1,0,1), interval(1,3))').toString()).toEqual('{[0,3]}');
+        expect(nerdamer('union({1,2}, interval(0,1,1,1))').toString()).toEqual('{(0,1],2}');
+        expect(nerdamer('intersection(interval(-Infinity,2,1,1), interval(0,5))').toString()).toEqual('{[0,2)}');
+        expect(nerdamer('difference(interval(0,5), {2})').toString()).toEqual('{[0,2),(2,5]}');
+        expect(nerdamer('contains(interval(0,1), 1/2)').toString()).toEqual('1');
+        expect(nerdamer('contains({1,2}, 3)').toString()).toEqual('0');
+        expect(function () {
+            nerdamer('interval(2,1)');
+        }).toThrowError();
+        expect(nerdamer('is_subset(interval(0,5), interval(1,2))').toString()).toEqual('1');
+        expect(nerdamer('intersects(interval(0,1), interval(1,2,1))').toString()).toEqual('0');
+        expect(nerdamer('difference(interval(0,5), {2})').toTeX()).toEqual('\\left[0,\\, 2\\right) \\cup \\left(2,\\, 5\\right]');
+        expect(nerdamer('union({3}, interval(-Infinity,0,1,1))').toTeX()).toEqual('\\left(-\\infty,\\, 0\\right) \\cup \\{3 \\}');
+    });
+    it('should use assumptions about variables', function () {
+        nerdamer.assume('x', 'positive');
+        nerdamer.assume('y', 'negative');
+        nerdamer.assume('n', 'integer');
+        expect(nerdamer.getAssumptions('x')).toEqual(['positive', 'nonnegative', 'nonzero', 'real']);
+        expect(nerdamer('sqrt(x^2)').toString()).toEqual('x');
+        expect(nerdamer('sqrt(y^2)').toString()).toEqual('-y');
+        expect(nerdamer('abs(x*y)').toString()).toEqual('-x*y');
+        expect(nerdamer('abs(n^2)').toString()).toEqual('n^2');
+        expect(nerdamer('abs(n)').toString()).toEqual('abs(n)');
+        expect(nerdamer('abs(z)').toString()).toEqual('abs(z)');
+        expect(nerdamer('x^2+1').symbol.is('positive')).toBe(true);
+        expect(nerdamer('x-1').symbol.is('positive')).toBe(false);
+        expect(function () {
+            nerdamer.assume('x', 'negative');
+        }).toThrowError();
+        nerdamer.clearAssumptions();
+        expect(nerdamer('sqrt(x^2)').toString()).toEqual('abs(x)');
+        nerdamer.assume('x', 'positive');
+        nerdamer.clearVars();
+        expect(nerdamer.getAssumptions('x')).toEqual([]);
+    });
+    it('should evaluate piecewise functions', function () {
+        expect(nerdamer('x<=2').toString()).toEqual('x<=2');
+        expect(nerdamer('3<2').toString()).toEqual('0');
+        expect(nerdamer('piecewise(x<0,-x,x)', {x: -2}).toString()).toEqual('2');
+        expect(nerdamer('piecewise(x<0,-x,x<1,x^2,1)', {x: 0}).toString()).toEqual('0');
+        expect(nerdamer('piecewise(x>=1,a,0)', {x: 1}).toString()).toEqual('a');
+        expect(nerdamer('piecewise(x<0,-x,x)').toTeX()).toEqual('\\begin{cases}-x & x < 0 \\\\ x & \\text{otherwise}\\end{cases}');
+        var f = nerdamer('piecewise(x<0,-x,x<1,x^2,1)').buildFunction();
+        expect(f(-2)).toEqual(2);
+        expect(f(0.5)).toEqual(0.25);
+        expect(f(3)).toEqual(1);
+        expect(function () {
+            nerdamer('piecewise(x<0,1)', {x: 1});
+        }).toThrowError();
+    });
+    it('should keep the sign when multiplying sums', function () {
+        expect(nerdamer('-2*(-(x+1)^2)').toString()).toEqual('2*(1+x)^2');
+        expect(nerdamer('(-1)*(-3/(x+1))').toString()).toEqual('3*(1+x)^(-1)');
+        expect(nerdamer('(a-1)*((a-1)+1/(a-1))').toString()).toEqual('(-1+a)^2+1');
+        expect(nerdamer('determinant(matrix([s+2,-1],[-1,s+2]))').toString()).toEqual('(2+s)^2-1');
+    });
 });
 
 describe('Further arithmetic test cases', function () {
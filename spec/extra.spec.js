@@ -14,6 +14,8 @@ describe('Extra Calculus', function () {
         expect(nerdamer('laplace(cos(x), t, s)').toString()).toEqual('cos(x)*s^(-1)');
         expect(nerdamer('laplace(sinh(a*t), t, s)').toString()).toEqual('(-a^2+s^2)^(-1)*a');
         expect(nerdamer('laplace(a*t^2, t, s)').toString()).toEqual('2*a*s^(-3)');
+        expect(nerdamer('laplace(t^3, t, s)').toString()).toEqual('6*s^(-4)');
+        expect(nerdamer('laplace(5*t, t, s)').toString()).toEqual('5*s^(-2)');
         expect(nerdamer('laplace(2*sqrt(t), t, s)').toString()).toEqual('s^(-3/2)*sqrt(pi)');
         expect(nerdamer('laplace(x*e^(a*t), t, s)').toString()).toEqual('(-a+s)^(-1)*x');
         expect(nerdamer('laplace(x*(sin(a*t)-a*t*cos(a*t)), t, s)').toString()).toEqual('((a^2+s^2)^(-1)*a-((1+a^2*s^(-2))^(-2)*s^(-2)-(1+a^2*s^(-2))^(-2)*a^2*s^(-4))*a)*x');
@@ -41,6 +43,109 @@ describe('Extra Calculus', function () {
         expect(nerdamer('ilt(1/(s^2+2s+1),s,t)').toString()).toEqual('e^(-t)*t');
     });
 
+    it('should solve initial value problems using Laplace transforms', function () {
+        expect(nerdamer.odesolve_laplace("y''+y=0", 'y(t)', 't', {'y(0)': 1, "y'(0)": 0}).toString()).toEqual('cos(t)');
+        expect(nerdamer.odesolve_laplace("y'+2*y=e^(-t)", 'y(t)', 't', {'y(0)': 0}).toString()).toEqual('-e^(-2*t)+e^(-t)');
+        expect(nerdamer.odesolve_laplace("y''+3*y'+2*y=1", 'y(t)', 't', ['y(0)=0', "y'(0)=0"]).toString()).toEqual('(1/2)*e^(-2*t)-e^(-t)+1/2');
+        expect(nerdamer.odesolve_laplace("y''+2*y'+5*y=0", 'y', 't', {'y(0)': 2, "y'(0)": -3}).toString()).toEqual('((-1/2)*sin(2*t)+2*cos(2*t))*e^(-t)');
+        expect(nerdamer.odesolve_laplace("y''+4*y=sin(t)", 'y', 't', {'y(0)': 0, "y'(0)": 0}).toString()).toEqual('(-1/6)*sin(2*t)+(1/3)*sin(t)');
+        expect(nerdamer.odesolve_laplace("y''-2*y'+y=e^t", 'y', 't', {'y(0)': 0, "y'(0)": 0}).toString()).toEqual('(1/2)*e^t*t^2');
+        expect(nerdamer.odesolve_laplace("y'-y=t", 'y', 't', {'y(0)': 'a'}).toString()).toEqual('(1+a)*e^t-1-t');
+        //missing initial conditions become constants
+        expect(nerdamer.odesolve_laplace("y''+y=0", 'y(t)').toString()).toEqual('C1*cos(t)+C2*sin(t)');
+        //coupled systems
+        expect(nerdamer.odesolve_laplace(["x'=x+y", "y'=y-x"], ['x(t)', 'y(t)'], 't', {'x(0)': 1, 'y(0)': 0}).toString()).toEqual('[cos(t)*e^t,-e^t*sin(t)]');
+        expect(nerdamer.odesolve_laplace(["x'=-2*x+y", "y'=x-2*y"], ['x', 'y'], 't', {'x(0)': 1, 'y(0)': 0}).toString()).toEqual('[(1/2)*e^(-3*t)+(1/2)*e^(-t),(-1/2)*e^(-3*t)+(1/2)*e^(-t)]');
+        expect(function () {
+            nerdamer.odesolve_laplace("y'=y", 'y(t)', 't', {'y(0)': 1, "y'(0)": 7});
+        }).toThrowError();
+        expect(function () {
+            nerdamer.odesolve_laplace("y'+t*y=0", 'y(t)', 't', {'y(0)': 1});
+        }).toThrowError();
+        expect(function () {
+            nerdamer.odesolve_laplace("y'+y=0", 'y(t)', 't', {'y(1)': 1});
+        }).toThrowError();
+    });
+
+    it('should calculate Fourier transforms', function () {
+        expect(nerdamer('fourier(rect(t), t, w)').toString()).toEqual('sinc((1/2)*w)');
+        expect(nerdamer('fourier(3*rect(2*t-1), t, w)').toString()).toEqual('(3/2)*e^((-1/2)*i*w)*sinc((1/4)*w)');
+        expect(nerdamer('fourier(tri(t), t, w)').toString()).toEqual('sinc((1/2)*w)^2');
+        expect(nerdamer('fourier(sinc(t), t, w)').toString()).toEqual('pi*rect((1/2)*w)');
+        expect(nerdamer('fourier(e^(-t^2), t, w)').toString()).toEqual('e^((-1/4)*w^2)*sqrt(pi)');
+        expect(nerdamer('fourier(e^(-abs(t)), t, w)').toString()).toEqual('2*(1+w^2)^(-1)');
+        expect(nerdamer('fourier(1/(t^2+1), t, w)').toString()).toEqual('e^(-abs(w))*pi');
+        expect(nerdamer('fourier(step(t)*e^(-2*t), t, w)').toString()).toEqual('(2+i*w)^(-1)');
+        expect(nerdamer('fourier(step(t-1)*e^(-t), t, w)').toString()).toEqual('(1+i*w)^(-1)*e^(-1-i*w)');
+        expect(nerdamer('fourier(cos(3*t)*rect(t), t, w)').toString()).toEqual('(1/2)*(sinc((1/2)*(-3+w))+sinc((1/2)*(3+w)))');
+        expect(nerdamer('fourier(step(t), t, w)').toString()).toEqual('fourier(step(t),t,w)');
+        //the transforms don't exist
+        expect(nerdamer('fourier(e^(t^2), t, w)').toString()).toEqual('fourier(e^t^2,t,w)');
+        expect(nerdamer('fourier(e^(abs(t)), t, w)').toString()).toEqual('fourier(e^abs(t),t,w)');
+        expect(nerdamer('fourier(1/(t^2-1), t, w)').toString()).toEqual('fourier((-1+t^2)^(-1),t,w)');
+        //the sign of b isn't known
+        expect(nerdamer('fourier(e^(-b*t^2), t, w)').toString()).toEqual('fourier(e^(-b*t^2),t,w)');
+    });
+
+    it('should invert Fourier transforms', function () {
+        expect(nerdamer('ifourier(sinc(w/2), w, t)').toString()).toEqual('rect(t)');
+        expect(nerdamer('ifourier(pi*rect(w/2), w, t)').toString()).toEqual('sinc(t)');
+        expect(nerdamer('ifourier(sqrt(pi)*e^(-w^2/4), w, t)').toString()).toEqual('e^(-t^2)');
+        expect(nerdamer('ifourier(4/(4+w^2), w, t)').toString()).toEqual('e^(-2*abs(t))');
+    });
+
+    it('should calculate Fourier series', function () {
+        expect(nerdamer('fourierseries(x, x, pi, 3)').toString()).toEqual('(2/3)*sin(3*x)-sin(2*x)+2*sin(x)');
+        expect(nerdamer('fourierseries(piecewise(x<0, -1, 1), x, 1, 3)').toString()).toEqual('(4/3)*pi^(-1)*sin(3*pi*x)+4*pi^(-1)*sin(pi*x)');
+        expect(nerdamer('fourierseries(x^2, x, 1, 2)').toString()).toEqual('-4*cos(pi*x)*pi^(-2)+1/3+cos(2*pi*x)*pi^(-2)');
+        //the integrals are split at the kinks of abs
+        expect(nerdamer('fourierseries(abs(x), x, 1, 2)').toString()).toEqual('-4*cos(pi*x)*pi^(-2)+1/2');
+        expect(nerdamer('fourierseries(abs(2*x-1), x, 1, 1)').toString()).toEqual('(-2*pi^(-1)-4*pi^(-2))*sin(pi*x)-4*cos(pi*x)*pi^(-2)+5/4');
+        //coefficients without an exact integral are left as definite integrals
+        expect(nerdamer('fourierseries(e^(x^3), x, 1, 1)').toString()).toEqual('(1/2)*defint(e^x^3,-1,1,x)+cos(pi*x)*defint(cos(pi*x)*e^x^3,-1,1,x)+defint(e^x^3*sin(pi*x),-1,1,x)*sin(pi*x)');
+        var c = nerdamer.getCore().Extra.Fourier.coefficients(nerdamer('x^2').symbol, 'x', nerdamer('1').symbol, 1);
+        expect(c.a.map(String)).toEqual(['2/3', '-4*pi^(-2)']);
+        expect(c.b.map(String)).toEqual(['0', '0']);
+        expect(nerdamer('fouriercoeffs(x, x, pi, 3)').toString()).toEqual('matrix([0,0,0,0],[0,2,-1,2/3])');
+    });
+
+    it('should calculate Z-transforms', function () {
+        expect(nerdamer('ztrans(5, n, z)').toString()).toEqual('5*(-1+z)^(-1)*z');
+        expect(nerdamer('ztrans(n, n, z)').toString()).toEqual('(-1+z)^(-2)*z');
+        expect(nerdamer('ztrans(n^2, n, z)').toString()).toEqual('(-1+z)^(-3)*(z+z^2)');
+        expect(nerdamer('ztrans(2^n, n, z)').toString()).toEqual('(-2+z)^(-1)*z');
+        expect(nerdamer('ztrans(3*a^(n+1), n, z)').toString()).toEqual('3*(-a+z)^(-1)*a*z');
+        expect(nerdamer('ztrans(n*2^n, n, z)').toString()).toEqual('2*(-2+z)^(-2)*z');
+        expect(nerdamer('ztrans(sin(w*n), n, z)').toString()).toEqual('(-2*cos(w)*z+1+z^2)^(-1)*sin(w)*z');
+        expect(nerdamer('ztrans((1/2)^n*sin(pi*n/2), n, z)').toString()).toEqual('2*(1+4*z^2)^(-1)*z');
+        expect(nerdamer('ztrans(1/factorial(n), n, z)').toString()).toEqual('e^z^(-1)');
+    });
+
+    it('should invert a Z-transform', function () {
+        expect(nerdamer('iztrans(z/(z-a), z, n)').toString()).toEqual('a^n');
+        expect(nerdamer('iztrans(z/((z-1)*(z-2)), z, n)').toString()).toEqual('-1+2^n');
+        expect(nerdamer('iztrans(z/(z+2), z, n)').toString()).toEqual('(-2)^n');
+        expect(nerdamer('iztrans(z/(z-2)^2, z, n)').toString()).toEqual('2^(-1+n)*n');
+        expect(nerdamer('iztrans(z*(z+1)/(z-1)^3, z, n)').toString()).toEqual('(-1+n)*n+n');
+        expect(nerdamer('iztrans(z/(z^2-z+1), z, n)').toString()).toEqual('2*sin((1/3)*n*pi)*sqrt(3)^(-1)');
+        expect(nerdamer('iztrans(z^2/(z^2+1), z, n)').toString()).toEqual('cos((1/2)*n*pi)');
+        //residues other than 1 and -1
+        expect(nerdamer('iztrans(z/((z-1)*(z+1)), z, n)').toString()).toEqual('(-1/2)*(-1)^n+1/2');
+        expect(nerdamer('iztrans(z^2/((z-1)*(z-3)), z, n)').toString()).toEqual('(3/2)*3^n-1/2');
+        expect(nerdamer('iztrans(z/(2*z-1), z, n)').toString()).toEqual('(1/2)*2^(-n)');
+        expect(nerdamer('iztrans(3*z/(2*z^2+1), z, n)').toString()).toEqual('(3/2)*2^((-1/2)*n)*sin((1/2)*n*pi)*sqrt(2)');
+        //z/(z^2-2) = z^(-1)+2*z^(-3)+4*z^(-5)+...
+        var f = nerdamer('iztrans(z/(z^2-2), z, n)');
+        expect([0, 1, 2, 3, 4, 5].map(function (k) {
+            return Math.round(Number(f.evaluate({n: k}).text('decimals')) * 1e9) / 1e9;
+        })).toEqual([0, 1, 0, 2, 0, 4]);
+        expect(nerdamer('iztrans(z/(z-e^(-1)), z, n)').toString()).toEqual('e^(-n)');
+        expect(nerdamer('iztrans(z/(z-e), z, n)').toString()).toEqual('e^n');
+        expect(nerdamer('iztrans(z/(z^2-sqrt(2)*z+1), z, n)').toString()).toEqual('sin((1/4)*n*pi)*sqrt(2)');
+        //a constant is an impulse which has no closed form here
+        expect(nerdamer('iztrans(1, z, n)').toString()).toEqual('iztrans(1,z,n)');
+    });
+
     it('should calculate mode correctly', function () {
         expect(nerdamer('mode(r,r,r,r)').toString()).toEqual('r');
         expect(nerdamer('mode(1,2)').toString()).toEqual('mode(1,2)');
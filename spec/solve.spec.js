@@ -1,4 +1,4 @@
-/* global expect */
+/* global expect, afterEach */
 
 'use strict';
 
@@ -6,6 +6,9 @@ var nerdamer = require('../nerdamer.core.js');
 require('../Solve');
 
 describe('Solve', function () {
+    afterEach(function () {
+        nerdamer.clearAssumptions();
+    });
     it('should solve correctly', function () {
         expect(nerdamer('solve(x=y/3416.3333333333344, y)').toString()).toEqual('[(1073228064103962/314146179365)*x]');
         expect(nerdamer('solve(x, x)').toString()).toEqual('[0]');
@@ -75,12 +78,29 @@ describe('Solve', function () {
     it('should solve system of equations correctly', function () {
         expect(nerdamer.solveEquations(['x+y=1', '2*x=6', '4*z+y=6']).toString()).toEqual('x,3,y,-2,z,2');
         expect(nerdamer.solveEquations(['x+y=a', 'x-y=b', 'z+y=c'], ['x', 'y', 'z']).toString()).toEqual('x,0.5*a+0.5*b,y,-0.5*b+0.5*a,z,-0.5*a+0.5*b+c');
+        //x = (a-1)/((a-1)^2+1) and y = -1/((a-1)^2+1)
+        var sol = nerdamer.solveEquations(['a*x-x-y=1', 'x+a*y-y=0'], ['x', 'y']);
+        expect(nerdamer(sol[0][1]).simplify().toString()).toEqual('(-1+a)*(-2*a+a^2+2)^(-1)');
+        expect([3, -2].map(function (a) {
+            return nerdamer(sol[0][1]).evaluate({a: a}).toString() + ',' + nerdamer(sol[1][1]).evaluate({a: a}).toString();
+        })).toEqual(['2/5,-1/5', '-3/10,-1/10']);
         expect(nerdamer.solveEquations(['x-2*y=-3', 'x+y-z+2*d=8', '5*d-1=19', 'z+d=7']).toString()).toEqual('d,4,x,1,y,2,z,3');
         expect(nerdamer.solveEquations('x^2+4=x-y').toString()).toEqual('(1/2)*(1+sqrt(-15-4*y)),(1/2)*(-sqrt(-15-4*y)+1)');
-        expect(nerdamer.solveEquations(['x+y=3', 'y^3-x=7']).toString()).toEqual('x,1,y,2');
+        expect(nerdamer.solveEquations(['x+y=3', 'y^3-x=7']).toString()).toEqual('x,1,-2*i+4,2*i+4,y,2,-1+2*i,-1-2*i');
         expect(nerdamer.solveEquations(['x^2+y=3', 'x+y+z=6', 'z^2-y=7']).toString()).toEqual('x,1,y,2,z,3');
         expect(nerdamer.solveEquations(['x*y-cos(z)=-3', '3*z^3-y^2+1=12', '3*sin(x)*cos(y)-x^3=-4']).toString()).toEqual('x,1.10523895006979,y,-2.98980336936266,z,1.88015428627437');
     });
+
+    it('should solve polynomial systems exactly', function () {
+        expect(nerdamer.solveEquations(['x^2+y^2=5', 'x^2/4+y^2=2']).toString()).toEqual('x,-2,2,-2,2,y,-1,-1,1,1');
+        expect(nerdamer.solveEquations(['x^2+y^2=5', 'x^2/4+y^2=2'], ['x', 'y']).toString()).toEqual('x,-2,2,-2,2,y,-1,-1,1,1');
+        expect(nerdamer.solveEquations(['x^2+y^2=5', 'x^2/4+y^2=2'], ['y', 'x']).toString()).toEqual('y,-1,1,-1,1,x,-2,-2,2,2');
+        expect(nerdamer.solveEquations(['x*y=0', 'x+y=1']).toString()).toEqual('x,1,0,y,0,1');
+        expect(nerdamer.solveEquations(['x^2+y^2=1', '(x-1)^2+y^2=1']).toString()).toEqual('x,0.5,0.5,y,-0.5*sqrt(3),0.5*sqrt(3)');
+        expect(nerdamer.solveEquations(['x^2+y^2=1', 'x^2+y^2=4']).toString()).toEqual('');
+        //y^6+y-2 = (y-1)*(y^5+y^4+y^3+y^2+y+2) and the quintic can't be solved exactly so one solution is found numerically
+        expect(nerdamer.solveEquations(['x^3+y=2', 'y^2=x']).toString()).toEqual('x,1,y,1');
+    });
     /** #55: nerdamer.solveEquation quits working */
     it('should handle text("fractions") without later impact', function () {
         expect(nerdamer.solveEquations("x+1=2", "x").toString()).toEqual('1');
@@ -117,4 +137,86 @@ describe('Solve', function () {
         var sol = nerdamer.solveEquations([eq1, eq2]);
         expect(sol.toString()).toEqual('x,1,0,y,0,1');
     });
-});
\ No newline at end of file
+
+    it('should solve ordinary differential equations', function () {
+        expect(nerdamer.dsolve('diff(y(x),x)=y(x)', 'y(x)').toString()).toEqual('C1*e^x');
+        expect(nerdamer.dsolve("y'+y=x", 'y(x)').toString()).toEqual('-1+C1*e^(-x)+x');
+        expect(nerdamer.dsolve("2*x*y+x^2*y'+1=0", 'y(x)').toString()).toEqual('-x^(-1)+C1*x^(-2)');
+        expect(nerdamer.dsolve("y'=y^2", 'y(x)').toString()).toEqual('-(C1+x)^(-1)');
+        expect(nerdamer.dsolve("y'=x/y", 'y(x)').toString()).toEqual('(-1/2)*x^2+(1/2)*y^2=C1');
+        expect(nerdamer.dsolve("y'+y=x*y^3", 'y(x)').toString()).toEqual('sqrt(1/2+C1*e^(2*x)+x)^(-1)');
+        expect(nerdamer.dsolve("2*x*y+(x^2+cos(y))*y'=0", 'y(x)').toString()).toEqual('sin(y)+x^2*y=C1');
+        expect(nerdamer.dsolve("y''+2*y'+5*y=0", 'y(x)').toString()).toEqual('C1*cos(2*x)*e^(-x)+C2*e^(-x)*sin(2*x)');
+        expect(nerdamer.dsolve("y''+2*y'+y=0", 'y(x)').toString()).toEqual('C1*e^(-x)+C2*e^(-x)*x');
+        expect(nerdamer.dsolve("y'''-y'=0", 'y(x)').toString()).toEqual('C1+C2*e^x+C3*e^(-x)');
+        expect(nerdamer.dsolve("y''+y=x", 'y(x)').toString()).toEqual('C1*cos(x)+C2*sin(x)+x');
+        expect(nerdamer.dsolve("y''-2*y'+y=e^x", 'y(x)').toString()).toEqual('(1/2)*e^x*x^2+C1*e^x+C2*e^x*x');
+    });
+
+    it('should apply initial conditions to differential equations', function () {
+        expect(nerdamer.dsolve('diff(y(x),x)=y(x)', 'y(x)', ['y(0)=2']).toString()).toEqual('2*e^x');
+        expect(nerdamer.dsolve("y'=x*y^2", 'y(x)', ['y(0)=1']).toString()).toEqual('-((1/2)*x^2-1)^(-1)');
+        expect(nerdamer.dsolve("y''-3*y'+2*y=0", 'y(x)', ['y(0)=0', "y'(0)=1"]).toString()).toEqual('-e^x+e^(2*x)');
+        expect(nerdamer.dsolve('diff(y(t),t,2)+4*y(t)=0', 'y(t)', ['y(0)=1', "y'(0)=0"]).toString()).toEqual('cos(2*t)');
+        //the constants are solved for exactly
+        expect(nerdamer.dsolve("y'=y", 'y(x)', ['y(1)=2']).toString()).toEqual('2*e^(-1+x)');
+        expect(nerdamer.dsolve("y'=x*y", 'y(x)', ['y(0)=3']).toString()).toEqual('3*e^((1/2)*x^2)');
+        //surplus and contradictory conditions
+        expect(function () { nerdamer.dsolve("y'+y=0", 'y(x)', ['y(0)=1', "y'(0)=5"]); }).toThrowError();
+        expect(function () { nerdamer.dsolve("y''+y=0", 'y(x)', ['y(0)=1', 'y(0)=2']); }).toThrowError();
+    });
+
+    it('should calculate eigenvalues and eigenvectors', function () {
+        expect(nerdamer('eigenvals(matrix([2,0,0],[0,3,4],[0,4,9]))').toString()).toEqual('[[1,1],[11,1],[2,1]]');
+        expect(nerdamer('eigenvals(matrix([1,2],[3,4]))').toString()).toEqual('[[(1/2)*sqrt(33)+5/2,1],[(-1/2)*sqrt(33)+5/2,1]]');
+        expect(nerdamer('eigenvals(matrix([2,1],[0,2]))').toString()).toEqual('[[2,2]]');
+        expect(nerdamer('eigenvals(matrix([0,-1],[1,0]))').toString()).toEqual('[[i,1],[-i,1]]');
+        expect(nerdamer('eigenvals(matrix([a,0],[0,b]))').toString()).toEqual('[[a,1],[b,1]]');
+        expect(nerdamer('eigenvects(matrix([2,0,0],[0,3,4],[0,4,9]))').toString()).toEqual('[[1,1,[[0,-2,1]]],[11,1,[[0,1/2,1]]],[2,1,[[1,0,0]]]]');
+        expect(nerdamer('eigenvects(matrix([2,1],[0,2]))').toString()).toEqual('[[2,2,[[1,0]]]]');
+        expect(nerdamer('eigenvects(matrix([2,0],[0,2]))').toString()).toEqual('[[2,2,[[1,0],[0,1]]]]');
+        expect(nerdamer('eigenvects(matrix([0,-1],[1,0]))').toString()).toEqual('[[i,1,[[i,1]]],[-i,1,[[-i,1]]]]');
+        //the cubic formula gives the wrong roots here so they're computed numerically
+        var values = nerdamer('eigenvals(matrix([1,2,3],[4,5,6],[7,8,10]))').symbol.elements.map(function (e) {
+            return Number(e.elements[0]);
+        });
+        expect(values.length).toEqual(3);
+        expect(values[0]).toBeCloseTo(0.19825, 4);
+        expect(values[1]).toBeCloseTo(-0.90574, 4);
+        expect(values[2]).toBeCloseTo(16.70749, 4);
+        expect(nerdamer('eigenvals(matrix([0,0,1],[1,0,0],[0,1,0]))').toString()).toEqual('[[1,1],[(1/2)*i*sqrt(3)-1/2,1],[(-1/2)*i*sqrt(3)-1/2,1]]');
+    });
+
+    it('should report free variables for singular linear systems', function () {
+        expect(nerdamer.solveEquations(['x+y=1', '2*x+2*y=2']).toString()).toEqual('x,-y+1,y,y');
+        expect(nerdamer.solveEquations(['x+y+z=1', 'x-y=0']).toString()).toEqual('x,-0.5*z+0.5,y,-0.5*z+0.5,z,z');
+        expect(nerdamer.solveEquations(['x+y=1', 'x+y=2']).toString()).toEqual('');
+        expect(nerdamer.solveEquations(['x+y=a', '2*x+2*y=2*a'], ['x', 'y']).toString()).toEqual('x,-y+a,y,y');
+        //non-linear systems aren't reduced as linear ones
+        expect(function () { nerdamer.solveEquations(['x*y=1', 'x+y=z']); }).toThrowError();
+        expect(function () { nerdamer.solveEquations(['x^2+y=1', 'x+y=z']); }).toThrowError();
+    });
+
+    it('should solve inequalities', function () {
+        expect(nerdamer('solve(x^2-4>0, x)').toString()).toEqual('{(-Infinity,-2),(2,Infinity)}');
+        expect(nerdamer('solve(x^2<=0, x)').toString()).toEqual('{0}');
+        expect(nerdamer('solve((x-1)/(x+2)>=0, x)').toString()).toEqual('{(-Infinity,-2),[1,Infinity)}');
+        expect(nerdamer('solve(x^3-x>=0, x)').toString()).toEqual('{[-1,0],[1,Infinity)}');
+        expect(nerdamer('solve(x^2-2<0, x)').toString()).toEqual('{(-sqrt(2),sqrt(2))}');
+        expect(nerdamer('solve(x^2+1<0, x)').toString()).toEqual('{}');
+        expect(nerdamer('solve(2*x-3<x+1, x)').toString()).toEqual('{(-Infinity,4)}');
+        //relations with variables stay symbolic in branching functions
+        expect(nerdamer('IF(x>1, 1, 2)').toString()).toEqual('IF(x>1,1,2)');
+        expect(nerdamer('IF(x>1, 1, 2)', {x: 3}).toString()).toEqual('1');
+        expect(nerdamer('IF(x>1, 1, 2)', {x: 0}).toString()).toEqual('2');
+    });
+
+    it('should filter solutions using assumptions', function () {
+        nerdamer.assume('x', 'positive');
+        nerdamer.assume('k', 'integer');
+        expect(nerdamer('solve(x^2-4, x)').toString()).toEqual('[2]');
+        expect(nerdamer('solve(x^3-x, x)').toString()).toEqual('[1]');
+        expect(nerdamer('solve(2*k-1, k)').toString()).toEqual('[]');
+        expect(nerdamer('solve(x^2<4, x)').toString()).toEqual('{(0,2)}');
+    });
+});